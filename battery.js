@@ -0,0 +1,73 @@
+/**
+ * Battery Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements a robot's battery pack. Driving drains it by the
+ * energy the MotionModel meters (distance, turning, climbing and the
+ * carried load); standing on a charger refills it. Below a threshold the
+ * robot takes no new jobs and goes to charge, and a job is only accepted
+ * if the pack can finish it and still reach a charger.
+ */
+
+const BatteryDefaults = {
+    capacity: 5000, // J; a small pack, so charging shows within a few minutes
+    initialCharge: 1.0, // Fraction of capacity at the start of a run
+    lowThreshold: 0.3, // Below this an idle robot goes to charge
+    resumeThreshold: 0.95, // A charging robot takes jobs again from here
+    reserve: 0.15, // Fraction of capacity every accepted job must leave unused
+    chargeRate: 150, // W while standing on a charger
+    limpSpeed: 0.2 // m/s once the pack is flat
+};
+
+class Battery {
+    constructor(options = {}) {
+        this.config = { ...BatteryDefaults, ...options };
+        this.reset();
+    }
+    
+    // State of charge as a fraction of capacity
+    getLevel() {
+        return this.charge / this.config.capacity;
+    }
+    
+    drain(energy) {
+        this.charge = Math.max(0, this.charge - energy);
+        this.lowestLevel = Math.min(this.lowestLevel, this.getLevel());
+    }
+    
+    // Charge for a span of time; returns the energy taken in
+    recharge(time) {
+        const added = Math.min(this.config.capacity - this.charge, this.config.chargeRate * time);
+        this.charge += added;
+        this.energyCharged += added;
+        return added;
+    }
+    
+    isEmpty() {
+        return this.charge <= 0;
+    }
+    
+    isLow() {
+        return this.getLevel() < this.config.lowThreshold;
+    }
+    
+    isFull() {
+        return this.charge >= this.config.capacity;
+    }
+    
+    // Whether a charging robot may take jobs again
+    isCharged() {
+        return this.getLevel() >= this.config.resumeThreshold;
+    }
+    
+    // Whether the pack can spend energy and keep its reserve
+    canAfford(energy) {
+        return this.charge - energy >= this.config.reserve * this.config.capacity;
+    }
+    
+    reset() {
+        this.charge = this.config.capacity * this.config.initialCharge;
+        this.energyCharged = 0;
+        this.lowestLevel = this.getLevel();
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Belief Map Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements a robot's belief of where boxes stand, built from
+ * one detection model's detections instead of read off the warehouse
+ * grid. Each cell keeps the log-odds that it holds a box: every detection
+ * pass raises it in the cells the robot's sensor saw a box in and lowers
+ * it in the other cells the sensor saw. Cells never seen stay unknown and
+ * count as free. The layout (racks, walls, aisles, chargers, lifts and
+ * no-go zones) comes from the facility's plan and is known.
+ * 
+ * The map keeps a grid of CellType flags with the BOX bit set where a box
+ * is believed to stand, so every planner runs on it as on the true grid.
+ * It also counts what planning on it cost: collisions with boxes it did
+ * not know of, and detours round boxes that were not there.
+ */
+
+const BeliefMapDefaults = {
+    enabled: true, // Off: robots plan on the true grid, as before mapping
+    hitProbability: 0.9, // Chance of a box in a seen cell a box was detected in
+    missProbability: 0.4, // Chance of a box in a seen cell nothing was detected in
+    minLogOdds: -2, // Clamps, so the map can change its mind in a few passes
+    maxLogOdds: 3.5
+};
+
+// How a cell of a belief map compares with the truth (see BeliefMap.classify)
+const BeliefState = {
+    UNKNOWN: 'unknown', // Never seen, believed free
+    FREE: 'free',
+    BOX: 'box',
+    MISSED: 'missed', // A box believed free: robots may run into it
+    PHANTOM: 'phantom' // A box that is not there: robots go round it
+};
+
+class BeliefMap {
+    constructor(grid, options = {}) {
+        this.config = { ...BeliefMapDefaults, ...options };
+        this.reset(grid);
+    }
+    
+    static logit(probability) {
+        return Math.log(probability / (1 - probability));
+    }
+    
+    // Forget every box, keeping the layout of a (new) true grid
+    reset(grid) {
+        this.size = { x: grid.length, y: grid[0].length, z: grid[0][0].length };
+        this.logOdds = new Float32Array(this.size.x * this.size.y * this.size.z);
+        this.seen = new Uint8Array(this.logOdds.length);
+        this.grid = grid.map(plane => plane.map(column => column.map(value => value & ~CellType.BOX)));
+        
+        // What planning on this map cost
+        this.collisions = 0;
+        this.collisionCells = [];
+        this.detours = 0; // Plans longer than they would be on the true grid
+        this.detourCost = 0; // Their extra cost in all
+    }
+    
+    index(x, y, z) {
+        return (x * this.size.y + y) * this.size.z + z;
+    }
+    
+    getProbability(x, y, z) {
+        return 1 / (1 + Math.exp(-this.logOdds[this.index(x, y, z)]));
+    }
+    
+    isOccupied(cell) {
+        return (this.grid[cell.x][cell.y][cell.z] & CellType.BOX) !== 0;
+    }
+    
+    // Fold one detection pass into the map. gain is the robot's own view
+    // ([x][y][z], see SensorModel.observe), or null when it sees every
+    // cell. Returns the cells whose BOX bit flipped.
+    update(gain, detections) {
+        const hit = BeliefMap.logit(this.config.hitProbability);
+        const miss = BeliefMap.logit(this.config.missProbability);
+        const detected = new Set(detections.map(detection => this.index(
+            Math.floor(detection.position.x), Math.floor(detection.position.y), Math.floor(detection.position.z))));
+        
+        const changed = [];
+        for (let x = 0; x < this.size.x; x++) {
+            for (let y = 0; y < this.size.y; y++) {
+                for (let z = 0; z < this.size.z; z++) {
+                    if (gain && gain[x][y][z] === 0) continue;
+                    const i = this.index(x, y, z);
+                    this.seen[i] = 1;
+                    this.setLogOdds(x, y, z, this.logOdds[i] + (detected.has(i) ? hit : miss), changed);
+                }
+            }
+        }
+        return changed;
+    }
+    
+    // What a robot learns by touch, a box it ran into or one it picked up,
+    // is certain. Returns the cells whose BOX bit flipped.
+    markCell(cell, occupied) {
+        const changed = [];
+        this.seen[this.index(cell.x, cell.y, cell.z)] = 1;
+        this.setLogOdds(cell.x, cell.y, cell.z, occupied ? this.config.maxLogOdds : this.config.minLogOdds, changed);
+        return changed;
+    }
+    
+    setLogOdds(x, y, z, value, changed) {
+        const { minLogOdds, maxLogOdds } = this.config;
+        const clamped = Math.max(minLogOdds, Math.min(maxLogOdds, value));
+        this.logOdds[this.index(x, y, z)] = clamped;
+        
+        const before = this.grid[x][y][z];
+        const after = clamped > 0 ? before | CellType.BOX : before & ~CellType.BOX;
+        if (after !== before) {
+            this.grid[x][y][z] = after;
+            changed.push({ x, y, z });
+        }
+    }
+    
+    // Take on the layout flags of true grid cells that changed (no-go
+    // zones open and close on the facility's schedule); the BOX bit stays
+    syncCells(cells, grid) {
+        for (const { x, y, z } of cells) {
+            this.grid[x][y][z] = (grid[x][y][z] & ~CellType.BOX) | (this.grid[x][y][z] & CellType.BOX);
+        }
+    }
+    
+    // A plan made on this map came out extra cost longer than on the true grid
+    recordDetour(extra) {
+        this.detours++;
+        this.detourCost += extra;
+    }
+    
+    recordCollision(cell) {
+        this.collisions++;
+        this.collisionCells.push({ ...cell });
+    }
+    
+    // How a cell compares with the true grid (a BeliefState)
+    classify(grid, x, y, z) {
+        const believed = (this.grid[x][y][z] & CellType.BOX) !== 0;
+        const actual = (grid[x][y][z] & CellType.BOX) !== 0;
+        if (believed) return actual ? BeliefState.BOX : BeliefState.PHANTOM;
+        if (actual) return BeliefState.MISSED;
+        return this.seen[this.index(x, y, z)] ? BeliefState.FREE : BeliefState.UNKNOWN;
+    }
+    
+    // Cells of one level in each BeliefState against the true grid
+    compare(grid, y = 0) {
+        const counts = Object.fromEntries(Object.values(BeliefState).map(state => [state, 0]));
+        for (let x = 0; x < this.size.x; x++) {
+            for (let z = 0; z < this.size.z; z++) {
+                counts[this.classify(grid, x, y, z)]++;
+            }
+        }
+        return counts;
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Belief Panel Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the expandable panel that sets one robot's belief
+ * maps side by side, the one built from Baseline detections and the one
+ * built from QINA's, each drawn over the floor against the true grid. Below
+ * each map are the cells the fleet's maps for that model get wrong and the
+ * collisions and detours while robots planned on them.
+ */
+
+const BeliefColors = {
+    [BeliefState.UNKNOWN]: '#263238',
+    [BeliefState.FREE]: '#455A64',
+    [BeliefState.BOX]: '#8BC34A',
+    [BeliefState.MISSED]: '#FF5252',
+    [BeliefState.PHANTOM]: '#FFC107',
+    layout: '#8D6E63' // Racks and walls
+};
+
+class BeliefPanel {
+    // The panel's elements have ids starting with prefix
+    constructor(prefix) {
+        const element = name => document.getElementById(`${prefix}-${name}`);
+        this.panel = document.getElementById(prefix);
+        this.robotSelect = element('robot');
+        this.columns = [
+            { model: 'Baseline', key: 'baseline' },
+            { model: 'QINA', key: 'qina' }
+        ].map(({ model, key }) => ({
+            model,
+            canvas: element(`${key}-map`),
+            divergence: element(`${key}-divergence`),
+            cost: element(`${key}-cost`)
+        }));
+        this.simulation = null;
+        
+        this.panel.addEventListener('toggle', () => this.render());
+        this.robotSelect.addEventListener('change', () => this.render());
+    }
+    
+    // List the robots, keeping the selected one when it is still there
+    onReset(sim) {
+        this.simulation = sim;
+        const selected = this.robotSelect.value;
+        this.robotSelect.replaceChildren(...sim.fleet.robots.map(robot => {
+            const option = document.createElement('option');
+            option.value = robot.id;
+            option.textContent = `Robot ${robot.id + 1}`;
+            return option;
+        }));
+        if (sim.fleet.robots.some(robot => String(robot.id) === selected)) {
+            this.robotSelect.value = selected;
+        }
+        this.render();
+    }
+    
+    onDetection(sim) {
+        this.simulation = sim;
+        this.render();
+    }
+    
+    // Refresh the maps and figures; skipped while the panel is closed
+    render() {
+        if (!this.panel.open || !this.simulation) return;
+        
+        const { fleet, warehouse } = this.simulation;
+        const robot = fleet.robots.find(other => other.id === Number(this.robotSelect.value)) || fleet.robots[0];
+        for (const column of this.columns) {
+            const belief = robot && robot.beliefs[column.model];
+            if (!belief) {
+                column.canvas.getContext('2d').clearRect(0, 0, column.canvas.width, column.canvas.height);
+                column.divergence.textContent = 'Mapping off';
+                column.cost.textContent = '-';
+                continue;
+            }
+            
+            const stats = fleet.getBeliefStats(column.model, warehouse.grid);
+            column.divergence.textContent = `${stats.missed} missed, ${stats.phantom} phantom`;
+            column.cost.textContent = `${stats.collisions} collisions, ${stats.detours} detours (+${stats.detourCost.toFixed(0)})`;
+            this.drawMap(column.canvas, belief, robot, warehouse.grid);
+        }
+    }
+    
+    // The floor of a belief map, cell by cell, with every robot where it
+    // stands, the selected robot's path when it plans on this map, and
+    // crosses where it ran into boxes
+    drawMap(canvas, belief, robot, grid) {
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const size = belief.size;
+        const cell = Math.min(width / size.x, height / size.z);
+        const toX = x => (x + 0.5) * cell;
+        const toY = z => (z + 0.5) * cell;
+        context.clearRect(0, 0, width, height);
+        
+        for (let x = 0; x < size.x; x++) {
+            for (let z = 0; z < size.z; z++) {
+                const isLayout = (grid[x][0][z] & (CellType.RACK | CellType.WALL)) !== 0;
+                context.fillStyle = isLayout ? BeliefColors.layout : BeliefColors[belief.classify(grid, x, 0, z)];
+                context.fillRect(x * cell, z * cell, cell - 0.5, cell - 0.5);
+            }
+        }
+        
+        if (robot.belief === belief && robot.path.length > 0) {
+            context.strokeStyle = 'white';
+            context.beginPath();
+            context.moveTo(toX(robot.position.x), toY(robot.position.z));
+            for (const point of robot.path) {
+                context.lineTo(toX(point.x), toY(point.z));
+            }
+            context.stroke();
+        }
+        
+        context.strokeStyle = BeliefColors[BeliefState.MISSED];
+        const half = cell * 0.35;
+        for (const { x, z } of belief.collisionCells) {
+            context.beginPath();
+            context.moveTo(toX(x) - half, toY(z) - half);
+            context.lineTo(toX(x) + half, toY(z) + half);
+            context.moveTo(toX(x) + half, toY(z) - half);
+            context.lineTo(toX(x) - half, toY(z) + half);
+            context.stroke();
+        }
+        
+        for (const other of this.simulation.fleet.robots) {
+            context.fillStyle = `#${other.color.toString(16).padStart(6, '0')}`;
+            context.beginPath();
+            context.arc(toX(other.position.x), toY(other.position.z), cell * (other === robot ? 0.45 : 0.3), 0, 2 * Math.PI);
+            context.fill();
+        }
+    }
+}
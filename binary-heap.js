@@ -0,0 +1,132 @@
+/**
+ * Binary Heap Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ *
+ * This file implements a min-ordered binary heap used as the open set
+ * of the grid planners
+ */
+
+class BinaryHeap {
+    constructor(compare) {
+        // compare(a, b) < 0 means a has higher priority than b
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        this.items.push(item);
+        item.heapIndex = this.items.length - 1;
+        this.siftUp(item.heapIndex);
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            last.heapIndex = 0;
+            this.siftDown(0);
+        }
+
+        top.heapIndex = -1;
+        return top;
+    }
+
+    contains(item) {
+        return item.heapIndex >= 0 && this.items[item.heapIndex] === item;
+    }
+
+    // Restore heap order after an item's priority has improved
+    decreaseKey(item) {
+        this.siftUp(item.heapIndex);
+    }
+
+    // Restore heap order after an item's priority has changed in either direction
+    update(item) {
+        this.siftUp(item.heapIndex);
+        this.siftDown(item.heapIndex);
+    }
+
+    remove(item) {
+        const index = item.heapIndex;
+        const last = this.items.pop();
+
+        if (index < this.items.length) {
+            this.items[index] = last;
+            last.heapIndex = index;
+            this.update(last);
+        }
+
+        item.heapIndex = -1;
+    }
+
+    clear() {
+        for (const item of this.items) {
+            item.heapIndex = -1;
+        }
+        this.items = [];
+    }
+
+    siftUp(index) {
+        const items = this.items;
+        const item = items[index];
+
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            const parent = items[parentIndex];
+            if (this.compare(item, parent) >= 0) break;
+
+            // Move parent down into the hole
+            items[index] = parent;
+            parent.heapIndex = index;
+            index = parentIndex;
+        }
+
+        items[index] = item;
+        item.heapIndex = index;
+    }
+
+    siftDown(index) {
+        const items = this.items;
+        const length = items.length;
+        const item = items[index];
+
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+            let smallestItem = item;
+
+            if (left < length && this.compare(items[left], smallestItem) < 0) {
+                smallest = left;
+                smallestItem = items[left];
+            }
+            if (right < length && this.compare(items[right], smallestItem) < 0) {
+                smallest = right;
+                smallestItem = items[right];
+            }
+            if (smallest === index) break;
+
+            // Move smaller child up into the hole
+            items[index] = smallestItem;
+            smallestItem.heapIndex = index;
+            index = smallest;
+        }
+
+        items[index] = item;
+        item.heapIndex = index;
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * Grid Cell Types Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the encoding of occupancy grid cells. Each cell
+ * holds a set of bit flags, so a box can stand in a one-way aisle and a
+ * no-go zone can cover a charger. Boxes own only the BOX bit: box updates
+ * clear and set that bit and leave racks, walls, chargers and aisles as
+ * they were. A plain 0/1 grid is still valid (1 is a box).
+ * 
+ * Robots drive on the floor (y = 0). Above it only lift cells carry them,
+ * and moves between levels are made inside a lift shaft. Racks may span
+ * several levels; boxes on the upper levels are stored in the rack cells.
+ */
+
+const CellType = {
+    EMPTY: 0,
+    BOX: 1,
+    RACK: 2,
+    WALL: 4,
+    NO_GO: 8, // Temporarily closed, toggled by the scenario's schedule
+    CHARGER: 16,
+    
+    // One-way aisle cells, by the direction traffic must flow
+    ONE_WAY_POS_X: 32,
+    ONE_WAY_NEG_X: 64,
+    ONE_WAY_POS_Z: 128,
+    ONE_WAY_NEG_Z: 256,
+    
+    LIFT: 512 // Lift shaft cell: carries robots between levels
+};
+
+const CellMask = {
+    SOLID: CellType.BOX | CellType.RACK | CellType.WALL,
+    BLOCKED: CellType.BOX | CellType.RACK | CellType.WALL | CellType.NO_GO,
+    ONE_WAY: CellType.ONE_WAY_POS_X | CellType.ONE_WAY_NEG_X | CellType.ONE_WAY_POS_Z | CellType.ONE_WAY_NEG_Z
+};
+
+// Extra cost of entering a charger, so robots only pass through one when
+// going round would cost more (chargers are kept clear for charging)
+const CHARGER_PENALTY = 2;
+
+class CellTypes {
+    static isBlocked(value) {
+        return (value & CellMask.BLOCKED) !== 0;
+    }
+    
+    // Whether a robot can stand in a cell on level y
+    static isWalkable(value, y) {
+        return (value & CellMask.BLOCKED) === 0 && (y === 0 || (value & CellType.LIFT) !== 0);
+    }
+    
+    // Boxes stand on open floor (never on a charger or lift) or on a free
+    // rack level
+    static canHoldBox(value, y = 0) {
+        if (y > 0) {
+            return (value & CellType.RACK) !== 0 && (value & CellType.BOX) === 0;
+        }
+        return (value & (CellMask.BLOCKED | CellType.CHARGER | CellType.LIFT)) === 0;
+    }
+    
+    // Idle robots park off chargers and lifts and out of the way of aisle traffic
+    static canPark(value) {
+        return (value & (CellMask.BLOCKED | CellType.CHARGER | CellType.LIFT | CellMask.ONE_WAY)) === 0;
+    }
+    
+    // One-way flags that a move along (dx, dz) would go against
+    static againstFlags(dx, dz) {
+        return (dx > 0 ? CellType.ONE_WAY_NEG_X : dx < 0 ? CellType.ONE_WAY_POS_X : 0) |
+            (dz > 0 ? CellType.ONE_WAY_NEG_Z : dz < 0 ? CellType.ONE_WAY_POS_Z : 0);
+    }
+    
+    // Whether a robot may step from one cell into the next along (dx, dz).
+    // A robot caught in a no-go zone when it closes may drive out, but
+    // nobody drives in. A move may not enter, cross or leave a one-way cell
+    // against its direction; moving sideways into or out of an aisle is fine.
+    // Moves between levels (dy) stay inside a lift shaft.
+    static allowsMove(from, to, dx, dz, dy = 0) {
+        if ((to & CellMask.SOLID) !== 0) return false;
+        if (dy !== 0 && (from & to & CellType.LIFT) === 0) return false;
+        if ((to & CellType.NO_GO) !== 0 && (from & CellType.NO_GO) === 0) return false;
+        return ((from | to) & CellTypes.againstFlags(dx, dz)) === 0;
+    }
+    
+    // Cost of entering a cell on top of the distance moved
+    static penalty(value) {
+        return (value & CellType.CHARGER) !== 0 ? CHARGER_PENALTY : 0;
+    }
+    
+    // One-way flag for a direction of travel along x or z
+    static oneWayFlag(dx, dz) {
+        if (dx > 0) return CellType.ONE_WAY_POS_X;
+        if (dx < 0) return CellType.ONE_WAY_NEG_X;
+        return dz > 0 ? CellType.ONE_WAY_POS_Z : CellType.ONE_WAY_NEG_Z;
+    }
+    
+    // Unit direction of a one-way cell, or null
+    static oneWayDirection(value) {
+        if (value & CellType.ONE_WAY_POS_X) return { dx: 1, dz: 0 };
+        if (value & CellType.ONE_WAY_NEG_X) return { dx: -1, dz: 0 };
+        if (value & CellType.ONE_WAY_POS_Z) return { dx: 0, dz: 1 };
+        if (value & CellType.ONE_WAY_NEG_Z) return { dx: 0, dz: -1 };
+        return null;
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Model Comparison Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the side-by-side comparison of the detection
+ * models: two simulations of the same scenario and seed, one whose robots
+ * act on the Baseline model's detections and one on QINA's, advanced in
+ * lockstep. Each module draws from its own seeded stream, and every box
+ * resizes and every restock is placed on a stream of its own, so the two
+ * sides see the same warehouse and box dynamics and differ only in what
+ * the active model makes of them.
+ */
+
+// Active model of each side, left to right
+const COMPARISON_MODELS = ['Baseline', 'QINA'];
+
+class Comparison {
+    // options are Simulation options; each side's active model is set here
+    constructor(options = {}) {
+        const seed = SeededRandom.normalizeSeed(
+            options.seed !== undefined ? options.seed : SeededRandom.randomSeed());
+        this.sides = COMPARISON_MODELS.map(activeModel => new Simulation({ ...options, seed, activeModel }));
+    }
+    
+    get seed() {
+        return this.sides[0].seed;
+    }
+    
+    get time() {
+        return this.sides[0].time;
+    }
+    
+    // Advance both sides by one fixed step
+    step() {
+        for (const simulation of this.sides) {
+            simulation.step();
+        }
+    }
+    
+    // Run for a span of simulated seconds
+    run(duration) {
+        const steps = Math.round(duration / this.sides[0].config.dt);
+        for (let i = 0; i < steps; i++) {
+            this.step();
+        }
+    }
+    
+    // Restart both sides; the same seed replays the same pair of runs
+    reset(seed = this.seed) {
+        for (const simulation of this.sides) {
+            simulation.reset(seed);
+        }
+    }
+    
+    // Switch both sides to another scenario
+    loadScenario(scenario, seed = this.seed) {
+        for (const simulation of this.sides) {
+            simulation.loadScenario(scenario, seed);
+        }
+    }
+    
+    // Cumulative totals of one side: {model, tasks, misses, falsePositives,
+    // distance}, misses and false positives being its active model's
+    static getStats(simulation) {
+        const model = simulation.activeModel === 'QINA' ? simulation.qinaModel : simulation.baselineModel;
+        return {
+            model: simulation.activeModel,
+            tasks: simulation.fleet.tasksCompleted,
+            misses: model.missedDetections,
+            falsePositives: model.falsePositives,
+            distance: simulation.fleet.robots.reduce((total, robot) => total + robot.distanceTravelled, 0)
+        };
+    }
+    
+    getStats() {
+        return this.sides.map(simulation => Comparison.getStats(simulation));
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * D* Lite Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements D* Lite (Koenig and Likhachev, 2002), an incremental
+ * planner for a fixed goal and a moving start. It searches backwards from
+ * the goal, so g(s) is the cost from s to the goal. When grid cells change,
+ * only the vertices whose cost-to-goal is affected are expanded again, and
+ * the path from the robot's current cell is repaired instead of planned
+ * from scratch.
+ */
+
+class DStarLite {
+    constructor(grid, goal, options = {}) {
+        this.grid = grid;
+        this.goal = { x: goal.x, y: goal.y, z: goal.z };
+        this.maxExpansions = options.maxExpansions || 50000;
+        
+        // Neighbors, step costs and the heuristic come from the grid planners
+        this.pathfinder = new AStarPathfinder(grid, { verticalCost: options.verticalCost });
+        
+        this.nodes = new Map(); // nodeKey -> {x, y, z, g, rhs, k1, k2}
+        this.open = new BinaryHeap((a, b) => a.k1 - b.k1 || a.k2 - b.k2);
+        this.start = null;
+        this.km = 0; // Key modifier: heuristic drift as the start moves
+        this.stats = { expanded: 0, updated: 0, searches: 0 };
+        
+        const goalNode = this.getNode(this.goal);
+        goalNode.rhs = 0;
+        this.insert(goalNode);
+    }
+    
+    getNode(cell) {
+        const key = this.pathfinder.nodeKey(cell.x, cell.y, cell.z);
+        let node = this.nodes.get(key);
+        if (!node) {
+            node = { x: cell.x, y: cell.y, z: cell.z, g: Infinity, rhs: Infinity, k1: 0, k2: 0, heapIndex: -1 };
+            this.nodes.set(key, node);
+        }
+        return node;
+    }
+    
+    isGoal(node) {
+        return node.x === this.goal.x && node.y === this.goal.y && node.z === this.goal.z;
+    }
+    
+    setKey(node) {
+        const best = Math.min(node.g, node.rhs);
+        node.k1 = best + this.pathfinder.heuristic(this.start || this.goal, node) + this.km;
+        node.k2 = best;
+    }
+    
+    insert(node) {
+        this.setKey(node);
+        this.open.push(node);
+    }
+    
+    // Recompute a vertex's one-step lookahead and its place in the open set
+    updateVertex(node) {
+        this.stats.updated++;
+        if (!this.isGoal(node)) {
+            node.rhs = Infinity;
+            for (const next of this.pathfinder.getNeighbors(node.x, node.y, node.z)) {
+                const g = this.getNode(next).g;
+                if (g !== Infinity) {
+                    node.rhs = Math.min(node.rhs, this.pathfinder.cost(node, next) + g);
+                }
+            }
+        }
+        
+        if (this.open.contains(node)) {
+            this.open.remove(node);
+        }
+        if (node.g !== node.rhs) {
+            this.insert(node);
+        }
+    }
+    
+    // Vertices whose cost-to-goal may depend on a cell: the cell and every
+    // cell beside, above or below it (an edge into the cell may have
+    // appeared or vanished)
+    updateAround(cell) {
+        this.updateVertex(this.getNode(cell));
+        for (const [dx, dy, dz] of [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1], [0, 1, 0], [0, -1, 0]]) {
+            const x = cell.x + dx;
+            const y = cell.y + dy;
+            const z = cell.z + dz;
+            if (this.pathfinder.inBounds(x, y, z)) {
+                this.updateVertex(this.getNode({ x, y, z }));
+            }
+        }
+    }
+    
+    // The robot moved; keys already in the open set stay valid lower bounds
+    moveStart(cell) {
+        if (this.start) {
+            this.km += this.pathfinder.heuristic(this.start, cell);
+        }
+        this.start = { x: cell.x, y: cell.y, z: cell.z };
+    }
+    
+    // Cells whose CellType flags changed since the last search
+    updateCells(cells) {
+        for (const cell of cells) {
+            if (this.pathfinder.inBounds(cell.x, cell.y, cell.z)) {
+                this.updateAround(cell);
+            }
+        }
+    }
+    
+    isBefore(node, k1, k2) {
+        return node.k1 < k1 || (node.k1 === k1 && node.k2 < k2);
+    }
+    
+    // Expand until the start is consistent and no open key is below it
+    computeShortestPath() {
+        const start = this.getNode(this.start);
+        this.stats.searches++;
+        let expanded = 0;
+        
+        while (!this.open.isEmpty()) {
+            this.setKey(start);
+            const top = this.open.peek();
+            if (!this.isBefore(top, start.k1, start.k2) && start.rhs === start.g) break;
+            if (++expanded > this.maxExpansions) break;
+            
+            const oldK1 = top.k1;
+            const oldK2 = top.k2;
+            this.setKey(top);
+            if (this.isBefore({ k1: oldK1, k2: oldK2 }, top.k1, top.k2)) {
+                // Its key was stale: put it back with the current one
+                this.open.update(top);
+                continue;
+            }
+            
+            this.open.pop();
+            if (top.g > top.rhs) {
+                top.g = top.rhs;
+            } else {
+                top.g = Infinity;
+                this.updateVertex(top);
+            }
+            for (const previous of this.pathfinder.getNeighbors(top.x, top.y, top.z, true)) {
+                this.updateVertex(this.getNode(previous));
+            }
+        }
+        
+        this.stats.expanded += expanded;
+        return expanded;
+    }
+    
+    // Cells from the start (exclusive) to the goal, following the cheapest
+    // successor at each cell; null when the goal is unreachable
+    findPath(start) {
+        this.moveStart(start);
+        this.computeShortestPath();
+        
+        let current = this.getNode(this.start);
+        if (current.g === Infinity) return null;
+        
+        const path = [];
+        const limit = this.nodes.size;
+        while (!this.isGoal(current)) {
+            let best = null;
+            let bestCost = Infinity;
+            for (const next of this.pathfinder.getNeighbors(current.x, current.y, current.z)) {
+                const cost = this.pathfinder.cost(current, next) + this.getNode(next).g;
+                if (cost < bestCost) {
+                    best = next;
+                    bestCost = cost;
+                }
+            }
+            if (!best || path.length > limit) return null;
+            
+            path.push(best);
+            current = this.getNode(best);
+        }
+        return path;
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * Detection Metrics Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the evaluation of one detection model over a run.
+ * Each detection pass is a frame: detections are matched to the ground
+ * truth boxes, most confident first, through a center-distance or IoU
+ * gate, and the frame's matches, confidences and latency are kept. From
+ * the kept frames come precision, recall and F1, localization error, AP
+ * over confidence thresholds (mAP averages it over several distance
+ * gates, as nuScenes does), a calibration curve and a latency histogram.
+ */
+
+const MatchGate = {
+    DISTANCE: 'distance', // Centers at most maxDistance cells apart
+    IOU: 'iou' // Axis-aligned cubes overlapping by at least minIoU
+};
+
+const DetectionMetricsDefaults = {
+    gate: MatchGate.DISTANCE,
+    maxDistance: 1.0, // Cells
+    minIoU: 0.25,
+    apDistances: [0.25, 0.5, 1, 2], // Center-distance gates mAP averages AP over
+    calibrationBins: 10,
+    latencyBins: 12,
+    maxFrames: 1000 // Oldest frames are dropped beyond this
+};
+
+class DetectionMetrics {
+    constructor(options = {}) {
+        this.config = { ...DetectionMetricsDefaults, ...options };
+        this.reset();
+    }
+    
+    reset() {
+        this.frames = [];
+    }
+    
+    // Change the gate or the AP distances; the kept frames are scored again
+    configure(options) {
+        this.config = { ...this.config, ...options };
+        this.frames.forEach(frame => this.scoreFrame(frame));
+    }
+    
+    // Score one detection pass: result is a model's detect() result
+    // ({detections, processTime}), boxes the ground truth at that time.
+    // Both are copied, since boxes move on after the pass.
+    addFrame(time, result, boxes) {
+        const frame = this.scoreFrame({
+            time,
+            detections: result.detections.map(detection => ({
+                position: { ...detection.position },
+                center: detection.center && { ...detection.center },
+                size: detection.size,
+                confidence: detection.confidence
+            })),
+            truth: boxes.map(box => ({ position: { ...box.position }, scale: box.scale })),
+            latencyMs: result.processTime * 1000
+        });
+        
+        this.frames.push(frame);
+        if (this.frames.length > this.config.maxFrames) {
+            this.frames.shift();
+        }
+        return frame;
+    }
+    
+    // Match a frame's detections at the primary gate and at each AP gate
+    scoreFrame(frame) {
+        const { detections, truth } = frame;
+        const primary = DetectionMetrics.match(detections, truth, this.config);
+        return Object.assign(frame, {
+            boxes: truth.length,
+            tp: primary.matches.length,
+            fp: primary.unmatchedDetections.length,
+            fn: primary.unmatchedBoxes.length,
+            errors: primary.matches.map(match => match.distance),
+            ious: primary.matches.map(match => match.iou),
+            
+            // [confidence, matched] per detection
+            scored: DetectionMetrics.scoreDetections(detections, primary),
+            apScored: this.config.apDistances.map(maxDistance => DetectionMetrics.scoreDetections(detections,
+                DetectionMetrics.match(detections, truth, { gate: MatchGate.DISTANCE, maxDistance })))
+        });
+    }
+    
+    static scoreDetections(detections, matching) {
+        const matched = new Set(matching.matches.map(match => match.detection));
+        return detections.map(detection => [detection.confidence, matched.has(detection)]);
+    }
+    
+    // Greedy matching, most confident detection first, each to the best
+    // unmatched box the gate allows (nearest, or largest overlap):
+    // {matches: [{detection, box, distance, iou}], unmatchedDetections, unmatchedBoxes}
+    static match(detections, boxes, options = {}) {
+        const { gate, maxDistance, minIoU } = { ...DetectionMetricsDefaults, ...options };
+        const unmatched = new Set(boxes);
+        const matches = [];
+        const unmatchedDetections = [];
+        
+        const ranked = [...detections].sort((a, b) => b.confidence - a.confidence);
+        for (const detection of ranked) {
+            let best = null;
+            for (const box of unmatched) {
+                const distance = DetectionMetrics.distance(detection, box);
+                const iou = DetectionMetrics.iou(detection, box);
+                const allowed = gate === MatchGate.IOU ? iou >= minIoU : distance <= maxDistance;
+                const better = !best || (gate === MatchGate.IOU ? iou > best.iou : distance < best.distance);
+                if (allowed && better) {
+                    best = { detection, box, distance, iou };
+                }
+            }
+            
+            if (best) {
+                unmatched.delete(best.box);
+                matches.push(best);
+            } else {
+                unmatchedDetections.push(detection);
+            }
+        }
+        return { matches, unmatchedDetections, unmatchedBoxes: [...unmatched] };
+    }
+    
+    // Where a detection puts the box: its sub-cell center when it has one
+    static centerOf(detection) {
+        return detection.center || detection.position;
+    }
+    
+    static distance(detection, box) {
+        const center = DetectionMetrics.centerOf(detection);
+        return Math.hypot(center.x - box.position.x, center.y - box.position.y, center.z - box.position.z);
+    }
+    
+    // IoU of axis-aligned cubes: the detection's edge is its size (one
+    // cell when it gives none), the box's its scale
+    static iou(detection, box) {
+        const center = DetectionMetrics.centerOf(detection);
+        const a = detection.size || 1;
+        const b = box.scale || 1;
+        let intersection = 1;
+        for (const axis of ['x', 'y', 'z']) {
+            const low = Math.max(center[axis] - a / 2, box.position[axis] - b / 2);
+            const high = Math.min(center[axis] + a / 2, box.position[axis] + b / 2);
+            intersection *= Math.max(0, high - low);
+        }
+        return intersection / (a ** 3 + b ** 3 - intersection);
+    }
+    
+    // Everything the panels show, over the kept frames
+    getSummary() {
+        const frames = this.frames;
+        const totals = { tp: 0, fp: 0, fn: 0, boxes: 0 };
+        for (const frame of frames) {
+            totals.tp += frame.tp;
+            totals.fp += frame.fp;
+            totals.fn += frame.fn;
+            totals.boxes += frame.boxes;
+        }
+        const precision = Statistics.ratio(totals.tp, totals.tp + totals.fp);
+        const recall = Statistics.ratio(totals.tp, totals.tp + totals.fn);
+        const errors = frames.flatMap(frame => frame.errors);
+        const ious = frames.flatMap(frame => frame.ious);
+        
+        const primary = DetectionMetrics.averagePrecision(frames.flatMap(frame => frame.scored), totals.boxes);
+        const ap = this.config.apDistances.map((maxDistance, index) => ({
+            maxDistance,
+            ap: DetectionMetrics.averagePrecision(frames.flatMap(frame => frame.apScored[index]), totals.boxes).ap
+        }));
+        
+        return {
+            frames: frames.length,
+            ...totals,
+            precision,
+            recall,
+            f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : NaN,
+            localizationError: errors.length > 0 ? Statistics.mean(errors) : NaN,
+            meanIoU: ious.length > 0 ? Statistics.mean(ious) : NaN,
+            prCurve: primary.curve, // At the primary gate
+            ap,
+            mAP: ap.length > 0 ? Statistics.mean(ap.map(entry => entry.ap)) : NaN,
+            calibration: this.getCalibration(),
+            latency: this.getLatencyHistogram()
+        };
+    }
+    
+    // AP from [confidence, matched] pairs pooled over frames: the area
+    // under the precision-recall curve swept over confidence thresholds,
+    // with precision made monotone (all-point interpolation).
+    // Returns {ap, curve: [{recall, precision, confidence}]}.
+    static averagePrecision(scored, totalBoxes) {
+        if (totalBoxes === 0) return { ap: NaN, curve: [] };
+        const ranked = [...scored].sort((a, b) => b[0] - a[0]);
+        const curve = [];
+        let tp = 0;
+        ranked.forEach(([confidence, matched], index) => {
+            if (matched) tp++;
+            curve.push({ recall: tp / totalBoxes, precision: tp / (index + 1), confidence });
+        });
+        
+        for (let i = curve.length - 2; i >= 0; i--) {
+            curve[i].precision = Math.max(curve[i].precision, curve[i + 1].precision);
+        }
+        let ap = 0;
+        let previousRecall = 0;
+        for (const point of curve) {
+            ap += (point.recall - previousRecall) * point.precision;
+            previousRecall = point.recall;
+        }
+        return { ap, curve };
+    }
+    
+    // Reliability of the confidences at the primary gate: per confidence
+    // bin, the mean confidence and the share that matched a box.
+    // {bins: [{low, high, count, confidence, accuracy}], ece}, where ECE
+    // is the count-weighted gap between the two.
+    getCalibration() {
+        const count = this.config.calibrationBins;
+        const bins = Array.from({ length: count }, (_, i) => ({
+            low: i / count, high: (i + 1) / count, count: 0, confidence: 0, accuracy: 0
+        }));
+        let total = 0;
+        for (const frame of this.frames) {
+            for (const [confidence, matched] of frame.scored) {
+                const bin = bins[Math.min(count - 1, Math.floor(confidence * count))];
+                bin.count++;
+                bin.confidence += confidence;
+                bin.accuracy += matched ? 1 : 0;
+                total++;
+            }
+        }
+        
+        let ece = 0;
+        for (const bin of bins) {
+            if (bin.count === 0) continue;
+            bin.confidence /= bin.count;
+            bin.accuracy /= bin.count;
+            ece += bin.count / total * Math.abs(bin.accuracy - bin.confidence);
+        }
+        return { bins, ece: total > 0 ? ece : NaN };
+    }
+    
+    // Per-frame latency in equal bins up to the slowest frame:
+    // {bins: [{low, high, count}], mean, p50, p95, p99} in ms
+    getLatencyHistogram() {
+        const latencies = this.frames.map(frame => frame.latencyMs);
+        const count = this.config.latencyBins;
+        const top = Math.max(1e-3, ...latencies);
+        const bins = Array.from({ length: count }, (_, i) => ({ low: top * i / count, high: top * (i + 1) / count, count: 0 }));
+        for (const latency of latencies) {
+            bins[Math.min(count - 1, Math.floor(latency / top * count))].count++;
+        }
+        return {
+            bins,
+            mean: Statistics.mean(latencies),
+            p50: Statistics.percentile(latencies, 0.5),
+            p95: Statistics.percentile(latencies, 0.95),
+            p99: Statistics.percentile(latencies, 0.99)
+        };
+    }
+    
+    // True positives, false positives and misses per frame
+    getTimeline() {
+        return this.frames.map(frame => ({ time: frame.time, tp: frame.tp, fp: frame.fp, fn: frame.fn }));
+    }
+}
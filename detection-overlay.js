@@ -0,0 +1,191 @@
+/**
+ * Detection Overlay Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the scene layer that shows what the detection
+ * models made of the last detection pass: a wireframe volume per
+ * detection colored from red (low confidence) to green (high) with its
+ * confidence floating above it, a marker over each false positive and a
+ * red ghost over each box in view that a model missed. It draws the
+ * Baseline model's pass, QINA's or both, and reads lastResults from a
+ * Simulation or a RecordingPlayer alike.
+ */
+
+// Models whose detections the overlay shows
+const OverlayMode = {
+    BOTH: 'both',
+    BASELINE: 'Baseline',
+    QINA: 'QINA',
+    OFF: 'off'
+};
+
+const OVERLAY_MODELS = [
+    { name: 'Baseline', key: 'baseline', tag: 'B', color: '#FF9800', inflate: 1.15, labelLift: 0.3 },
+    { name: 'QINA', key: 'qina', tag: 'Q', color: '#4CAF50', inflate: 1.0, labelLift: 0 }
+];
+
+const OVERLAY_CONFIDENCE_STEPS = 10; // Confidence colors are shared per tenth
+const OVERLAY_BOX_SIZE = 0.7; // Edge of a box mesh at scale 1 (WarehouseRenderer's box geometry)
+
+class DetectionOverlay {
+    constructor(scene) {
+        this.scene = scene;
+        this.mode = OverlayMode.BOTH;
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+        this.shown = null; // Results last drawn, and the mode they were drawn in
+        this.shownMode = null;
+        this.size = null; // Grid size of the warehouse drawn over
+        
+        const cube = new THREE.BoxGeometry(1, 1, 1);
+        this.edgesGeometry = new THREE.EdgesGeometry(cube);
+        this.ghostGeometry = cube;
+        this.markerGeometry = new THREE.ConeGeometry(0.14, 0.35, 8);
+        this.markerGeometry.rotateX(Math.PI); // Point down at the false positive
+        
+        this.materials = {
+            confidence: Array.from({ length: OVERLAY_CONFIDENCE_STEPS + 1 }, (_, step) =>
+                new THREE.LineBasicMaterial({
+                    color: new THREE.Color().setHSL(step / OVERLAY_CONFIDENCE_STEPS / 3, 0.9, 0.55)
+                })),
+            ghostEdges: new THREE.LineBasicMaterial({
+                color: 0xF44336,
+                transparent: true,
+                opacity: 0.9
+            }),
+            ghost: new THREE.MeshBasicMaterial({
+                color: 0xF44336,
+                transparent: true,
+                opacity: 0.15,
+                depthWrite: false
+            }),
+            falsePositive: new THREE.MeshBasicMaterial({
+                color: 0xE040FB
+            })
+        };
+    }
+    
+    setMode(mode) {
+        this.mode = mode;
+    }
+    
+    // Draw the last detection pass of a Simulation or RecordingPlayer; the
+    // layer is only rebuilt when the pass or the mode changes
+    sync(source) {
+        const results = source.lastResults;
+        if (results === this.shown && this.mode === this.shownMode) return;
+        this.clear();
+        this.shown = results;
+        this.shownMode = this.mode;
+        if (!results || this.mode === OverlayMode.OFF) return;
+        
+        this.size = source.warehouse.size;
+        const models = OVERLAY_MODELS.filter(model => this.mode === OverlayMode.BOTH || this.mode === model.name);
+        
+        // A box missed by both models gets one ghost naming both
+        const ghosts = new Map();
+        for (const model of models) {
+            const result = results[model.key];
+            for (const detection of result.detections) {
+                this.addDetection(detection, model, models.length > 1);
+            }
+            for (const box of result.missed) {
+                const ghost = ghosts.get(box.id) || { box, models: [] };
+                ghost.models.push(model.name);
+                ghosts.set(box.id, ghost);
+            }
+        }
+        for (const { box, models: missedBy } of ghosts.values()) {
+            this.addGhost(box, missedBy.length > 1 ? 'Both missed' : `${missedBy[0]} miss`);
+        }
+    }
+    
+    // Grid cell to scene coordinates, as WarehouseRenderer places boxes
+    toScene(x, z) {
+        return {
+            x: x - this.size.x / 2 + 0.5,
+            z: z - this.size.z / 2 + 0.5
+        };
+    }
+    
+    // Wireframe volume and confidence label, and a marker if nothing matched
+    addDetection(detection, model, tagged) {
+        const center = detection.center || detection.position;
+        const scale = detection.matchedBox ? detection.matchedBox.scale : 1;
+        const edge = OVERLAY_BOX_SIZE * scale * model.inflate;
+        const position = this.toScene(center.x, center.z);
+        const y = center.y + OVERLAY_BOX_SIZE / 2 * scale;
+        
+        const step = Math.round(Math.max(0, Math.min(1, detection.confidence)) * OVERLAY_CONFIDENCE_STEPS);
+        const volume = new THREE.LineSegments(this.edgesGeometry, this.materials.confidence[step]);
+        volume.scale.setScalar(edge);
+        volume.position.set(position.x, y, position.z);
+        this.group.add(volume);
+        
+        const text = `${tagged ? `${model.tag} ` : ''}${detection.confidence.toFixed(2)}`;
+        const label = this.createLabel(text, model.color);
+        label.position.set(position.x, y + edge / 2 + 0.2 + model.labelLift, position.z);
+        this.group.add(label);
+        
+        if (!detection.matchedBox) {
+            const marker = new THREE.Mesh(this.markerGeometry, this.materials.falsePositive);
+            marker.position.set(position.x, y + edge / 2 + 0.65 + model.labelLift, position.z);
+            this.group.add(marker);
+        }
+    }
+    
+    // Red outline and faint fill where a missed box stood
+    addGhost(box, text) {
+        const edge = OVERLAY_BOX_SIZE * box.scale * 1.05;
+        const position = this.toScene(box.position.x, box.position.z);
+        const y = box.position.y + OVERLAY_BOX_SIZE / 2 * box.scale;
+        
+        const fill = new THREE.Mesh(this.ghostGeometry, this.materials.ghost);
+        const outline = new THREE.LineSegments(this.edgesGeometry, this.materials.ghostEdges);
+        for (const mesh of [fill, outline]) {
+            mesh.scale.setScalar(edge);
+            mesh.position.set(position.x, y, position.z);
+            this.group.add(mesh);
+        }
+        
+        const label = this.createLabel(text, '#F44336');
+        label.position.set(position.x, y + edge / 2 + 0.2, position.z);
+        this.group.add(label);
+    }
+    
+    // Text on a colored tag that always faces the camera
+    createLabel(text, color) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 160;
+        canvas.height = 40;
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = color;
+        context.fillRect(0, 0, 6, canvas.height);
+        context.fillStyle = 'white';
+        context.font = 'bold 24px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2 + 3, canvas.height / 2);
+        
+        const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false });
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(1, 0.25, 1);
+        sprite.renderOrder = 1; // Over the volumes
+        return sprite;
+    }
+    
+    // Drop everything drawn; labels own their texture and material
+    clear() {
+        for (const child of [...this.group.children]) {
+            if (child.isSprite) {
+                child.material.map.dispose();
+                child.material.dispose();
+            }
+            this.group.remove(child);
+        }
+        this.shown = null;
+        this.shownMode = null;
+    }
+}
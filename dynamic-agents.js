@@ -0,0 +1,349 @@
+/**
+ * Dynamic Agents Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the forklifts and pickers that share the floor with
+ * the robots. Scripted agents loop through a scenario route of waypoints;
+ * wandering agents random-walk from their start, stopping now and then.
+ * Agents walk cell to cell at their own speed and never step into a cell
+ * a robot stands on or is driving into; one kept waiting steps round the
+ * robot.
+ * 
+ * The fleet plans round where agents are expected over the next few
+ * lockstep steps and holds back a step into a cell an agent holds (see
+ * Fleet.update). Traffic watches the distance between every robot and
+ * agent and logs near-misses and collisions as safety events.
+ */
+
+const TrafficDefaults = {
+    enabled: true, // Off: the scenario's agents stay out of the run
+    stepTime: 1.2, // Seconds a robot takes per lockstep step, to time agents' cells in plans
+    horizon: 8, // Lockstep steps ahead agents' cells are reserved for
+    yieldTimeout: 3, // Seconds robots hold for an agent in the way before planning round it
+    patience: 2, // Seconds an agent waits for a robot before stepping round it
+    nearMissDistance: 0.95, // Cells between robot and agent centers, closer than neighbouring cells
+    collisionDistance: 0.6, // Robot and agent bodies touch
+    maxEvents: 200 // Safety events kept in the log (counts cover them all)
+};
+
+// Speed in cells per second and pause in seconds, for agents that do not set them
+const DynamicAgentDefaults = {
+    [ScenarioAgentType.FORKLIFT]: { speed: 1.2, pause: 3, pauseChance: 0.05 },
+    [ScenarioAgentType.PICKER]: { speed: 0.7, pause: 4, pauseChance: 0.15 }
+};
+
+const SafetyEventType = {
+    NEAR_MISS: 'near-miss',
+    COLLISION: 'collision'
+};
+
+// Floor moves of an agent, in the order a wandering agent tries them
+const AGENT_MOVES = [{ x: 1, z: 0 }, { x: 0, z: 1 }, { x: -1, z: 0 }, { x: 0, z: -1 }];
+
+class DynamicAgent {
+    // spec is a scenario agent: {type, route, speed, pause} or {type, start, speed, pause}
+    constructor(id, spec, patience = TrafficDefaults.patience) {
+        const defaults = DynamicAgentDefaults[spec.type];
+        this.id = id;
+        this.type = spec.type;
+        this.speed = spec.speed !== undefined ? spec.speed : defaults.speed;
+        this.pauseTime = spec.pause !== undefined ? spec.pause : defaults.pause;
+        this.pauseChance = defaults.pauseChance;
+        this.patience = patience;
+        this.waypoints = spec.route ? spec.route.map(cell => ({ x: cell.x, y: 0, z: cell.z })) : null;
+        this.start = this.waypoints ? { ...this.waypoints[0] } : { x: spec.start.x, y: 0, z: spec.start.z };
+        this.reset();
+    }
+    
+    reset() {
+        this.cell = { ...this.start };
+        this.next = null; // Cell being walked into
+        this.progress = 0; // Fraction of the way into next
+        this.position = { ...this.start };
+        this.heading = 0; // atan2(dz, dx), as for robots
+        this.route = []; // Cells still to walk to the current waypoint
+        this.waypointIndex = this.waypoints ? 1 % this.waypoints.length : 0;
+        this.pause = 0; // Seconds left standing still
+        this.waiting = 0; // Seconds kept waiting for a robot
+        this.alert = null; // Worst SafetyEventType of the agent's open encounters
+    }
+    
+    isScripted() {
+        return this.waypoints !== null;
+    }
+    
+    // Cells the agent holds: the one it stands on and the one it walks into
+    getCells() {
+        return this.next ? [this.cell, this.next] : [this.cell];
+    }
+    
+    // isFree(cell) says whether no robot or other agent holds a cell
+    update(deltaTime, grid, isFree, random) {
+        if (this.pause > 0) {
+            this.pause = Math.max(0, this.pause - deltaTime);
+            return;
+        }
+        
+        if (!this.next) {
+            this.next = this.isScripted() ? this.chooseRouteCell(grid, isFree, random) : this.chooseWalkCell(grid, isFree, random);
+            if (!this.next) {
+                this.waiting += deltaTime;
+                return;
+            }
+            this.waiting = 0;
+            this.heading = Math.atan2(this.next.z - this.cell.z, this.next.x - this.cell.x);
+        }
+        
+        this.progress += this.speed * deltaTime;
+        if (this.progress >= 1) {
+            this.cell = this.next;
+            this.next = null;
+            this.progress = 0;
+            this.arrive(random);
+        }
+        this.syncPose();
+    }
+    
+    // Next cell of the route to the current waypoint. A robot in the way
+    // is waited for, then walked round, or stepped away from when there is
+    // no way round.
+    chooseRouteCell(grid, isFree, random) {
+        if (this.route.length === 0) {
+            this.route = this.findRoute(grid, this.waypoints[this.waypointIndex], () => true) || [];
+            if (this.route.length === 0) {
+                // Already there, or no way there: head for the waypoint after
+                this.waypointIndex = (this.waypointIndex + 1) % this.waypoints.length;
+                return null;
+            }
+        }
+        const cell = this.route[0];
+        if (this.isWalkable(grid, cell) && isFree(cell)) {
+            return this.route.shift();
+        }
+        if (this.waiting < this.patience) return null;
+        
+        const detour = this.findRoute(grid, this.waypoints[this.waypointIndex], isFree);
+        if (detour && detour.length > 0) {
+            this.route = detour;
+            return this.route.shift();
+        }
+        this.route = [];
+        return this.chooseWalkCell(grid, isFree, random);
+    }
+    
+    // A free neighbouring cell, carrying on straight ahead when it can
+    chooseWalkCell(grid, isFree, random) {
+        const options = AGENT_MOVES
+            .map(move => ({ x: this.cell.x + move.x, y: 0, z: this.cell.z + move.z }))
+            .filter(cell => this.isWalkable(grid, cell) && isFree(cell));
+        if (options.length === 0) return null;
+        
+        const ahead = options.find(cell => Math.atan2(cell.z - this.cell.z, cell.x - this.cell.x) === this.heading);
+        return ahead && random.chance(0.7) ? ahead : random.pick(options);
+    }
+    
+    // Pause at a waypoint and head for the next, or stop at random while wandering
+    arrive(random) {
+        if (this.isScripted()) {
+            const waypoint = this.waypoints[this.waypointIndex];
+            if (this.route.length === 0 && this.cell.x === waypoint.x && this.cell.z === waypoint.z) {
+                this.pause = this.pauseTime;
+                this.waypointIndex = (this.waypointIndex + 1) % this.waypoints.length;
+            }
+        } else if (random.chance(this.pauseChance)) {
+            this.pause = this.pauseTime * random.range(0.5, 1.5);
+        }
+    }
+    
+    syncPose() {
+        const to = this.next || this.cell;
+        this.position = {
+            x: this.cell.x + (to.x - this.cell.x) * this.progress,
+            y: 0,
+            z: this.cell.z + (to.z - this.cell.z) * this.progress
+        };
+    }
+    
+    isWalkable(grid, cell) {
+        return cell.x >= 0 && cell.x < grid.length && cell.z >= 0 && cell.z < grid[0][0].length &&
+            (grid[cell.x][0][cell.z] & CellMask.BLOCKED) === 0;
+    }
+    
+    // Breadth-first route over the floor to a goal through walkable cells
+    // that pass; the cells after the agent's own, or null
+    findRoute(grid, goal, passes) {
+        const key = cell => `${cell.x},${cell.z}`;
+        const parents = new Map([[key(this.cell), null]]);
+        const queue = [this.cell];
+        
+        for (let head = 0; head < queue.length; head++) {
+            const cell = queue[head];
+            if (cell.x === goal.x && cell.z === goal.z) {
+                const route = [];
+                for (let current = cell; current !== this.cell; current = parents.get(key(current))) {
+                    route.push(current);
+                }
+                return route.reverse();
+            }
+            
+            for (const move of AGENT_MOVES) {
+                const neighbor = { x: cell.x + move.x, y: 0, z: cell.z + move.z };
+                if (parents.has(key(neighbor)) || !this.isWalkable(grid, neighbor) || !passes(neighbor)) continue;
+                parents.set(key(neighbor), cell);
+                queue.push(neighbor);
+            }
+        }
+        return null;
+    }
+    
+    // Cells the agent is expected on over the next seconds: [{cell, from, to}].
+    // A standing agent may stay put the whole time; a walking one holds its
+    // cells until it is through them, and a scripted one follows its route.
+    predict(horizon) {
+        if (!this.next) {
+            return [{ cell: this.cell, from: 0, to: horizon }];
+        }
+        
+        const perCell = 1 / this.speed;
+        let time = (1 - this.progress) * perCell;
+        const windows = [
+            { cell: this.cell, from: 0, to: time },
+            { cell: this.next, from: 0, to: time + perCell }
+        ];
+        if (this.isScripted()) {
+            for (const cell of this.route) {
+                if (time >= horizon) break;
+                windows.push({ cell, from: time, to: time + 2 * perCell });
+                time += perCell;
+            }
+        }
+        return windows;
+    }
+}
+
+// Every agent of a scenario, moved together, with the safety event log
+class Traffic {
+    constructor(specs = [], random = new SeededRandom(), options = {}) {
+        this.config = { ...TrafficDefaults, ...options };
+        this.agents = this.config.enabled ? specs.map((spec, id) => new DynamicAgent(id, spec, this.config.patience)) : [];
+        this.reset(random);
+    }
+    
+    reset(random = this.random) {
+        this.random = random;
+        for (const agent of this.agents) {
+            agent.reset();
+        }
+        this.events = []; // Latest safety events, oldest first
+        this.counts = { [SafetyEventType.NEAR_MISS]: 0, [SafetyEventType.COLLISION]: 0 };
+        this.encounters = new Map(); // "robot:agent" -> open event
+        this.closest = Infinity; // Closest any robot came to an agent in an encounter
+    }
+    
+    // Move every agent; robots' cells, and those they are driving into, are off limits
+    update(deltaTime, grid, robots) {
+        if (this.agents.length === 0) return;
+        
+        const held = new Set();
+        for (const robot of robots) {
+            for (const cell of [robot.getCell(), ...robot.getCommittedCells()]) {
+                if (cell.y === 0) held.add(`${cell.x},${cell.z}`);
+            }
+        }
+        for (const agent of this.agents) {
+            const others = new Set(this.agents.filter(other => other !== agent)
+                .flatMap(other => other.getCells()).map(cell => `${cell.x},${cell.z}`));
+            const isFree = cell => !held.has(`${cell.x},${cell.z}`) && !others.has(`${cell.x},${cell.z}`);
+            agent.update(deltaTime, grid, isFree, this.random);
+        }
+    }
+    
+    // Cells agents hold now
+    getOccupiedCells() {
+        return this.agents.flatMap(agent => agent.getCells());
+    }
+    
+    isOccupied(cell) {
+        return cell.y === 0 && this.agents.some(agent =>
+            agent.getCells().some(other => other.x === cell.x && other.z === cell.z));
+    }
+    
+    // Agents' expected cells by lockstep step for the planners: [{id, cell, t}],
+    // id naming the agent apart from robot ids
+    getReservations() {
+        const { stepTime, horizon } = this.config;
+        const reservations = [];
+        for (const agent of this.agents) {
+            for (const { cell, from, to } of agent.predict(horizon * stepTime)) {
+                const last = Math.min(horizon, Math.ceil(to / stepTime));
+                for (let t = Math.floor(from / stepTime); t <= last; t++) {
+                    reservations.push({ id: `agent-${agent.id}`, cell, t });
+                }
+            }
+        }
+        return reservations;
+    }
+    
+    // Log robots coming too close to agents: one event per encounter, made a
+    // collision if it gets that close, kept open until they are apart.
+    // Returns the new events.
+    checkSafety(robots, time) {
+        const { nearMissDistance, collisionDistance, maxEvents } = this.config;
+        const added = [];
+        for (const agent of this.agents) {
+            agent.alert = null;
+        }
+        
+        for (const robot of robots) {
+            if (Math.round(robot.position.y) !== 0) continue;
+            for (const agent of this.agents) {
+                const key = `${robot.id}:${agent.id}`;
+                const distance = Math.hypot(robot.position.x - agent.position.x, robot.position.z - agent.position.z);
+                let event = this.encounters.get(key);
+                
+                // Apart again, with some slack so an encounter is not logged twice
+                if (distance >= nearMissDistance) {
+                    if (event && distance >= nearMissDistance + 0.1) {
+                        this.encounters.delete(key);
+                    }
+                    continue;
+                }
+                
+                const type = distance < collisionDistance ? SafetyEventType.COLLISION : SafetyEventType.NEAR_MISS;
+                if (!event) {
+                    event = {
+                        time,
+                        type,
+                        robot: robot.id,
+                        agent: agent.id,
+                        agentType: agent.type,
+                        position: { x: (robot.position.x + agent.position.x) / 2, z: (robot.position.z + agent.position.z) / 2 },
+                        distance
+                    };
+                    this.encounters.set(key, event);
+                    this.events.push(event);
+                    if (this.events.length > maxEvents) this.events.shift();
+                    this.counts[type]++;
+                    added.push(event);
+                } else if (type === SafetyEventType.COLLISION && event.type === SafetyEventType.NEAR_MISS) {
+                    event.type = type;
+                    this.counts[SafetyEventType.NEAR_MISS]--;
+                    this.counts[SafetyEventType.COLLISION]++;
+                }
+                event.distance = Math.min(event.distance, distance);
+                this.closest = Math.min(this.closest, distance);
+                agent.alert = agent.alert === SafetyEventType.COLLISION ? agent.alert : event.type;
+            }
+        }
+        return added;
+    }
+    
+    // Near-misses and collisions so far, and the closest any robot came to an agent
+    getSafetyStats() {
+        return {
+            nearMisses: this.counts[SafetyEventType.NEAR_MISS],
+            collisions: this.counts[SafetyEventType.COLLISION],
+            closest: this.closest
+        };
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Evaluation Panel Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the expandable evaluation panel of one detection
+ * model. As a simulation observer it scores every detection pass with
+ * DetectionMetrics and, while the panel is open, shows precision, recall,
+ * F1, localization, mAP, calibration and latency, with charts of the
+ * precision-recall curve, the reliability diagram, the latency histogram
+ * and the confusion counts over time.
+ */
+
+const EvaluationColors = {
+    truePositive: '#8BC34A',
+    falsePositive: '#FFC107',
+    missed: '#FF5252',
+    reference: 'rgba(255, 255, 255, 0.3)'
+};
+
+class EvaluationPanel {
+    // model: the key of the model's result in onDetection ('baseline' or
+    // 'qina'); the panel's elements have ids starting with prefix
+    constructor(model, prefix, color, options = {}) {
+        this.model = model;
+        this.color = color;
+        this.metrics = new DetectionMetrics(options);
+        
+        const element = name => document.getElementById(`${prefix}-${name}`);
+        this.panel = document.getElementById(prefix);
+        this.gateSelect = element('gate');
+        this.elements = {
+            precision: element('precision'),
+            recall: element('recall'),
+            f1: element('f1'),
+            localization: element('localization'),
+            map: element('map'),
+            ece: element('ece'),
+            latency: element('latency')
+        };
+        this.charts = {
+            pr: element('pr-chart'),
+            calibration: element('calibration-chart'),
+            latency: element('latency-chart'),
+            timeline: element('timeline-chart')
+        };
+        
+        this.gateSelect.value = this.metrics.config.gate;
+        this.panel.addEventListener('toggle', () => this.render());
+    }
+    
+    onDetection(sim, results) {
+        this.metrics.addFrame(sim.time, results[this.model], results.boxes);
+        this.render();
+    }
+    
+    onReset() {
+        this.metrics.reset();
+        this.render();
+    }
+    
+    setGate(gate) {
+        this.metrics.configure({ gate });
+        this.gateSelect.value = gate;
+        this.render();
+    }
+    
+    // Refresh the figures and charts; skipped while the panel is closed
+    render() {
+        if (!this.panel.open) return;
+        
+        const summary = this.metrics.getSummary();
+        const { elements } = this;
+        const percent = value => Number.isNaN(value) ? '-' : `${(value * 100).toFixed(1)}%`;
+        const fixed = (value, digits) => Number.isNaN(value) ? '-' : value.toFixed(digits);
+        
+        elements.precision.textContent = `${percent(summary.precision)} (${summary.tp} of ${summary.tp + summary.fp})`;
+        elements.recall.textContent = `${percent(summary.recall)} (${summary.tp} of ${summary.boxes})`;
+        elements.f1.textContent = fixed(summary.f1, 3);
+        elements.localization.textContent = `${fixed(summary.localizationError, 2)} cells, IoU ${fixed(summary.meanIoU, 2)}`;
+        elements.map.textContent = fixed(summary.mAP, 3);
+        elements.map.title = summary.ap.map(entry => `AP@${entry.maxDistance}: ${fixed(entry.ap, 3)}`).join('\n');
+        elements.ece.textContent = `ECE ${fixed(summary.calibration.ece, 3)}`;
+        elements.latency.textContent = summary.frames > 0
+            ? `${summary.latency.p50.toFixed(1)} / ${summary.latency.p95.toFixed(1)} / ${summary.latency.p99.toFixed(1)} ms`
+            : '-';
+        elements.latency.title = 'Median, 95th and 99th percentile per detection pass';
+        
+        this.drawPrecisionRecall(summary.prCurve);
+        this.drawCalibration(summary.calibration);
+        this.drawLatency(summary.latency);
+        this.drawTimeline(this.metrics.getTimeline());
+    }
+    
+    // Canvas context cleared for drawing, with a plot area inset by a pixel
+    static beginChart(canvas) {
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        context.clearRect(0, 0, width, height);
+        return {
+            context,
+            width,
+            height,
+            toX: value => 1 + value * (width - 2),
+            toY: value => height - 1 - value * (height - 2)
+        };
+    }
+    
+    // Precision against recall as the confidence threshold falls
+    drawPrecisionRecall(curve) {
+        const { context, toX, toY } = EvaluationPanel.beginChart(this.charts.pr);
+        context.strokeStyle = this.color;
+        context.beginPath();
+        context.moveTo(toX(0), toY(curve.length > 0 ? curve[0].precision : 0));
+        for (const point of curve) {
+            context.lineTo(toX(point.recall), toY(point.precision));
+        }
+        context.stroke();
+    }
+    
+    // Matched share per confidence bin against the diagonal a calibrated
+    // model would follow
+    drawCalibration(calibration) {
+        const { context, width, toX, toY } = EvaluationPanel.beginChart(this.charts.calibration);
+        const barWidth = width / calibration.bins.length;
+        context.fillStyle = this.color;
+        calibration.bins.forEach((bin, index) => {
+            if (bin.count === 0) return;
+            const top = toY(bin.accuracy);
+            context.fillRect(index * barWidth + 1, top, barWidth - 2, toY(0) - top);
+        });
+        
+        context.strokeStyle = EvaluationColors.reference;
+        context.setLineDash([4, 4]);
+        context.beginPath();
+        context.moveTo(toX(0), toY(0));
+        context.lineTo(toX(1), toY(1));
+        context.stroke();
+        context.setLineDash([]);
+    }
+    
+    // Detection passes per latency bin, with the 95th percentile marked
+    drawLatency(latency) {
+        const { context, width, toX, toY } = EvaluationPanel.beginChart(this.charts.latency);
+        const bins = latency.bins;
+        const most = Math.max(1, ...bins.map(bin => bin.count));
+        const barWidth = width / bins.length;
+        context.fillStyle = this.color;
+        bins.forEach((bin, index) => {
+            const top = toY(bin.count / most);
+            context.fillRect(index * barWidth + 1, top, barWidth - 2, toY(0) - top);
+        });
+        
+        if (Number.isNaN(latency.p95)) return;
+        const x = toX(latency.p95 / bins[bins.length - 1].high);
+        context.strokeStyle = EvaluationColors.missed;
+        context.beginPath();
+        context.moveTo(x, toY(0));
+        context.lineTo(x, toY(1));
+        context.stroke();
+    }
+    
+    // One stacked bar per detection pass, the latest at the right: true
+    // positives, then false positives, then misses
+    drawTimeline(timeline) {
+        const { context, width, toY } = EvaluationPanel.beginChart(this.charts.timeline);
+        const barWidth = 3;
+        const shown = timeline.slice(-Math.floor(width / barWidth));
+        const most = Math.max(1, ...shown.map(frame => frame.tp + frame.fp + frame.fn));
+        
+        shown.forEach((frame, index) => {
+            const x = width - (shown.length - index) * barWidth;
+            let base = 0;
+            for (const [count, color] of [
+                [frame.tp, EvaluationColors.truePositive],
+                [frame.fp, EvaluationColors.falsePositive],
+                [frame.fn, EvaluationColors.missed]
+            ]) {
+                context.fillStyle = color;
+                context.fillRect(x, toY((base + count) / most), barWidth - 1, toY(base / most) - toY((base + count) / most));
+                base += count;
+            }
+        });
+    }
+}
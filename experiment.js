@@ -0,0 +1,272 @@
+/**
+ * Detection Experiment Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements seeded batch experiments for the detection models.
+ * Each episode places boxes on an empty floor, renders visual data and
+ * runs every model on it; results are pooled per sweep configuration
+ * with bootstrap confidence intervals. Episodes are paired (all models
+ * see the same boxes), so model differences are bootstrapped per episode.
+ */
+
+// Detection models compared by experiments, keyed by display name
+const ExperimentModels = {
+    Baseline: random => new BaselineModel(random),
+    QINA: (random, options) => new QINAModel(random, options.qinaWeights || QINA_CIRCUIT_WEIGHTS, options.tensorNetwork)
+};
+
+// Summary statistics shared by experiments and the metrics panel
+class Statistics {
+    static sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+    
+    static mean(values) {
+        return values.length > 0 ? Statistics.sum(values) / values.length : 0;
+    }
+    
+    // Nearest-rank percentile, p in [0, 1]
+    static percentile(values, p) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1);
+        return sorted[Math.max(0, index)];
+    }
+    
+    // Safe ratio; 0/0 is NaN so callers can tell "no data" from zero
+    static ratio(numerator, denominator) {
+        return denominator > 0 ? numerator / denominator : (numerator > 0 ? Infinity : NaN);
+    }
+    
+    // Percentile bootstrap intervals. statistics(sample) returns an object of
+    // named values; each gets {estimate, low, high} from resampled copies.
+    static bootstrap(samples, statistics, options = {}) {
+        const iterations = options.iterations || 1000;
+        const confidence = options.confidence || 0.95;
+        const random = options.random || new SeededRandom();
+        
+        const point = statistics(samples);
+        const estimates = {};
+        for (const name of Object.keys(point)) {
+            estimates[name] = [];
+        }
+        
+        const resample = new Array(samples.length);
+        for (let i = 0; i < iterations; i++) {
+            for (let j = 0; j < samples.length; j++) {
+                resample[j] = samples[random.int(samples.length)];
+            }
+            const values = statistics(resample);
+            for (const name of Object.keys(point)) {
+                if (!Number.isNaN(values[name])) {
+                    estimates[name].push(values[name]);
+                }
+            }
+        }
+        
+        const alpha = (1 - confidence) / 2;
+        const intervals = {};
+        for (const name of Object.keys(point)) {
+            intervals[name] = {
+                estimate: point[name],
+                low: Statistics.percentile(estimates[name], alpha),
+                high: Statistics.percentile(estimates[name], 1 - alpha),
+                confidence
+            };
+        }
+        return intervals;
+    }
+}
+
+class DetectionExperiment {
+    constructor(options = {}) {
+        this.options = {
+            seed: 1,
+            episodes: 1000,
+            gridSize: 10,
+            boxCounts: [1, 5, 10, 20],
+            rotationRanges: [[0, 0], [0, 45], [0, 360]], // Degrees
+            scaleRanges: [[1, 1], [0.8, 1.2], [0.5, 1.5]],
+            models: Object.keys(ExperimentModels),
+            bootstrapIterations: 1000,
+            confidence: 0.95,
+            claimRatio: 5, // "5x fewer errors" than the first model
+            qinaWeights: null, // Saved circuit weights for QINA (null for the shipped ones)
+            tensorNetwork: {}, // QINA's denoiser, e.g. its rank (see TensorNetworkDefaults)
+            ...options
+        };
+        this.random = new SeededRandom(this.options.seed);
+    }
+    
+    // Every combination of the swept parameters
+    getConfigurations() {
+        const configurations = [];
+        for (const boxCount of this.options.boxCounts) {
+            for (const rotation of this.options.rotationRanges) {
+                for (const scale of this.options.scaleRanges) {
+                    configurations.push({ boxCount, rotation, scale });
+                }
+            }
+        }
+        return configurations;
+    }
+    
+    static configurationKey(configuration) {
+        return `boxes=${configuration.boxCount} rotation=${configuration.rotation.join('-')} ` +
+            `scale=${configuration.scale.join('-')}`;
+    }
+    
+    // Run every configuration; onProgress(done, total) is called after each
+    run(onProgress = null) {
+        const configurations = this.getConfigurations();
+        const results = [];
+        const allEpisodes = [];
+        
+        configurations.forEach((configuration, index) => {
+            const episodes = this.runConfiguration(configuration);
+            allEpisodes.push(...episodes);
+            results.push({ ...configuration, ...this.summarize(episodes, DetectionExperiment.configurationKey(configuration)) });
+            if (onProgress) onProgress(index + 1, configurations.length);
+        });
+        
+        return {
+            options: this.options,
+            results,
+            overall: this.summarize(allEpisodes, 'overall')
+        };
+    }
+    
+    runConfiguration(configuration) {
+        const key = DetectionExperiment.configurationKey(configuration);
+        const episodes = [];
+        for (let i = 0; i < this.options.episodes; i++) {
+            episodes.push(this.runEpisode(configuration, this.random.fork(`${key}#${i}`)));
+        }
+        return episodes;
+    }
+    
+    // One scene, scored for every model: {Baseline: {boxes, tp, fp, fn, timeMs,
+    // snrGain, reconstructionError}, ...}; the last two are null for models
+    // that do not denoise
+    runEpisode(configuration, random) {
+        const boxes = this.placeBoxes(configuration, random.fork('boxes'));
+        const generator = new VisualDataGenerator(this.options.gridSize, random.fork('visual-data'));
+        const visualData = generator.generate(boxes.map(box => ({
+            x: box.position.x,
+            y: box.position.y,
+            z: box.position.z,
+            rotation: box.rotation,
+            scale: box.scale
+        })));
+        
+        const episode = {};
+        for (const name of this.options.models) {
+            const model = ExperimentModels[name](random.fork(name), this.options);
+            const result = model.detect(visualData, boxes, generator.signal);
+            episode[name] = {
+                boxes: boxes.length, tp: result.tp, fp: result.fp, fn: result.fn, timeMs: result.processTime * 1000,
+                snrGain: result.denoising ? result.denoising.snrGain : null,
+                reconstructionError: result.denoising ? result.denoising.reconstructionError : null
+            };
+        }
+        return episode;
+    }
+    
+    // Distinct floor cells with rotation and scale drawn from the configured ranges
+    placeBoxes(configuration, random) {
+        const size = this.options.gridSize;
+        const cells = [];
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                cells.push({ x, z });
+            }
+        }
+        
+        const boxes = [];
+        const count = Math.min(configuration.boxCount, cells.length);
+        for (let i = 0; i < count; i++) {
+            const cell = cells.splice(random.int(cells.length), 1)[0];
+            boxes.push({
+                id: i,
+                position: { x: cell.x, y: 0, z: cell.z },
+                rotation: random.range(configuration.rotation[0], configuration.rotation[1]),
+                scale: random.range(configuration.scale[0], configuration.scale[1])
+            });
+        }
+        return boxes;
+    }
+    
+    // Pooled metrics with bootstrap intervals for each model, plus the
+    // error ratio of the first model to each other model
+    summarize(episodes, label) {
+        const models = this.options.models;
+        const [reference, ...others] = models;
+        
+        // Every pooled rate from one pass over a sample
+        const rates = sample => {
+            const totals = {};
+            for (const name of models) {
+                totals[name] = { boxes: 0, tp: 0, fp: 0, fn: 0 };
+            }
+            for (const episode of sample) {
+                for (const name of models) {
+                    const result = episode[name];
+                    const total = totals[name];
+                    total.boxes += result.boxes;
+                    total.tp += result.tp;
+                    total.fp += result.fp;
+                    total.fn += result.fn;
+                }
+            }
+            
+            const values = {};
+            for (const name of models) {
+                const total = totals[name];
+                values[`${name}:missRate`] = Statistics.ratio(total.fn, total.boxes);
+                values[`${name}:precision`] = Statistics.ratio(total.tp, total.tp + total.fp);
+                values[`${name}:recall`] = Statistics.ratio(total.tp, total.tp + total.fn);
+            }
+            
+            // Errors are misses plus false positives
+            for (const name of others) {
+                values[`${name}:errorRatio`] = Statistics.ratio(
+                    totals[reference].fn + totals[reference].fp, totals[name].fn + totals[name].fp);
+            }
+            return values;
+        };
+        
+        const intervals = Statistics.bootstrap(episodes, rates, {
+            iterations: this.options.bootstrapIterations,
+            confidence: this.options.confidence,
+            random: this.random.fork(`${label}:bootstrap`)
+        });
+        
+        const summary = {};
+        for (const name of models) {
+            const times = episodes.map(episode => episode[name].timeMs);
+            const snrGains = episodes.map(episode => episode[name].snrGain).filter(gain => gain !== null);
+            const errors = episodes.map(episode => episode[name].reconstructionError).filter(error => error !== null);
+            summary[name] = {
+                missRate: intervals[`${name}:missRate`],
+                precision: intervals[`${name}:precision`],
+                recall: intervals[`${name}:recall`],
+                meanMs: Statistics.mean(times),
+                p95Ms: Statistics.percentile(times, 0.95),
+                snrGainDb: snrGains.length > 0 ? Statistics.mean(snrGains) : null, // Mean denoising gain
+                reconstructionError: errors.length > 0 ? Statistics.mean(errors) : null
+            };
+        }
+        
+        const comparisons = {};
+        for (const name of others) {
+            const errorRatio = intervals[`${name}:errorRatio`];
+            comparisons[name] = {
+                reference,
+                errorRatio,
+                claimHolds: errorRatio.low >= this.options.claimRatio
+            };
+        }
+        
+        return { episodes: episodes.length, models: summary, comparisons };
+    }
+}
@@ -0,0 +1,550 @@
+/**
+ * Robot Fleet Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the fleet of robots sharing one warehouse. Paths
+ * are planned jointly with the PrioritizedPlanner and executed in
+ * lockstep: every robot must reach its waypoint for step t before any
+ * robot moves on to step t+1, so the collision-free plan stays
+ * collision-free while robots turn and drive at their own pace. A robot
+ * already braking for its waypoint counts as there, so robots roll on
+ * from step to step; paths are only replaced once robots stand still.
+ * 
+ * When grid cells change under a moving robot, its remaining path is
+ * checked at the next step boundary and, if blocked, repaired with the
+ * robot's D* Lite planner around the other robots' current plans. A full
+ * joint replan is the fallback when the repaired path cannot be timed.
+ * 
+ * Each robot plans on its own belief map of where boxes stand (see
+ * BeliefMap), built from the active detection model's detections, and
+ * repairs its path when the map changes under it. A robot about to drive
+ * into a box its map lacks stops short: a collision, after which the box
+ * is on its map.
+ * 
+ * Forklifts and pickers (see Traffic) are planned round where they are
+ * expected over the next steps. A step into a cell one of them holds is
+ * held back for the whole fleet, robots yielding until it has passed, and
+ * paths are planned again round it if it stays.
+ * 
+ * Idle robots standing on a charger charge their battery.
+ */
+
+class Fleet {
+    constructor() {
+        this.robots = [];
+        this.needsReplan = false;
+        this.planStats = null;
+        this.lastAssignedRobot = null;
+        this.costOptions = {}; // Step costs shared by the joint and repair planners
+        this.plannerOptions = {}; // Grid planner the joint plans search with (see SpaceTimeAStar)
+        
+        // Incremental repair: cells changed since the last step boundary and
+        // a D* Lite planner per robot, kept while its goal stays the same
+        this.changedCells = [];
+        this.navigators = new Map();
+        this.replanCount = 0; // Full joint replans
+        this.repairCount = 0; // Paths repaired in place
+        this.repairStats = null; // D* Lite work of the last repair
+        
+        // Forklifts and pickers on the floor (see setTraffic)
+        this.traffic = null;
+        this.yieldTime = 0; // Seconds the current step has been held for them
+        this.yieldCount = 0; // Steps held back for them
+        this.rerouteCount = 0; // Replans round one that stayed in the way
+        
+        // Called as onArrival(robot, target) when a robot reaches its goal
+        this.onArrival = null;
+        
+        // Fleet-level throughput and completed trips (see Robot.endTrip)
+        this.trips = [];
+        this.tasksCompleted = 0;
+        this.elapsedTime = 0;
+        this.steps = 0;
+    }
+    
+    addRobot(robot) {
+        this.robots.push(robot);
+        return robot;
+    }
+    
+    // Goals are resolved and joint paths searched with a grid planner;
+    // paths already planned are planned again with it
+    setPlanner(name, options = {}) {
+        for (const robot of this.robots) {
+            robot.setPlanner(name, options);
+        }
+        this.costOptions = { verticalCost: options.verticalCost };
+        this.plannerOptions = { ...options, planner: name };
+        this.navigators.clear();
+        if (this.robots.some(robot => robot.goal)) {
+            this.needsReplan = true;
+        }
+    }
+    
+    // Plan each robot on its belief map for a detection model ('QINA' or
+    // 'Baseline'); robots without one plan on the true grid
+    setBeliefModel(model) {
+        for (const robot of this.robots) {
+            robot.belief = robot.beliefs[model] || null;
+        }
+        this.navigators.clear();
+        if (this.robots.some(robot => robot.goal)) {
+            this.needsReplan = true;
+        }
+    }
+    
+    // Forklifts and pickers to plan round and yield to (a Traffic, or null)
+    setTraffic(traffic) {
+        this.traffic = traffic;
+    }
+    
+    // The grid a robot plans on: its belief map's, or the true grid
+    getGrid(robot, grid) {
+        return robot.belief ? robot.belief.grid : grid;
+    }
+    
+    getIdleRobots() {
+        return this.robots.filter(robot => !robot.goal);
+    }
+    
+    // Send an idle robot towards a target cell. The goal is resolved right away
+    // (idle robots stand on whole cells); the joint plan is made at the next
+    // lockstep boundary.
+    assign(robot, target, grid) {
+        robot.targetPosition = { ...target };
+        this.lastAssignedRobot = robot;
+        
+        const pathfinder = new AStarPathfinder(grid, this.costOptions);
+        const options = { exclude: this.getClaimedCells(robot, pathfinder) };
+        const plan = robot.calculatePath(this.getGrid(robot, grid), options);
+        robot.plan = plan;
+        
+        if (plan.status === PlanStatus.OK) {
+            robot.goal = plan.goal;
+            robot.beginTrip(this.elapsedTime);
+            this.needsReplan = true;
+            if (robot.belief) {
+                this.measureDetour(robot, target, grid, options);
+            }
+        } else {
+            robot.targetPosition = null;
+        }
+        
+        return plan;
+    }
+    
+    // Compare a plan made on a robot's belief map with the same plan on the
+    // true grid; a dearer one to the same goal is a detour round boxes
+    // that are not there
+    measureDetour(robot, target, grid, options) {
+        const pathfinder = Pathfinders.create(robot.planner, grid, robot.plannerOptions);
+        const truth = pathfinder.planToTarget(robot.getCell(), target, options);
+        if (truth.status !== PlanStatus.OK || ReservationTable.cellKey(truth.goal) !== ReservationTable.cellKey(robot.goal)) return;
+        
+        const extra = robot.planStats.cost - pathfinder.stats.cost;
+        if (extra > 1e-9) {
+            robot.belief.recordDetour(extra);
+        }
+    }
+    
+    // Drop a robot's goal; it stops at the next lockstep boundary
+    release(robot) {
+        robot.goal = null;
+        robot.targetPosition = null;
+        this.needsReplan = true;
+    }
+    
+    // Cells robots stand on, are driving into or are headed for, and cells
+    // forklifts and pickers hold, where no box may be stocked
+    getOccupiedCells() {
+        const cells = this.robots.flatMap(robot =>
+            [robot.getCell(), ...robot.getCommittedCells(), ...(robot.goal ? [robot.goal] : [])]);
+        return this.traffic ? [...cells, ...this.traffic.getOccupiedCells()] : cells;
+    }
+    
+    // Cells another robot is headed for or parked on
+    getClaimedCells(except, pathfinder) {
+        const claimed = new Set();
+        for (const robot of this.robots) {
+            if (robot === except) continue;
+            const cell = robot.goal || robot.getCell();
+            claimed.add(pathfinder.nodeKey(cell.x, cell.y, cell.z));
+        }
+        return claimed;
+    }
+    
+    update(deltaTime, grid) {
+        this.elapsedTime += deltaTime;
+        
+        for (const robot of this.robots) {
+            robot.update(deltaTime);
+        }
+        this.chargeRobots(deltaTime, grid);
+        
+        // Wait until every robot has finished its current step
+        if (!this.robots.every(robot => robot.isAtSyncPoint())) return;
+        
+        this.completeArrivals();
+        
+        // Hold the next step back until everyone stops if paths must change
+        const blocked = this.changedCells.length > 0 ? this.getBlockedRobots(grid) : [];
+        if ((this.needsReplan || blocked.length > 0) && !this.robots.every(robot => robot.isStopped())) return;
+        
+        if (this.needsReplan) {
+            this.replan(grid);
+        } else if (blocked.length > 0) {
+            this.repairPaths(blocked, grid);
+        }
+        this.changedCells = [];
+        
+        // Yield to a forklift or picker in the way; plan round it if it stays
+        if (this.isYielding()) {
+            if (this.yieldTime === 0) this.yieldCount++;
+            this.yieldTime += deltaTime;
+            if (this.yieldTime >= this.traffic.config.yieldTimeout) {
+                this.yieldTime = 0;
+                this.needsReplan = true;
+                this.rerouteCount++;
+            }
+            return;
+        }
+        this.yieldTime = 0;
+        
+        // Checked against the true grid after any new paths, so no step into
+        // a box is released; a robot that would collide stops short, and
+        // the fleet waits while its path is repaired
+        if (this.detectCollisions(grid)) return;
+        
+        // Release the next step to everyone still on a path
+        let released = false;
+        for (const robot of this.robots) {
+            if (robot.moving) {
+                robot.releaseStep();
+                released = true;
+            }
+        }
+        if (released) this.steps++;
+    }
+    
+    // Idle robots on a charger charge until full; they count as charging
+    // (and take no jobs) until their battery may work again
+    chargeRobots(deltaTime, grid) {
+        for (const robot of this.robots) {
+            const cell = robot.getCell();
+            const onCharger = !robot.moving && !robot.goal && (grid[cell.x][cell.y][cell.z] & CellType.CHARGER) !== 0;
+            if (onCharger && !robot.battery.isFull()) {
+                robot.battery.recharge(deltaTime);
+            }
+            robot.charging = onCharger && !robot.battery.isCharged();
+        }
+    }
+    
+    completeArrivals() {
+        for (const robot of this.robots) {
+            if (!robot.goal || robot.moving) continue;
+            
+            const cell = robot.getCell();
+            if (cell.x === robot.goal.x && cell.y === robot.goal.y && cell.z === robot.goal.z) {
+                const target = robot.targetPosition;
+                const trip = robot.endTrip(this.elapsedTime, target);
+                if (trip) {
+                    this.trips.push(trip);
+                }
+                robot.lastCompletedTarget = target;
+                robot.goal = null;
+                robot.targetPosition = null;
+                
+                if (this.onArrival) {
+                    this.onArrival(robot, target);
+                }
+            }
+        }
+    }
+    
+    // Record true grid cells whose flags changed; belief maps take on their
+    // layout flags, robots' D* Lite planners learn of them right away, and
+    // paths are checked at the next step boundary
+    gridChanged(cells, grid) {
+        for (const robot of this.robots) {
+            for (const belief of Object.values(robot.beliefs)) {
+                belief.syncCells(cells, grid);
+            }
+        }
+        this.changedCells.push(...cells);
+        for (const navigator of this.navigators.values()) {
+            navigator.updateCells(cells);
+        }
+    }
+    
+    // Record cells of a robot's belief map that changed; only its own
+    // D* Lite planner plans on them
+    beliefChanged(robot, cells) {
+        if (cells.length === 0) return;
+        this.changedCells.push(...cells);
+        const navigator = this.navigators.get(robot.id);
+        if (navigator) {
+            navigator.updateCells(cells);
+        }
+    }
+    
+    // Put what a robot learned by touch on every belief map it keeps
+    learnCell(robot, cell, occupied) {
+        for (const belief of Object.values(robot.beliefs)) {
+            const changed = belief.markCell(cell, occupied);
+            if (belief === robot.belief) {
+                this.beliefChanged(robot, changed);
+            }
+        }
+    }
+    
+    // A robot whose next step would drive into a box its belief map lacks
+    // stops short and learns of the box: a collision. Its path is then
+    // blocked and repaired. Returns whether any robot collided.
+    detectCollisions(grid) {
+        let collided = false;
+        for (const robot of this.robots) {
+            if (!robot.belief || !robot.moving) continue;
+            const committed = robot.getCommittedCells();
+            const next = committed[committed.length - 1];
+            if (next && (grid[next.x][next.y][next.z] & CellType.BOX) !== 0 && !robot.belief.isOccupied(next)) {
+                robot.belief.recordCollision(next);
+                this.learnCell(robot, next, true);
+                collided = true;
+            }
+        }
+        return collided;
+    }
+    
+    // Whether a robot's next step would take it into a cell a forklift or
+    // picker holds
+    isYielding() {
+        if (!this.traffic) return false;
+        return this.robots.some(robot => {
+            if (!robot.moving) return false;
+            const committed = robot.getCommittedCells();
+            const next = committed[committed.length - 1];
+            const cell = robot.getCell();
+            const isWait = next && next.x === cell.x && next.y === cell.y && next.z === cell.z;
+            return next && !isWait && this.traffic.isOccupied(next);
+        });
+    }
+    
+    // Cells forklifts and pickers are expected on by step, except those
+    // robots stand on: an agent waits for a robot there, and plans must start
+    getReservations() {
+        if (!this.traffic) return [];
+        const standing = new Set(this.robots.map(robot => ReservationTable.cellKey(robot.getCell())));
+        return this.traffic.getReservations().filter(({ cell }) => !standing.has(ReservationTable.cellKey(cell)));
+    }
+    
+    // Robots on the move whose path crosses a blocked cell of the grid they plan on
+    getBlockedRobots(grid) {
+        return this.robots.filter(robot => robot.goal && robot.moving &&
+            !this.isPathClear(robot, new AStarPathfinder(this.getGrid(robot, grid), this.costOptions)));
+    }
+    
+    // Repair each blocked path; if one cannot be repaired, plan the whole
+    // fleet again
+    repairPaths(robots, grid) {
+        for (const robot of robots) {
+            if (!this.repairPath(robot, grid)) {
+                this.replan(grid);
+                return;
+            }
+        }
+    }
+    
+    // Whether every remaining step of a robot's path can still be driven
+    isPathClear(robot, pathfinder) {
+        let previous = robot.getCell();
+        for (const cell of robot.path) {
+            const dx = cell.x - previous.x;
+            const dy = cell.y - previous.y;
+            const dz = cell.z - previous.z;
+            const isWait = dx === 0 && dy === 0 && dz === 0;
+            if (isWait ? (pathfinder.grid[cell.x][cell.y][cell.z] & CellMask.SOLID) !== 0
+                : !pathfinder.canMove(previous.x, previous.y, previous.z, dx, dy, dz)) {
+                return false;
+            }
+            previous = cell;
+        }
+        return true;
+    }
+    
+    // Replace a robot's remaining path with one from its D* Lite planner,
+    // timed around the other robots' plans; false when that is not possible
+    repairPath(robot, grid) {
+        const start = robot.getCell();
+        const navigator = this.getNavigator(robot, this.getGrid(robot, grid));
+        const before = { ...navigator.stats };
+        const route = navigator.findPath(start);
+        this.repairStats = {
+            robot: robot.id,
+            expanded: navigator.stats.expanded - before.expanded,
+            updated: navigator.stats.updated - before.updated
+        };
+        if (!route) return false;
+        
+        // Other robots keep their plans; the repaired path must fit around
+        // them and the forklifts and pickers
+        const table = new ReservationTable();
+        table.reserveCells(this.getReservations());
+        for (const other of this.robots) {
+            if (other !== robot) {
+                table.reservePath(other.id, [other.getCell(), ...other.path]);
+            }
+        }
+        const path = this.scheduleRoute(start, route, table, robot.id);
+        if (!path) return false;
+        
+        // The repaired segment is every cell the old path did not visit
+        const oldCells = new Set(robot.path.map(ReservationTable.cellKey));
+        const repaired = path.slice(1).filter(cell => !oldCells.has(ReservationTable.cellKey(cell)));
+        
+        robot.followTimedPath(path.slice(1), repaired);
+        robot.replanCount++;
+        this.repairCount++;
+        return true;
+    }
+    
+    // A robot's D* Lite planner for its current goal, reused while the goal
+    // and grid stay the same so each repair only redoes what changed
+    getNavigator(robot, grid) {
+        const goal = robot.goal;
+        let navigator = this.navigators.get(robot.id);
+        if (!navigator || navigator.grid !== grid ||
+            navigator.goal.x !== goal.x || navigator.goal.y !== goal.y || navigator.goal.z !== goal.z) {
+            navigator = new DStarLite(grid, goal, this.costOptions);
+            this.navigators.set(robot.id, navigator);
+        }
+        return navigator;
+    }
+    
+    // Time a route one cell per step, waiting in place while the next cell
+    // is reserved; null when waiting cannot resolve a conflict
+    scheduleRoute(start, route, table, agentId) {
+        const path = [start];
+        const maxSteps = 2 * route.length + 10;
+        
+        for (let i = 0, t = 0; i < route.length; t++) {
+            if (t >= maxSteps) return null;
+            
+            const here = path[t];
+            const next = route[i];
+            if (table.isVertexFree(next, t + 1, agentId) && table.isMoveFree(here, next, t, agentId)) {
+                path.push(next);
+                i++;
+            } else if (table.isVertexFree(here, t + 1, agentId)) {
+                path.push(here);
+            } else {
+                return null;
+            }
+        }
+        
+        const last = path[path.length - 1];
+        return table.canPark(last, path.length - 1, agentId) ? path : null;
+    }
+    
+    // Plan every robot jointly from its current cell
+    replan(grid) {
+        this.needsReplan = false;
+        this.replanCount++;
+        
+        const planner = new PrioritizedPlanner(grid, this.plannerOptions);
+        const agents = this.robots.map(robot => ({
+            id: robot.id,
+            start: robot.getCell(),
+            goal: robot.goal,
+            grid: this.getGrid(robot, grid)
+        }));
+        const result = planner.plan(agents, this.getReservations());
+        this.planStats = planner.stats;
+        
+        for (const robot of this.robots) {
+            if (result.failed.includes(robot.id)) {
+                robot.plan = {
+                    status: PlanStatus.UNREACHABLE,
+                    path: [],
+                    goal: robot.goal,
+                    reason: `No collision-free path for robot ${robot.id + 1}`
+                };
+                robot.goal = null;
+                robot.targetPosition = null;
+            }
+            
+            robot.followTimedPath(result.paths.get(robot.id).slice(1));
+        }
+    }
+    
+    // Collisions and detours of the robots' belief maps for a detection
+    // model, with how far those maps are from the true grid on the floor
+    getBeliefStats(model, grid) {
+        const stats = { collisions: 0, detours: 0, detourCost: 0, missed: 0, phantom: 0 };
+        for (const robot of this.robots) {
+            const belief = robot.beliefs[model];
+            if (!belief) continue;
+            const counts = belief.compare(grid);
+            stats.collisions += belief.collisions;
+            stats.detours += belief.detours;
+            stats.detourCost += belief.detourCost;
+            stats.missed += counts[BeliefState.MISSED];
+            stats.phantom += counts[BeliefState.PHANTOM];
+        }
+        return stats;
+    }
+    
+    // Count a finished task towards fleet throughput
+    completeTask() {
+        this.tasksCompleted++;
+    }
+    
+    // Mean time-to-goal (s), energy (J) and distance (m) of completed
+    // trips, and the energy the fleet has drawn in all
+    getTripStats() {
+        const count = this.trips.length;
+        const mean = key => count > 0 ? this.trips.reduce((total, trip) => total + trip[key], 0) / count : 0;
+        return {
+            count,
+            meanTimeToGoal: mean('timeToGoal'),
+            meanEnergy: mean('energy'),
+            meanDistance: mean('distance'),
+            totalEnergy: this.robots.reduce((total, robot) => total + robot.energyUsed, 0)
+        };
+    }
+    
+    // Mean and lowest battery level across the fleet, and the energy charged
+    getBatteryStats() {
+        const batteries = this.robots.map(robot => robot.battery);
+        return {
+            meanLevel: batteries.reduce((total, battery) => total + battery.getLevel(), 0) / Math.max(1, batteries.length),
+            lowestLevel: Math.min(...batteries.map(battery => battery.lowestLevel)),
+            energyCharged: batteries.reduce((total, battery) => total + battery.energyCharged, 0)
+        };
+    }
+    
+    // Completed tasks per minute of simulated time
+    getThroughput() {
+        return this.elapsedTime > 0 ? this.tasksCompleted / (this.elapsedTime / 60) : 0;
+    }
+    
+    reset() {
+        for (const robot of this.robots) {
+            robot.reset();
+        }
+        this.needsReplan = false;
+        this.planStats = null;
+        this.lastAssignedRobot = null;
+        this.changedCells = [];
+        this.navigators.clear();
+        this.replanCount = 0;
+        this.repairCount = 0;
+        this.repairStats = null;
+        this.yieldTime = 0;
+        this.yieldCount = 0;
+        this.rerouteCount = 0;
+        this.trips = [];
+        this.tasksCompleted = 0;
+        this.elapsedTime = 0;
+        this.steps = 0;
+    }
+}
@@ -8,23 +8,92 @@
 
 // Global variables
 let scene, camera, renderer, controls;
-let warehouse, robot;
-let baselineModel, qinaModel;
-let visualDataGenerator;
+let simulation, warehouseRenderer, detectionOverlay, voxelHeatmap;
+let evaluationPanels = [];
+let recorder, replayPanel;
+
+// Split screen: Baseline and QINA runs of the live scenario and seed side
+// by side (null when off), and a scene and renderer per side, made on
+// first use and kept
+let comparison = null;
+let splitViews = [];
 let stats;
 let clock;
-let activeModel = "QINA"; // Start with QINA model
-let runSimulation = true;
+
+// Real time not yet simulated; the simulation advances in fixed steps
+// so a seeded run repeats regardless of frame rate
+let stepAccumulator = 0;
+
+// Recording player the scene last showed (null for the live run), so the
+// scene snaps rather than glides when switching between them
+let replayShown = null;
+
+// Safety events listed in the fleet panel, newest first, and the text
+// last listed
+const SAFETY_EVENTS_SHOWN = 5;
+let shownSafetyEvents = '';
+
+// Each robot's battery level, sampled once per simulated second for the
+// fleet panel's chart
+const BATTERY_HISTORY_SECONDS = 300;
+let batteryHistory = [];
 
 // Elements
 const baselineTimeElement = document.getElementById('baseline-time');
 const baselineMissElement = document.getElementById('baseline-miss');
+const baselineFalsePositivesElement = document.getElementById('baseline-fp');
 const qinaTimeElement = document.getElementById('qina-time');
 const qinaMissElement = document.getElementById('qina-miss');
+const qinaFalsePositivesElement = document.getElementById('qina-fp');
+const qinaNoiseElement = document.getElementById('qina-noise');
 const improvementElement = document.getElementById('improvement');
 const activeModelElement = document.getElementById('active-model');
 const toggleModelButton = document.getElementById('toggle-model');
 const resetSimulationButton = document.getElementById('reset-simulation');
+const splitScreenButton = document.getElementById('split-screen');
+const splitViewElement = document.getElementById('split-view');
+const plannerSelect = document.getElementById('planner-select');
+const plannerEpsilonInput = document.getElementById('planner-epsilon');
+const plannerVerticalCostInput = document.getElementById('planner-vertical-cost');
+const plannerStatsElement = document.getElementById('planner-stats');
+const fleetRobotsElement = document.getElementById('fleet-robots');
+const fleetTasksElement = document.getElementById('fleet-tasks');
+const fleetThroughputElement = document.getElementById('fleet-throughput');
+const fleetReplansElement = document.getElementById('fleet-replans');
+const fleetTripsElement = document.getElementById('fleet-trips');
+const fleetBatteryElement = document.getElementById('fleet-battery');
+const fleetSensorElement = document.getElementById('fleet-sensor');
+const fleetTrafficElement = document.getElementById('fleet-traffic');
+const fleetSafetyElement = document.getElementById('fleet-safety');
+const safetyEventsElement = document.getElementById('safety-events');
+const batteryChartCanvas = document.getElementById('battery-chart');
+const dispatchPolicySelect = document.getElementById('dispatch-policy');
+const overlayModelSelect = document.getElementById('overlay-model');
+const voxelSourceSelect = document.getElementById('voxel-heatmap-source');
+const voxelThresholdInput = document.getElementById('voxel-heatmap-threshold');
+const voxelThresholdElement = document.getElementById('voxel-heatmap-threshold-value');
+const voxelLegendCanvas = document.getElementById('voxel-heatmap-legend');
+const voxelStatusElement = document.getElementById('voxel-heatmap-status');
+const seedInput = document.getElementById('seed-input');
+const applySeedButton = document.getElementById('apply-seed');
+const scenarioNameElement = document.getElementById('scenario-name');
+const scenarioSelect = document.getElementById('scenario-select');
+const scenarioFileInput = document.getElementById('scenario-file');
+const scenarioSaveButton = document.getElementById('scenario-save');
+const scenarioErrorsElement = document.getElementById('scenario-errors');
+const qinaCircuitElement = document.getElementById('qina-circuit');
+const circuitFileInput = document.getElementById('circuit-file');
+const circuitSaveButton = document.getElementById('circuit-save');
+const circuitErrorsElement = document.getElementById('circuit-errors');
+const tensorRankSelect = document.getElementById('tensor-rank');
+const jobCountElements = {
+    [JobStatus.QUEUED]: document.getElementById('jobs-queued'),
+    [JobStatus.ASSIGNED]: document.getElementById('jobs-assigned'),
+    [JobStatus.EN_ROUTE]: document.getElementById('jobs-en-route'),
+    [JobStatus.CARRYING]: document.getElementById('jobs-carrying'),
+    [JobStatus.DELIVERED]: document.getElementById('jobs-delivered'),
+    [JobStatus.CANCELLED]: document.getElementById('jobs-cancelled')
+};
 
 // Initialize the application
 function init() {
@@ -87,11 +156,11 @@ function setupScene() {
     clock = new THREE.Clock();
 }
 
-// Setup lighting for the scene
-function setupLighting() {
+// Setup lighting for the scene (or a split-screen side's)
+function setupLighting(target = scene) {
     // Ambient light
     const ambientLight = new THREE.AmbientLight(0xCCCCCC, 0.4);
-    scene.add(ambientLight);
+    target.add(ambientLight);
     
     // Directional light (sun)
     const directionalLight = new THREE.DirectionalLight(0xFFFFFF, 0.8);
@@ -104,136 +173,618 @@ function setupLighting() {
     directionalLight.shadow.camera.near = 0.5;
     directionalLight.shadow.camera.far = 50;
     
-    scene.add(directionalLight);
+    target.add(directionalLight);
     
     // Add point lights for better warehouse illumination
     const pointLight1 = new THREE.PointLight(0xFFFFFF, 0.5);
     pointLight1.position.set(-5, 5, -5);
-    scene.add(pointLight1);
+    target.add(pointLight1);
     
     const pointLight2 = new THREE.PointLight(0xFFFFFF, 0.5);
     pointLight2.position.set(5, 5, 5);
-    scene.add(pointLight2);
+    target.add(pointLight2);
 }
 
-// Initialize models and environment
+// Create the simulation and attach the renderer as an observer
 function initializeModels() {
-    const GRID_SIZE = 10;
-    
-    // Create warehouse environment
-    warehouse = new WarehouseEnvironment(GRID_SIZE);
-    warehouse.initialize(scene);
-    
-    // Create robot
-    robot = new Robot(1, 0, 1);
-    robot.initialize(scene);
+    const params = new URLSearchParams(window.location.search);
+    
+    // Seed every random stream (the seed can be set with ?seed=N) and
+    // size the fleet (?robots=N)
+    simulation = new Simulation({
+        seed: params.has('seed') ? params.get('seed') : SeededRandom.randomSeed(),
+        robotCount: parseInt(params.get('robots'), 10) || SimulationDefaults.robotCount,
+        dispatchPolicy: dispatchPolicySelect.value
+    });
+    seedInput.value = simulation.seed;
+    scenarioNameElement.textContent = simulation.scenario.name;
+    
+    warehouseRenderer = simulation.addObserver(new WarehouseRenderer(scene));
+    warehouseRenderer.sync(simulation, true);
+    
+    // Last detection pass drawn over the scene, and its voxel data
+    detectionOverlay = new DetectionOverlay(scene);
+    voxelHeatmap = new VoxelHeatmap(scene);
+    
+    // Score each model's detections for its evaluation panel
+    evaluationPanels = [
+        simulation.addObserver(new EvaluationPanel('baseline', 'baseline-eval', '#FF9800')),
+        simulation.addObserver(new EvaluationPanel('qina', 'qina-eval', '#4CAF50'))
+    ];
+    
+    // One robot's belief maps from both models side by side
+    simulation.addObserver(new BeliefPanel('belief-maps')).onReset(simulation);
+    
+    // Record every tick for the replay bar; a reset or new scenario starts
+    // a new recording
+    recorder = simulation.addObserver(new Recorder());
+    recorder.onReset(simulation);
+    replayPanel = new ReplayPanel('replay', recorder);
+    
+    // Refresh the metrics panel after every detection pass
+    simulation.addObserver({
+        onDetection: () => updateMetricsDisplay()
+    });
     
-    // Create AI models
-    baselineModel = new BaselineModel();
-    qinaModel = new QINAModel();
+    // Record battery levels for the chart; a reset or new scenario starts it afresh
+    simulation.addObserver({
+        onStep: recordBatteryLevels,
+        onReset: () => { batteryHistory = []; }
+    });
     
-    // Create visual data generator
-    visualDataGenerator = new VisualDataGenerator(GRID_SIZE);
+    createFleetLegend();
 }
 
 // Setup event listeners
 function setupEventListeners() {
     // Toggle between baseline and QINA models
-    toggleModelButton.addEventListener('click', () => {
-        activeModel = activeModel === "QINA" ? "Baseline" : "QINA";
-        updateActiveModelDisplay();
-    });
+    toggleModelButton.addEventListener('click', toggleActiveModel);
     
     // Reset simulation
-    resetSimulationButton.addEventListener('click', resetSimulation);
+    resetSimulationButton.addEventListener('click', () => resetSimulation());
+    
+    // Baseline and QINA side by side
+    splitScreenButton.addEventListener('click', toggleSplitScreen);
+    
+    // Restart with the seed typed into the seed box
+    applySeedButton.addEventListener('click', () => {
+        resetSimulation(SeededRandom.normalizeSeed(seedInput.value.trim() || SeededRandom.randomSeed()));
+    });
+    
+    // Path planning strategy
+    setupPlannerControls();
+    
+    // Which model's detections the overlay draws, on every view
+    overlayModelSelect.addEventListener('change', () => {
+        detectionOverlay.setMode(overlayModelSelect.value);
+        splitViews.forEach(view => view.overlay.setMode(overlayModelSelect.value));
+    });
+    
+    // Voxel heatmap tensor and threshold
+    setupVoxelHeatmapControls();
+    
+    // Job dispatch policy
+    dispatchPolicySelect.addEventListener('change', () => {
+        simulation.setDispatchPolicy(dispatchPolicySelect.value);
+    });
+    
+    // Scenario load and save
+    setupScenarioControls();
+    
+    // QINA circuit weights load and save
+    setupCircuitControls();
+    
+    // Rank of QINA's tensor network, on every running simulation
+    tensorRankSelect.addEventListener('change', () => {
+        const options = { rank: TensorNetwork.parseRank(tensorRankSelect.value) };
+        for (const run of comparison ? [simulation, ...comparison.sides] : [simulation]) {
+            run.setTensorNetwork(options);
+        }
+        updateMetricsDisplay();
+    });
+    
+    // Both evaluation panels match detections through the same gate
+    for (const panel of evaluationPanels) {
+        panel.gateSelect.addEventListener('change', () => {
+            evaluationPanels.forEach(other => other.setGate(panel.gateSelect.value));
+        });
+    }
     
     // Keyboard shortcuts
     document.addEventListener('keydown', event => {
+        // Keys typed into a field (a seed, a number) are not shortcuts
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        
         if (event.code === 'Space') {
             // Toggle model with spacebar
-            activeModel = activeModel === "QINA" ? "Baseline" : "QINA";
-            updateActiveModelDisplay();
+            toggleActiveModel();
         } else if (event.code === 'KeyR') {
             // Reset with R key
             resetSimulation();
         } else if (event.code === 'KeyP') {
             // Toggle pause with P key
-            runSimulation = !runSimulation;
+            simulation.detectionEnabled = !simulation.detectionEnabled;
+        } else if (event.code === 'KeyF') {
+            // Show or hide sensor frustums with F key
+            warehouseRenderer.showSensors = !warehouseRenderer.showSensors;
+            splitViews.forEach(view => { view.renderer.showSensors = warehouseRenderer.showSensors; });
+            warehouseRenderer.sync(replayPanel.player || simulation);
         }
     });
 }
 
-// Update the active model display
-function updateActiveModelDisplay() {
-    activeModelElement.textContent = activeModel;
-    activeModelElement.className = activeModel === "QINA" ? "model-qina" : "model-baseline";
+// Populate the planner selector from the pathfinder registry
+function setupPlannerControls() {
+    for (const { name, label } of Pathfinders.list()) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        plannerSelect.appendChild(option);
+    }
+    plannerSelect.value = simulation.fleet.robots[0].planner;
+    
+    const applyPlanner = () => {
+        simulation.setPlanner(plannerSelect.value, {
+            epsilon: parseFloat(plannerEpsilonInput.value),
+            verticalCost: parseFloat(plannerVerticalCostInput.value)
+        });
+        plannerEpsilonInput.style.display = plannerSelect.value === 'weighted-astar' ? '' : 'none';
+    };
+    plannerSelect.addEventListener('change', applyPlanner);
+    plannerEpsilonInput.addEventListener('change', applyPlanner);
+    plannerVerticalCostInput.addEventListener('change', applyPlanner);
+    applyPlanner();
 }
 
-// Reset the simulation
-function resetSimulation() {
-    warehouse.reset();
-    robot.reset(1, 0, 1);
-    baselineModel.reset();
-    qinaModel.reset();
+// Bundled scenarios, scenario files and saving the current layout
+function setupScenarioControls() {
+    scenarioSelect.addEventListener('change', () => {
+        const file = scenarioSelect.value;
+        if (!file) {
+            loadScenario(Scenario.createDefault());
+            return;
+        }
+        fetch(file)
+            .then(response => {
+                if (!response.ok) throw new Error(`${file}: ${response.status} ${response.statusText}`);
+                return response.text();
+            })
+            .then(text => loadScenarioText(text, file))
+            .catch(error => showScenarioErrors([error.message]));
+    });
+    
+    scenarioFileInput.addEventListener('change', () => {
+        const file = scenarioFileInput.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => loadScenarioText(text, file.name))
+            .catch(error => showScenarioErrors([`${file.name}: ${error.message}`]));
+        scenarioFileInput.value = ''; // Allow loading the same file again
+    });
+    
+    // Download the layout as it is now, with boxes where they currently stand
+    scenarioSaveButton.addEventListener('click', () => {
+        const scenario = Scenario.fromSimulation(simulation);
+        const blob = new Blob([Scenario.stringify(scenario)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${scenario.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'scenario'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+}
+
+// Parse scenario text and switch to it, or list what is wrong with it
+function loadScenarioText(text, source) {
+    try {
+        loadScenario(Scenario.parse(text));
+    } catch (error) {
+        if (!(error instanceof ScenarioError)) throw error;
+        showScenarioErrors(error.errors.map(problem =>
+            `${source}:${problem.line || '-'}:${problem.column || '-'} ${ScenarioError.format({ ...problem, line: null })}`));
+    }
+}
+
+function loadScenario(scenario) {
+    simulation.loadScenario(scenario);
+    if (comparison) {
+        comparison.loadScenario(scenario, simulation.seed);
+    }
+    stepAccumulator = 0;
+    replayPanel.stop();
+    
+    scenarioNameElement.textContent = scenario.name;
+    showScenarioErrors([]);
+    createFleetLegend();
     updateMetricsDisplay();
 }
 
-// Process visual data with both models
-function processVisualData() {
-    if (!runSimulation) return;
+function showScenarioErrors(messages) {
+    scenarioErrorsElement.innerHTML = '';
+    for (const message of messages) {
+        const item = document.createElement('li');
+        item.textContent = message;
+        scenarioErrorsElement.appendChild(item);
+    }
+}
+
+// Load trained circuit weights for QINA (see tools/train-circuit.js) and
+// save the current ones
+function setupCircuitControls() {
+    circuitFileInput.addEventListener('change', () => {
+        const file = circuitFileInput.files[0];
+        if (!file) return;
+        const showError = error => {
+            const item = document.createElement('li');
+            item.textContent = `${file.name}: ${error.message}`;
+            circuitErrorsElement.appendChild(item);
+        };
+        file.text().then(text => {
+            circuitErrorsElement.innerHTML = '';
+            try {
+                simulation.setQinaWeights(JSON.parse(text));
+                updateCircuitDisplay(file.name);
+            } catch (error) {
+                showError(error);
+            }
+        }).catch(showError);
+        circuitFileInput.value = ''; // Allow loading the same file again
+    });
     
-    // Generate visual data from warehouse
-    const visualData = visualDataGenerator.generate(warehouse.getBoxPositions());
+    circuitSaveButton.addEventListener('click', () => {
+        const blob = new Blob([VariationalCircuit.stringify(simulation.qinaModel.circuit)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'qina-circuit.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
     
-    // Process with baseline model
-    const baselineResults = baselineModel.detect(visualData, warehouse.boxes);
+    updateCircuitDisplay('shipped');
+}
+
+function updateCircuitDisplay(source) {
+    const config = simulation.qinaModel.circuit.config;
+    qinaCircuitElement.textContent = `${config.qubits} qubits, ${config.layers} layers (${source})`;
+}
+
+// Show search statistics for the fleet's last joint plan, the paths the
+// robots drive, or why the most recently assigned robot's plan failed
+function updatePlannerStatsDisplay() {
+    const robot = simulation.fleet.lastAssignedRobot;
+    const plan = robot && robot.plan;
+    const stats = simulation.fleet.planStats;
+    
+    if (plan && plan.reason) {
+        plannerStatsElement.textContent = `${plan.status}: ${plan.reason}`;
+        plannerStatsElement.classList.add('plan-failed');
+        return;
+    }
     
-    // Process with QINA model
-    const qinaResults = qinaModel.detect(visualData, warehouse.boxes);
+    plannerStatsElement.classList.remove('plan-failed');
+    plannerStatsElement.textContent = stats
+        ? `${stats.expanded} expanded, ${stats.timeMs.toFixed(2)} ms`
+        : '-';
+}
+
+// Switch which model's detections drive the robots
+function toggleActiveModel() {
+    simulation.setActiveModel(simulation.activeModel === "QINA" ? "Baseline" : "QINA");
+    updateActiveModelDisplay();
+}
+
+// Update the active model display
+function updateActiveModelDisplay() {
+    activeModelElement.textContent = simulation.activeModel;
+    activeModelElement.className = simulation.activeModel === "QINA" ? "model-qina" : "model-baseline";
+}
+
+// Reset the simulation; the same seed replays the same run
+function resetSimulation(seed = simulation.seed) {
+    simulation.reset(seed);
+    if (comparison) {
+        comparison.reset(simulation.seed);
+    }
+    seedInput.value = simulation.seed;
     
-    // Update metrics display
-    updateMetricsDisplay(baselineResults, qinaResults);
+    // Keep the seed in the URL so the run can be shared
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', simulation.seed);
+    window.history.replaceState(null, '', url);
     
-    // Determine which model to use for navigation
-    const activeResults = activeModel === "QINA" ? qinaResults : baselineResults;
+    stepAccumulator = 0;
+    replayPanel.stop();
+    updateMetricsDisplay();
+}
+
+// Color swatch and status line for each robot in the fleet panel
+function createFleetLegend() {
+    fleetRobotsElement.innerHTML = '';
+    for (const robot of simulation.fleet.robots) {
+        const entry = document.createElement('div');
+        entry.className = 'fleet-robot';
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'fleet-swatch';
+        swatch.style.backgroundColor = `#${robot.color.toString(16).padStart(6, '0')}`;
+        
+        const status = document.createElement('span');
+        status.className = 'value';
+        status.id = `fleet-robot-${robot.id}`;
+        
+        const gauge = document.createElement('span');
+        gauge.className = 'battery-gauge';
+        gauge.id = `fleet-gauge-${robot.id}`;
+        const fill = document.createElement('span');
+        fill.className = 'battery-fill';
+        gauge.appendChild(fill);
+        
+        entry.appendChild(swatch);
+        entry.appendChild(document.createTextNode(`Robot ${robot.id + 1}`));
+        entry.appendChild(gauge);
+        entry.appendChild(status);
+        fleetRobotsElement.appendChild(entry);
+    }
+}
+
+// Update fleet throughput and per-robot status
+function updateFleetDisplay() {
+    const { fleet, dispatcher } = simulation;
+    fleetTasksElement.textContent = `${fleet.tasksCompleted}`;
+    fleetThroughputElement.textContent = `${fleet.getThroughput().toFixed(1)} /min`;
+    
+    // Incremental repairs, with the D* Lite work of the latest one
+    const lastRepair = fleet.repairStats ? ` (last: ${fleet.repairStats.expanded} expanded)` : '';
+    fleetReplansElement.textContent = `${fleet.repairCount} repaired${lastRepair}, ${fleet.replanCount} full`;
+    
+    // Mean time-to-goal and energy per completed trip
+    const trips = fleet.getTripStats();
+    fleetTripsElement.textContent = trips.count > 0
+        ? `${trips.count}, ${trips.meanTimeToGoal.toFixed(1)} s, ${(trips.meanEnergy / 1000).toFixed(2)} kJ each`
+        : '-';
+    
+    // Mean charge now, the lowest any robot reached and trips to a charger
+    const battery = fleet.getBatteryStats();
+    fleetBatteryElement.textContent = `${(battery.meanLevel * 100).toFixed(0)}% mean, ` +
+        `${(battery.lowestLevel * 100).toFixed(0)}% lowest, ${dispatcher.chargeTrips} charges`;
+    
+    // Boxes in view of some robot's sensor at the last detection pass
+    const results = simulation.lastResults;
+    fleetSensorElement.textContent = !simulation.sensor.config.enabled
+        ? 'off (full view)'
+        : (results ? `${results.boxes.length} of ${simulation.warehouse.boxes.length} boxes in view` : '-');
+    
+    updateSafetyDisplay();
+    
+    for (const robot of fleet.robots) {
+        const status = document.getElementById(`fleet-robot-${robot.id}`);
+        const job = dispatcher.getActiveJob(robot);
+        const repairs = robot.replanCount > 0 ? `, ${robot.replanCount} repaired` : '';
+        const state = job ? `job ${job.id} ${job.status}` : (robot.charging ? 'charging' : 'idle');
+        status.textContent = `${state}${repairs}`;
+        
+        const level = robot.battery.getLevel();
+        const gauge = document.getElementById(`fleet-gauge-${robot.id}`);
+        gauge.title = `${(level * 100).toFixed(0)}%`;
+        gauge.firstChild.style.width = `${level * 100}%`;
+        gauge.firstChild.classList.toggle('battery-low', robot.battery.isLow());
+    }
+    drawBatteryChart();
     
-    // Visualize detections
-    warehouse.highlightDetectedBoxes(activeResults.detections);
+    for (const status of Object.values(JobStatus)) {
+        jobCountElements[status].textContent = `${dispatcher.getJobsByStatus(status).length}`;
+    }
+}
+
+// Forklifts and pickers, how often robots gave way to them, and the
+// latest near-misses and collisions
+function updateSafetyDisplay() {
+    const { fleet, traffic } = simulation;
+    const count = type => traffic.agents.filter(agent => agent.type === type).length;
+    fleetTrafficElement.textContent = traffic.agents.length > 0
+        ? `${count(ScenarioAgentType.FORKLIFT)} forklifts, ${count(ScenarioAgentType.PICKER)} pickers; ` +
+            `${fleet.yieldCount} yields, ${fleet.rerouteCount} reroutes`
+        : 'none';
+    
+    const safety = traffic.getSafetyStats();
+    fleetSafetyElement.textContent = `${safety.nearMisses} near-misses, ${safety.collisions} collisions` +
+        (Number.isFinite(safety.closest) ? ` (closest ${safety.closest.toFixed(2)})` : '');
+    
+    // Encounters stay open while robots are close, so list them afresh when any changes
+    const events = traffic.events.slice(-SAFETY_EVENTS_SHOWN).reverse();
+    const lines = events.map(event => `${event.time.toFixed(1)} s ${event.type}: robot ${event.robot + 1}, ` +
+        `${event.agentType} ${event.agent + 1} at ${event.distance.toFixed(2)}`);
+    if (lines.join('\n') === shownSafetyEvents) return;
+    shownSafetyEvents = lines.join('\n');
+    safetyEventsElement.replaceChildren(...events.map((event, i) => {
+        const item = document.createElement('li');
+        item.className = event.type;
+        item.textContent = lines[i];
+        return item;
+    }));
+}
+
+// Sample every robot's battery level once per simulated second
+function recordBatteryLevels(sim) {
+    if (sim.stepCount % Math.round(1 / sim.config.dt) !== 0) return;
     
-    // Navigate to first detection if robot is not already moving
-    if (activeResults.detections.length > 0 && !robot.moving) {
-        const firstDetection = activeResults.detections[0];
-        robot.setTarget(
-            firstDetection.position.x,
-            firstDetection.position.y,
-            firstDetection.position.z,
-            warehouse.grid
-        );
+    batteryHistory.push({
+        time: sim.time,
+        levels: sim.fleet.robots.map(robot => robot.battery.getLevel())
+    });
+    if (batteryHistory.length > BATTERY_HISTORY_SECONDS) {
+        batteryHistory.shift();
     }
 }
 
-// Update metrics display
-function updateMetricsDisplay(baselineResults, qinaResults) {
-    if (baselineResults) {
-        baselineTimeElement.textContent = `${baselineResults.processTime.toFixed(3)} s`;
-        baselineMissElement.textContent = `${baselineResults.missRate.toFixed(1)}%`;
+// Battery level over time, one line per robot in its color, with the
+// level below which robots go to charge marked
+function drawBatteryChart() {
+    const context = batteryChartCanvas.getContext('2d');
+    const { width, height } = batteryChartCanvas;
+    context.clearRect(0, 0, width, height);
+    
+    const robots = simulation.fleet.robots;
+    if (robots.length === 0) return;
+    const toX = index => index / (BATTERY_HISTORY_SECONDS - 1) * width;
+    const toY = level => (1 - level) * (height - 2) + 1;
+    
+    const threshold = toY(robots[0].battery.config.lowThreshold);
+    context.strokeStyle = 'rgba(255, 82, 82, 0.6)';
+    context.setLineDash([4, 4]);
+    context.beginPath();
+    context.moveTo(0, threshold);
+    context.lineTo(width, threshold);
+    context.stroke();
+    context.setLineDash([]);
+    
+    robots.forEach((robot, index) => {
+        context.strokeStyle = `#${robot.color.toString(16).padStart(6, '0')}`;
+        context.beginPath();
+        batteryHistory.forEach((sample, i) => {
+            const y = toY(sample.levels[index]);
+            if (i === 0) {
+                context.moveTo(toX(i), y);
+            } else {
+                context.lineTo(toX(i), y);
+            }
+        });
+        context.stroke();
+    });
+}
+
+// Update metrics display from each model's running totals, so the
+// comparison settles as detections accumulate instead of following the
+// latest sample
+function updateMetricsDisplay() {
+    const baseline = simulation.baselineModel;
+    const qina = simulation.qinaModel;
+    const baselineTime = baseline.getMeanProcessTime();
+    const qinaTime = qina.getMeanProcessTime();
+    
+    baselineTimeElement.textContent = `${baselineTime.toFixed(3)} s`;
+    baselineMissElement.textContent = `${baseline.missRate.toFixed(1)}%`;
+    qinaTimeElement.textContent = `${qinaTime.toFixed(3)} s`;
+    qinaMissElement.textContent = `${qina.missRate.toFixed(1)}%`;
+    baselineFalsePositivesElement.textContent = `${baseline.falsePositives}`;
+    qinaFalsePositivesElement.textContent = `${qina.falsePositives}`;
+    
+    // Mean SNR gain of the tensor network, and how much of the input it removed
+    const snrGain = qina.getMeanSnrGain();
+    qinaNoiseElement.textContent = qina.denoiseMeasurements > 0
+        ? `${snrGain >= 0 ? '+' : ''}${snrGain.toFixed(1)} dB SNR (reconstruction error ${(qina.getMeanReconstructionError() * 100).toFixed(1)}%)`
+        : '-';
+    
+    if (baseline.detectCalls === 0 || qina.detectCalls === 0) {
+        improvementElement.textContent = '';
+        return;
     }
     
-    if (qinaResults) {
-        qinaTimeElement.textContent = `${qinaResults.processTime.toFixed(3)} s`;
-        qinaMissElement.textContent = `${qinaResults.missRate.toFixed(1)}%`;
+    const timeImprovement = baselineTime > 0 ? ((baselineTime - qinaTime) / baselineTime * 100).toFixed(1) : '0.0';
+    
+    // Errors are misses plus false positives, as in the detection experiment
+    const errorRatio = Statistics.ratio(baseline.missedDetections + baseline.falsePositives,
+        qina.missedDetections + qina.falsePositives);
+    const ratioText = Number.isNaN(errorRatio) ? '-' : (Number.isFinite(errorRatio) ? `${errorRatio.toFixed(1)}x` : 'all');
+    improvementElement.textContent = `${timeImprovement}% faster, ${ratioText} fewer errors ` +
+        `(${qina.totalDetections} boxes in view)`;
+}
+
+function setupVoxelHeatmapControls() {
+    voxelSourceSelect.addEventListener('change', () => {
+        voxelHeatmap.setSource(voxelSourceSelect.value);
+    });
+    voxelThresholdInput.addEventListener('input', () => {
+        voxelHeatmap.setThreshold(Number(voxelThresholdInput.value));
+        voxelThresholdElement.textContent = Number(voxelThresholdInput.value).toFixed(2);
+    });
+    updateVoxelHeatmapStatus();
+}
+
+// Voxels drawn (recordings keep no voxel data), whether the budget
+// raised the threshold, and how far the tensor shown is from the
+// noise-free signal
+function updateVoxelHeatmapStatus() {
+    VoxelHeatmap.drawLegend(voxelLegendCanvas, voxelHeatmap.threshold, voxelHeatmap.cutoff);
+    if (voxelHeatmap.source === VoxelHeatmapSource.OFF) {
+        voxelStatusElement.textContent = '-';
+        return;
+    }
+    if (!voxelHeatmap.shownData) {
+        voxelStatusElement.textContent = replayPanel.player ? 'not recorded' : 'no detection pass yet';
+        return;
     }
     
-    if (baselineResults && qinaResults) {
-        const timeImprovement = ((baselineResults.processTime - qinaResults.processTime) / baselineResults.processTime * 100).toFixed(1);
-        const errorImprovement = (baselineResults.missRate - qinaResults.missRate).toFixed(1);
-        improvementElement.textContent = `${timeImprovement}% faster, ${errorImprovement}% fewer misses`;
+    const raised = voxelHeatmap.cutoff > voxelHeatmap.threshold ? ` (raised to ${voxelHeatmap.cutoff.toFixed(2)})` : '';
+    const denoising = simulation.qinaModel.denoising;
+    const snr = {
+        [VoxelHeatmapSource.SENSOR]: denoising && denoising.snrBefore,
+        [VoxelHeatmapSource.DENOISED]: denoising && denoising.snrAfter
+    }[voxelHeatmap.source];
+    voxelStatusElement.textContent = `${voxelHeatmap.count} voxels ≥ ${voxelHeatmap.threshold.toFixed(2)}${raised}` +
+        (Number.isFinite(snr) ? `, SNR ${snr.toFixed(1)} dB` : '');
+}
+
+// Start Baseline and QINA side by side from the start of the live run's
+// scenario and seed, or go back to the live run, which waits meanwhile
+function toggleSplitScreen() {
+    if (comparison) {
+        comparison = null;
+    } else {
+        replayPanel.stop();
+        comparison = new Comparison({ ...simulation.config, scenario: simulation.scenario, seed: simulation.seed });
+        if (splitViews.length === 0) {
+            splitViews = comparison.sides.map(() => {
+                const sideScene = new THREE.Scene();
+                sideScene.background = scene.background;
+                setupLighting(sideScene);
+                const overlay = new DetectionOverlay(sideScene);
+                overlay.setMode(overlayModelSelect.value);
+                return { scene: sideScene, renderer: new WarehouseRenderer(sideScene), overlay };
+            });
+        }
+        comparison.sides.forEach((side, index) => {
+            side.addObserver(splitViews[index].renderer).onReset(side);
+        });
+        stepAccumulator = 0;
     }
+    
+    splitScreenButton.classList.toggle('active', comparison !== null);
+    splitViewElement.hidden = comparison === null;
+    replayPanel.toggleButton.disabled = comparison !== null;
+    replayShown = undefined; // Snap the live scene back into place
+    onWindowResize();
+}
+
+// Each side's tasks completed, its model's misses and the distance its
+// robots travelled, counted from the start of the comparison
+function updateSplitStats() {
+    for (const stats of comparison.getStats()) {
+        const key = stats.model.toLowerCase();
+        document.getElementById(`split-${key}-tasks`).textContent = `${stats.tasks}`;
+        document.getElementById(`split-${key}-misses`).textContent = `${stats.misses}`;
+        document.getElementById(`split-${key}-distance`).textContent = `${stats.distance.toFixed(1)} m`;
+    }
+}
+
+// Each side in its half of the canvas, seen through the same camera so the
+// views stay in step
+function renderSplitScreen() {
+    const width = window.innerWidth / 2;
+    const height = window.innerHeight;
+    renderer.setScissorTest(true);
+    splitViews.forEach((view, index) => {
+        renderer.setViewport(index * width, 0, width, height);
+        renderer.setScissor(index * width, 0, width, height);
+        renderer.render(view.scene, camera);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
 }
 
 // Handle window resize
 function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.aspect = window.innerWidth / (comparison ? 2 : 1) / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
@@ -245,26 +796,48 @@ function animate() {
     // Start performance monitoring
     stats.begin();
     
-    // Get delta time
-    const delta = clock.getDelta();
-    
-    // Update warehouse
-    warehouse.update(delta);
-    
-    // Update robot
-    robot.update(delta);
+    // Advance the simulation in fixed steps (capped so a stalled tab does
+    // not spiral); while a recording is replayed the live run waits
+    const delta = Math.min(clock.getDelta(), 0.25);
+    const dt = simulation.config.dt;
+    if (replayPanel.player) {
+        replayPanel.advance(delta);
+    } else {
+        const run = comparison || simulation;
+        stepAccumulator += delta;
+        while (stepAccumulator >= dt) {
+            run.step();
+            stepAccumulator -= dt;
+        }
+    }
     
-    // Periodically process visual data (every 2 seconds)
-    const time = clock.getElapsedTime();
-    if (Math.floor(time * 10) % 20 === 0) {
-        processVisualData();
+    // Bring the scene and panels up to date
+    if (comparison) {
+        comparison.sides.forEach((side, index) => {
+            splitViews[index].renderer.sync(side);
+            splitViews[index].overlay.sync(side);
+        });
+        updateSplitStats();
+    } else {
+        warehouseRenderer.sync(replayPanel.player || simulation, replayShown !== replayPanel.player);
+        detectionOverlay.sync(replayPanel.player || simulation);
+        if (voxelHeatmap.sync(replayPanel.player || simulation)) {
+            updateVoxelHeatmapStatus();
+        }
+        replayShown = replayPanel.player;
     }
+    updateFleetDisplay();
+    updatePlannerStatsDisplay();
     
     // Update controls
     controls.update();
     
     // Render scene
-    renderer.render(scene, camera);
+    if (comparison) {
+        renderSplitScreen();
+    } else {
+        renderer.render(scene, camera);
+    }
     
     // End performance monitoring
     stats.end();
@@ -0,0 +1,272 @@
+/**
+ * Robot Motion Model Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the robot kinematics: speed, acceleration and
+ * turn limits for a unicycle or differential-drive base, the power it
+ * draws, and smoothing of grid paths into curves a robot can follow.
+ * Corners become circular arcs inside the corner cell; turns too sharp
+ * for an arc (reversals, leaving a lift) are made on the spot. Grid cells
+ * are taken as one metre, so speeds are in m/s and energy in joules.
+ */
+
+const MotionDrive = {
+    UNICYCLE: 'unicycle', // Speed and turn rate limited independently
+    DIFFERENTIAL: 'differential' // Two driven wheels sharing a speed limit
+};
+
+const MotionDefaults = {
+    drive: MotionDrive.UNICYCLE,
+    maxSpeed: 1.0, // m/s
+    maxAcceleration: 1.0, // m/s^2
+    maxDeceleration: 1.5, // m/s^2
+    maxLateralAcceleration: 1.0, // m/s^2 on curves
+    maxTurnRate: 5.0, // rad/s (unicycle)
+    turningRadius: 0.35, // Corner arc radius in cells, at most 0.5 (0 turns on the spot)
+    trackWidth: 0.5, // Distance between the drive wheels in metres
+    maxWheelSpeed: 1.2, // m/s at the wheel rim (differential drive)
+    liftSpeed: 0.5, // Levels per second inside a lift shaft
+    
+    // Power model
+    mass: 50, // kg, unladen
+    boxMass: 20, // kg per carried box
+    rollingResistance: 0.02, // Coefficient of rolling resistance
+    efficiency: 0.8, // Battery to wheel
+    basePower: 10 // W drawn by electronics and sensors at all times
+};
+
+const GRAVITY = 9.81;
+
+const PathSegmentType = {
+    LINE: 'line',
+    ARC: 'arc',
+    PIVOT: 'pivot', // Turn on the spot
+    LIFT: 'lift' // Ride a lift shaft between levels
+};
+
+class MotionModel {
+    constructor(options = {}) {
+        this.config = { ...MotionDefaults, ...options };
+        this.config.turningRadius = Math.min(0.5, Math.max(0, this.config.turningRadius));
+    }
+    
+    // Top speed on a segment: straight lines, or arcs limited by turn rate
+    // (unicycle), the outer wheel (differential drive) and lateral acceleration
+    speedLimit(segment) {
+        const config = this.config;
+        const isDifferential = config.drive === MotionDrive.DIFFERENTIAL;
+        let limit = isDifferential ? Math.min(config.maxSpeed, config.maxWheelSpeed) : config.maxSpeed;
+        if (segment.type === PathSegmentType.ARC) {
+            const radius = segment.radius;
+            limit = Math.min(limit, Math.sqrt(config.maxLateralAcceleration * radius),
+                isDifferential
+                    ? config.maxWheelSpeed / (1 + config.trackWidth / (2 * radius))
+                    : config.maxTurnRate * radius);
+        }
+        return limit;
+    }
+    
+    // Turn rate on the spot
+    pivotRate() {
+        const config = this.config;
+        return config.drive === MotionDrive.DIFFERENTIAL
+            ? 2 * config.maxWheelSpeed / config.trackWidth
+            : config.maxTurnRate;
+    }
+    
+    // Distance needed to stop from a speed
+    brakingDistance(speed) {
+        return speed * speed / (2 * this.config.maxDeceleration);
+    }
+    
+    // Highest speed to end a step of the given time on, starting it at
+    // speed, that still leaves room to slow to entrySpeed within distance
+    approachSpeed(speed, distance, entrySpeed, time) {
+        const decel = this.config.maxDeceleration;
+        const half = decel * time / 2;
+        const room = half * half + entrySpeed * entrySpeed + 2 * decel * (distance - speed * time / 2);
+        return room > 0 ? Math.max(0, Math.sqrt(room) - half) : 0;
+    }
+    
+    // Power in watts at speed v, turn rate omega, acceleration accel and
+    // climb rate in levels per second (one level is taken as one metre),
+    // carrying payload kg. Braking and descending recover nothing.
+    power(v, omega, accel, climb, payload = 0) {
+        const config = this.config;
+        const mass = config.mass + payload;
+        const half = config.trackWidth / 2;
+        const wheelSpeed = (Math.abs(v - omega * half) + Math.abs(v + omega * half)) / 2;
+        const rolling = config.rollingResistance * mass * GRAVITY * wheelSpeed;
+        const inertial = Math.max(0, mass * accel * v);
+        const lift = Math.max(0, mass * GRAVITY * climb);
+        return config.basePower + (rolling + inertial + lift) / config.efficiency;
+    }
+    
+    // Estimated energy to drive a distance of grid path. Stops, turns and
+    // waits for other robots keep a trip's mean speed near a quarter of
+    // the top speed, and the time drives up the base power drawn.
+    estimateEnergy(distance, payload = 0) {
+        const speed = this.config.maxSpeed / 4;
+        return distance / speed * this.power(speed, 0, 0, 0, payload);
+    }
+}
+
+// A grid path smoothed into lines, arcs, turns on the spot and lift rides,
+// parameterized by the distance driven (its station). stations[i] is where
+// waypoint i counts as reached: the cell center, or the middle of the arc
+// that rounds it.
+class SmoothPath {
+    constructor(start, heading, waypoints, turningRadius) {
+        this.segments = [];
+        this.stations = [];
+        this.length = 0;
+        this.build(start, heading, waypoints, turningRadius);
+    }
+    
+    build(start, heading, waypoints, turningRadius) {
+        // Corner points, with waits folded into the point they wait on
+        const vertices = [{ x: start.x, y: start.y, z: start.z }];
+        const vertexOf = waypoints.map(point => {
+            const last = vertices[vertices.length - 1];
+            if (point.x !== last.x || point.y !== last.y || point.z !== last.z) {
+                vertices.push({ x: point.x, y: point.y, z: point.z });
+            }
+            return vertices.length - 1;
+        });
+        
+        const vertexStations = [0];
+        let x = start.x;
+        let z = start.z;
+        let previousFillet = null;
+        for (let k = 1; k < vertices.length; k++) {
+            const a = vertices[k - 1];
+            const b = vertices[k];
+            
+            if (a.y !== b.y) {
+                this.add({ type: PathSegmentType.LIFT, length: Math.abs(b.y - a.y), x: a.x, z: a.z, y0: a.y, y1: b.y, heading });
+                vertexStations.push(this.length);
+                previousFillet = null;
+                continue;
+            }
+            
+            // Turn on the spot unless an arc already brought the heading round
+            const direction = SmoothPath.direction(a, b);
+            if (!previousFillet && Math.abs(SmoothPath.angleBetween(heading, direction.heading)) > 1e-6) {
+                this.add({ type: PathSegmentType.PIVOT, length: 0, x, y: a.y, z, from: heading,
+                    turn: SmoothPath.angleBetween(heading, direction.heading) });
+            }
+            heading = direction.heading;
+            
+            const fillet = this.getFillet(vertices, k, turningRadius);
+            const endX = b.x - direction.dx * (fillet ? fillet.tangent : 0);
+            const endZ = b.z - direction.dz * (fillet ? fillet.tangent : 0);
+            const length = Math.hypot(endX - x, endZ - z);
+            if (length > 1e-9) {
+                this.add({ type: PathSegmentType.LINE, length, x0: x, z0: z, dx: direction.dx, dz: direction.dz, y: a.y, heading });
+            }
+            
+            if (fillet) {
+                const arc = this.add(fillet.arc(endX, endZ, b.y, heading));
+                vertexStations.push(arc.s0 + arc.length / 2);
+                heading += arc.sweep;
+                x = fillet.exitX;
+                z = fillet.exitZ;
+            } else {
+                vertexStations.push(this.length);
+                x = b.x;
+                z = b.z;
+            }
+            previousFillet = fillet;
+        }
+        
+        this.stations = vertexOf.map(k => vertexStations[k]);
+    }
+    
+    add(segment) {
+        segment.s0 = this.length;
+        this.segments.push(segment);
+        this.length += segment.length;
+        return segment;
+    }
+    
+    // The arc rounding vertex k, or null when it is not a corner on one level
+    // or too sharp to round inside the corner cell
+    getFillet(vertices, k, turningRadius) {
+        if (k + 1 >= vertices.length || turningRadius <= 0) return null;
+        const a = vertices[k - 1];
+        const b = vertices[k];
+        const c = vertices[k + 1];
+        if (a.y !== b.y || b.y !== c.y) return null;
+        
+        const first = SmoothPath.direction(a, b);
+        const second = SmoothPath.direction(b, c);
+        const turn = SmoothPath.angleBetween(first.heading, second.heading);
+        const angle = Math.abs(turn);
+        if (angle < 1e-6 || angle > Math.PI * 0.6) return null;
+        
+        // Tangent points stay inside the corner cell and short of the neighbors' arcs
+        const maxTangent = Math.min(0.5, first.length / 2, second.length / 2);
+        const radius = Math.min(turningRadius, maxTangent / Math.tan(angle / 2));
+        if (radius < 0.05) return null;
+        const tangent = radius * Math.tan(angle / 2);
+        
+        return {
+            tangent,
+            exitX: b.x + second.dx * tangent,
+            exitZ: b.z + second.dz * tangent,
+            arc: (x, z, y, heading) => {
+                // The center is a radius to the inside of the turn
+                const side = Math.sign(turn);
+                const cx = x - side * first.dz * radius;
+                const cz = z + side * first.dx * radius;
+                return {
+                    type: PathSegmentType.ARC, length: radius * angle, cx, cz, y, radius,
+                    angle0: Math.atan2(z - cz, x - cx), sweep: turn, heading
+                };
+            }
+        };
+    }
+    
+    // Position {x, y, z} and heading at a distance into a segment (levels
+    // for a lift ride), or a fraction of the way through a turn on the spot
+    static poseAt(segment, progress) {
+        switch (segment.type) {
+            case PathSegmentType.LINE:
+                return {
+                    x: segment.x0 + segment.dx * progress, y: segment.y, z: segment.z0 + segment.dz * progress,
+                    heading: segment.heading
+                };
+            case PathSegmentType.ARC: {
+                const fraction = progress / segment.length;
+                const angle = segment.angle0 + segment.sweep * fraction;
+                return {
+                    x: segment.cx + segment.radius * Math.cos(angle), y: segment.y,
+                    z: segment.cz + segment.radius * Math.sin(angle),
+                    heading: segment.heading + segment.sweep * fraction
+                };
+            }
+            case PathSegmentType.PIVOT:
+                return { x: segment.x, y: segment.y, z: segment.z, heading: segment.from + segment.turn * progress };
+            default:
+                return {
+                    x: segment.x, y: segment.y0 + (segment.y1 - segment.y0) * progress / segment.length, z: segment.z,
+                    heading: segment.heading
+                };
+        }
+    }
+    
+    static direction(a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const length = Math.hypot(dx, dz);
+        return { dx: dx / length, dz: dz / length, length, heading: Math.atan2(dz, dx) };
+    }
+    
+    // Signed turn from one heading to another, in [-PI, PI]
+    static angleBetween(from, to) {
+        let turn = to - from;
+        while (turn > Math.PI) turn -= 2 * Math.PI;
+        while (turn < -Math.PI) turn += 2 * Math.PI;
+        return turn;
+    }
+}
@@ -0,0 +1,284 @@
+/**
+ * Multi-Agent Path Planning Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements prioritized planning for the robot fleet: each
+ * robot plans in space-time around a reservation table holding the plans
+ * of higher-priority robots, with the step costs and heuristic of the
+ * selected grid planner (see Pathfinders). Plans are indexed by time step
+ * (path[t] is the cell occupied at step t), and no two plans share a cell
+ * at the same step (vertex conflict), swap cells between two steps (edge
+ * conflict) or enter a cell another robot is just leaving (following
+ * conflict, which would bring two robots within a cell of each other
+ * while they turn). Forklifts and pickers enter the table as cells they
+ * are expected on at given steps (see Traffic.getReservations).
+ */
+
+// Cells and moves claimed by planned agents over time
+class ReservationTable {
+    constructor() {
+        this.vertices = new Map(); // "x,y,z@t" -> agent id
+        this.edges = new Map(); // "x,y,z>x,y,z@t" -> agent id, move made between t and t+1
+        this.parked = new Map(); // "x,y,z" -> {agentId, fromTime}, occupied forever after
+        this.lastUse = new Map(); // "x,y,z" -> last step any agent passes through the cell
+        this.lastStep = 0; // Last step anything is reserved at; the table is fixed after it
+    }
+    
+    static cellKey(cell) {
+        return `${cell.x},${cell.y},${cell.z}`;
+    }
+    
+    // Claim a time-indexed path; the agent stays at its last cell afterwards
+    reservePath(agentId, path) {
+        for (let t = 0; t < path.length; t++) {
+            const cell = path[t];
+            const key = ReservationTable.cellKey(cell);
+            this.vertices.set(`${key}@${t}`, agentId);
+            this.lastUse.set(key, Math.max(this.lastUse.get(key) || 0, t));
+            this.lastStep = Math.max(this.lastStep, t);
+            
+            if (t + 1 < path.length) {
+                this.edges.set(`${key}>${ReservationTable.cellKey(path[t + 1])}@${t}`, agentId);
+            }
+        }
+        
+        const last = path[path.length - 1];
+        this.parked.set(ReservationTable.cellKey(last), { agentId, fromTime: path.length - 1 });
+    }
+    
+    // Claim single cells at single steps: [{id, cell, t}], for agents that
+    // are not planned here and never park
+    reserveCells(reservations) {
+        for (const { id, cell, t } of reservations) {
+            const key = ReservationTable.cellKey(cell);
+            this.vertices.set(`${key}@${t}`, id);
+            this.lastUse.set(key, Math.max(this.lastUse.get(key) || 0, t));
+            this.lastStep = Math.max(this.lastStep, t);
+        }
+    }
+    
+    isVertexFree(cell, t, agentId) {
+        const key = ReservationTable.cellKey(cell);
+        const owner = this.vertices.get(`${key}@${t}`);
+        if (owner !== undefined && owner !== agentId) return false;
+        
+        const parked = this.parked.get(key);
+        return !parked || parked.agentId === agentId || t < parked.fromTime;
+    }
+    
+    // Moving from a to b between t and t+1 must not swap with another agent,
+    // follow one out of b, or be followed into a
+    isMoveFree(a, b, t, agentId) {
+        const owner = this.edges.get(`${ReservationTable.cellKey(b)}>${ReservationTable.cellKey(a)}@${t}`);
+        if (owner !== undefined && owner !== agentId) return false;
+        
+        const isSameCell = a.x === b.x && a.y === b.y && a.z === b.z;
+        return isSameCell || (this.isVertexFree(b, t, agentId) && this.isVertexFree(a, t + 1, agentId));
+    }
+    
+    // Whether an agent may stop at a cell for good from step t on
+    canPark(cell, t, agentId) {
+        const key = ReservationTable.cellKey(cell);
+        const parked = this.parked.get(key);
+        if (parked && parked.agentId !== agentId) return false;
+        return !this.isUsedByOthersAfter(key, t, agentId);
+    }
+    
+    isUsedByOthersAfter(key, t, agentId) {
+        const lastUse = this.lastUse.get(key) || 0;
+        for (let step = t; step <= lastUse; step++) {
+            const owner = this.vertices.get(`${key}@${step}`);
+            if (owner !== undefined && owner !== agentId) return true;
+        }
+        return false;
+    }
+}
+
+// Best-first search over (cell, time) states with moves and waits. Moves
+// cost what the grid planner named by options.planner charges for them
+// (levels, chargers) and a wait costs one step; f = g + weight * h with
+// that planner's weight. h is the planner's heuristic raised to the exact
+// cost to the goal ignoring other agents, since a weaker estimate leaves
+// every wait as promising as a step and the search would sweep the whole
+// grid at every step before finding a detour. Jump Point Search's jumps
+// and Theta*'s shortcuts skip cells, which a path of one cell per step
+// cannot, so those two search cell by cell with their costs.
+class SpaceTimeAStar {
+    constructor(grid, options = {}) {
+        this.pathfinder = Pathfinders.create(options.planner || 'astar', grid, options);
+        this.weight = this.pathfinder.options.weight !== undefined ? this.pathfinder.options.weight : 1;
+        this.maxExpansions = options.maxExpansions || 50000;
+        this.stats = { expanded: 0, generated: 0 };
+    }
+    
+    // Time-indexed path from start (at step 0) to goal, or null
+    findPath(start, goal, table, agentId) {
+        const pathfinder = this.pathfinder;
+        this.stats = { expanded: 0, generated: 1 };
+        
+        // Cells that cannot reach the goal are never entered
+        const costs = this.costsTo(goal);
+        if (!costs.has(pathfinder.nodeKey(start.x, start.y, start.z))) return null;
+        const estimate = cell => this.weight *
+            Math.max(pathfinder.heuristic(cell, goal), costs.get(pathfinder.nodeKey(cell.x, cell.y, cell.z)));
+        
+        const openHeap = new BinaryHeap((a, b) => a.f - b.f || b.t - a.t);
+        const closed = new Set();
+        
+        // Past the table's last step waiting changes nothing, so later steps
+        // share one state per cell and a goal that cannot be reached fails
+        // once those are spent
+        const stateKey = (cell, t) =>
+            `${pathfinder.nodeKey(cell.x, cell.y, cell.z)}@${Math.min(t, table.lastStep + 1)}`;
+        const startNode = { x: start.x, y: start.y, z: start.z, t: 0, g: 0,
+            f: estimate(start), parent: null };
+        openHeap.push(startNode);
+        
+        while (!openHeap.isEmpty()) {
+            const current = openHeap.pop();
+            const key = stateKey(current, current.t);
+            if (closed.has(key)) continue;
+            closed.add(key);
+            
+            if (current.x === goal.x && current.y === goal.y && current.z === goal.z &&
+                table.canPark(current, current.t, agentId)) {
+                return this.reconstructPath(current);
+            }
+            
+            if (++this.stats.expanded > this.maxExpansions) break;
+            
+            // Waiting in place is always a candidate move
+            const moves = [{ x: current.x, y: current.y, z: current.z },
+                ...pathfinder.getNeighbors(current.x, current.y, current.z)];
+            const t = current.t + 1;
+            
+            for (const move of moves) {
+                if (!costs.has(pathfinder.nodeKey(move.x, move.y, move.z))) continue;
+                if (closed.has(stateKey(move, t))) continue;
+                if (!table.isVertexFree(move, t, agentId)) continue;
+                if (!table.isMoveFree(current, move, current.t, agentId)) continue;
+                
+                const isWait = move.x === current.x && move.y === current.y && move.z === current.z;
+                const g = current.g + (isWait ? 1 : pathfinder.cost(current, move));
+                openHeap.push({ x: move.x, y: move.y, z: move.z, t: t, g: g,
+                    f: g + estimate(move), parent: current });
+                this.stats.generated++;
+            }
+        }
+        
+        return null;
+    }
+    
+    // Cost to the goal from every cell that can reach it, by Dijkstra
+    // backwards from it (so one-way aisles count in the right direction)
+    costsTo(goal) {
+        const pathfinder = this.pathfinder;
+        const costs = new Map([[pathfinder.nodeKey(goal.x, goal.y, goal.z), 0]]);
+        const openHeap = new BinaryHeap((a, b) => a.cost - b.cost);
+        openHeap.push({ cell: goal, cost: 0 });
+        
+        while (!openHeap.isEmpty()) {
+            const { cell, cost } = openHeap.pop();
+            if (cost > costs.get(pathfinder.nodeKey(cell.x, cell.y, cell.z))) continue;
+            
+            for (const neighbor of pathfinder.getNeighbors(cell.x, cell.y, cell.z, true)) {
+                const key = pathfinder.nodeKey(neighbor.x, neighbor.y, neighbor.z);
+                const neighborCost = cost + pathfinder.cost(neighbor, cell);
+                if (!costs.has(key) || neighborCost < costs.get(key)) {
+                    costs.set(key, neighborCost);
+                    openHeap.push({ cell: neighbor, cost: neighborCost });
+                }
+            }
+        }
+        
+        return costs;
+    }
+    
+    reconstructPath(node) {
+        const path = [];
+        for (let current = node; current; current = current.parent) {
+            path.push({ x: current.x, y: current.y, z: current.z });
+        }
+        return path.reverse();
+    }
+}
+
+// Prioritized planning: agents plan one after another around earlier plans.
+// options are the grid planner's, named by options.planner (see Pathfinders).
+class PrioritizedPlanner {
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.options = options;
+        this.stats = { planner: options.planner || 'astar', expanded: 0, attempts: 0, timeMs: 0 };
+    }
+    
+    // agents: [{id, start, goal, grid}] where goal may be null for an idle
+    // agent and grid, when given, is the map the agent plans on in place of
+    // the planner's (its belief of where boxes stand).
+    // reservations are cells others hold over time, planned round
+    // ([{id, cell, t}], see ReservationTable.reserveCells).
+    // Returns {paths: Map id -> time-indexed path, failed: [ids]}; agents that
+    // cannot be planned are kept in place and reported as failed.
+    plan(agents, reservations = []) {
+        const startTime = performance.now();
+        this.stats = { planner: this.options.planner || 'astar', expanded: 0, attempts: 0, timeMs: 0 };
+        const isMoving = agent => agent.goal &&
+            (agent.goal.x !== agent.start.x || agent.goal.y !== agent.start.y || agent.goal.z !== agent.start.z);
+        
+        let stationary = agents.filter(agent => !isMoving(agent));
+        
+        // Agents with longer trips get priority first
+        let order = agents.filter(isMoving).sort((a, b) =>
+            this.manhattan(b.start, b.goal) - this.manhattan(a.start, a.goal));
+        const failed = [];
+        
+        while (true) {
+            let result = null;
+            
+            // On failure, promote the failing agent and try again
+            for (let attempt = 0; attempt <= order.length; attempt++) {
+                result = this.tryOrder(stationary, order, reservations);
+                if (result.failedAgent === null) {
+                    this.stats.timeMs = performance.now() - startTime;
+                    return { paths: result.paths, failed };
+                }
+                order = [result.failedAgent, ...order.filter(agent => agent !== result.failedAgent)];
+            }
+            
+            // Still no plan: keep the failing agent in place and plan the rest
+            failed.push(result.failedAgent.id);
+            stationary = [...stationary, result.failedAgent];
+            order = order.filter(agent => agent !== result.failedAgent);
+        }
+    }
+    
+    tryOrder(stationary, order, reservations = []) {
+        this.stats.attempts++;
+        const table = new ReservationTable();
+        const paths = new Map();
+        table.reserveCells(reservations);
+        
+        for (const agent of stationary) {
+            const path = [agent.start];
+            table.reservePath(agent.id, path);
+            paths.set(agent.id, path);
+        }
+        
+        for (const agent of order) {
+            const search = new SpaceTimeAStar(agent.grid || this.grid, this.options);
+            const path = search.findPath(agent.start, agent.goal, table, agent.id);
+            this.stats.expanded += search.stats.expanded;
+            if (!path) {
+                return { paths, failedAgent: agent };
+            }
+            table.reservePath(agent.id, path);
+            paths.set(agent.id, path);
+        }
+        
+        return { paths, failedAgent: null };
+    }
+    
+    manhattan(a, b) {
+        return Math.abs(a.x - b.x) + Math.abs(a.y - b.y) + Math.abs(a.z - b.z);
+    }
+}
@@ -1,101 +1,231 @@
 /**
- * A* Pathfinding Implementation
+ * Grid Pathfinding Implementation
  * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA) 
  * 
- * This file implements a simplified A* pathfinding algorithm
- * for robot navigation in the 3D grid
+ * This file implements the grid search strategies used for robot
+ * navigation in the 3D grid: A*, Dijkstra, weighted A*, Jump Point
+ * Search and Theta*. Every planner shares the same contract:
+ * 
+ *   findPath(start, end, options) -> array of {x, y, z} waypoints,
+ *                                    or null when end is unreachable
+ * 
+ * and reports its search statistics in `stats` after each call. Grid cells
+ * hold CellType flags: blocked cells are never entered, one-way cells are
+ * never traversed against their direction and chargers cost extra. Moves
+ * between levels ride a lift and cost options.verticalCost each.
  */
 
-class AStarPathfinder {
-    constructor(grid) {
+// Outcome of planning towards a target (see GridPathfinder.planToTarget)
+const PlanStatus = {
+    OK: 'ok',
+    AT_GOAL: 'at-goal',
+    OUT_OF_BOUNDS: 'out-of-bounds',
+    NO_APPROACH: 'no-approach',
+    UNREACHABLE: 'unreachable'
+};
+
+// Common best-first search over the occupancy grid
+class GridPathfinder {
+    constructor(grid, options = {}) {
         this.grid = grid;
-        this.gridSize = grid.length;
+        this.options = options;
+        
+        // Grid dimensions (floor plans need not be cubic)
+        this.sizeX = grid.length;
+        this.sizeY = grid[0].length;
+        this.sizeZ = grid[0][0].length;
+        
+        // Cost of one level up or down, relative to one cell along the floor
+        this.verticalCost = options.verticalCost !== undefined ? options.verticalCost : 2;
+        
+        // Search statistics for the most recent findPath call
+        this.stats = { expanded: 0, generated: 0, cost: 0, timeMs: 0 };
     }
     
-    findPath(startX, startY, startZ, endX, endY, endZ) {
-        // Create start and end nodes
-        const start = {x: startX, y: startY, z: startZ};
-        const end = {x: endX, y: endY, z: endZ};
+    findPath(start, end, options = {}) {
+        const settings = { ...this.options, ...options };
+        const weight = settings.weight !== undefined ? settings.weight : 1;
+        const startTime = performance.now();
+        
+        this.stats = { expanded: 0, generated: 1, cost: 0, timeMs: 0 };
         
         // Handle case where start and end are the same
-        if (startX === endX && startY === endY && startZ === endZ) {
+        if (start.x === end.x && start.y === end.y && start.z === end.z) {
             return [];
         }
         
-        // Initialize open and closed lists
-        const openList = [];
-        const closedList = new Set();
-        
-        // Add start node to open list
-        openList.push({
-            x: start.x,
-            y: start.y,
-            z: start.z,
-            g: 0,
-            h: this.heuristic(start, end),
-            f: this.heuristic(start, end),
-            parent: null
-        });
-        
-        // Loop until open list is empty
-        while (openList.length > 0) {
-            // Sort open list to get node with lowest f value
-            openList.sort((a, b) => a.f - b.f);
-            
+        // Open set ordered by f, breaking ties towards the goal (lower h)
+        const openHeap = new BinaryHeap((a, b) => a.f - b.f || a.h - b.h);
+        
+        // Every generated node, keyed by its grid index
+        const nodes = new Map();
+        
+        // Add start node to open set
+        const startNode = this.createNode(start, 0, this.heuristic(start, end), weight, null);
+        nodes.set(this.nodeKey(start.x, start.y, start.z), startNode);
+        openHeap.push(startNode);
+        
+        // Loop until open set is empty
+        while (!openHeap.isEmpty()) {
             // Get current node (lowest f value)
-            const current = openList.shift();
+            const current = openHeap.pop();
             
             // Check if reached end
             if (current.x === end.x && current.y === end.y && current.z === end.z) {
-                // Reconstruct path
+                this.stats.cost = current.g;
+                this.stats.timeMs = performance.now() - startTime;
                 return this.reconstructPath(current);
             }
             
-            // Add current to closed list
-            closedList.add(`${current.x},${current.y},${current.z}`);
-            
-            // Get neighbors
-            const neighbors = this.getNeighbors(current.x, current.y, current.z);
+            // Mark current as closed
+            current.closed = true;
+            this.stats.expanded++;
             
-            // Check each neighbor
-            for (const neighbor of neighbors) {
-                // Skip if in closed list
-                if (closedList.has(`${neighbor.x},${neighbor.y},${neighbor.z}`)) {
+            // Check each successor
+            for (const successor of this.getSuccessors(current, end)) {
+                const key = this.nodeKey(successor.x, successor.y, successor.z);
+                const node = nodes.get(key);
+                
+                // Skip if already expanded
+                if (node && node.closed) {
                     continue;
                 }
                 
-                // Calculate g score (cost from start)
-                const gScore = current.g + 1;
-                
-                // Check if already in open list
-                const openNode = openList.find(
-                    node => node.x === neighbor.x && 
-                           node.y === neighbor.y && 
-                           node.z === neighbor.z
-                );
+                // Best parent and cost from start for this successor
+                const { parent, g } = this.relax(current, successor);
                 
-                if (!openNode) {
-                    // Not in open list, add it
-                    openList.push({
-                        x: neighbor.x,
-                        y: neighbor.y,
-                        z: neighbor.z,
-                        g: gScore,
-                        h: this.heuristic({x: neighbor.x, y: neighbor.y, z: neighbor.z}, end),
-                        f: gScore + this.heuristic({x: neighbor.x, y: neighbor.y, z: neighbor.z}, end),
-                        parent: current
-                    });
-                } else if (gScore < openNode.g) {
-                    // Already in open list, update if this path is better
-                    openNode.g = gScore;
-                    openNode.f = gScore + openNode.h;
-                    openNode.parent = current;
+                if (!node) {
+                    // Not seen yet, add it
+                    const newNode = this.createNode(successor, g, this.heuristic(successor, end), weight, parent);
+                    nodes.set(key, newNode);
+                    openHeap.push(newNode);
+                    this.stats.generated++;
+                } else if (g < node.g) {
+                    // Already in open set, update if this path is better
+                    node.g = g;
+                    node.f = g + weight * node.h;
+                    node.parent = parent;
+                    openHeap.decreaseKey(node);
                 }
             }
         }
         
         // No path found
-        return [];
+        this.stats.timeMs = performance.now() - startTime;
+        return null;
+    }
+    
+    // Plan towards a target cell. An occupied target (such as a box) resolves
+    // to the cheapest free cell beside it on the same level, its approach face.
+    // options.exclude is a Set of nodeKeys that may not be chosen as the goal.
+    planToTarget(start, target, options = {}) {
+        const totals = { expanded: 0, generated: 0, cost: 0, timeMs: 0 };
+        const result = (status, path, goal, reason) => {
+            this.stats = totals;
+            return { status, path, goal, reason };
+        };
+        
+        if (!this.inBounds(target.x, target.y, target.z)) {
+            return result(PlanStatus.OUT_OF_BOUNDS, [], null,
+                `Target (${target.x}, ${target.y}, ${target.z}) is outside the grid`);
+        }
+        
+        const exclude = options.exclude || new Set();
+        const goals = (this.isWalkable(target.x, target.y, target.z)
+            ? [target]
+            : this.getApproachCells(target))
+            .filter(goal => !exclude.has(this.nodeKey(goal.x, goal.y, goal.z)));
+        
+        if (goals.length === 0) {
+            return result(PlanStatus.NO_APPROACH, [], null,
+                `No free cell next to target (${target.x}, ${target.y}, ${target.z})`);
+        }
+        
+        let best = null;
+        for (const goal of goals) {
+            if (goal.x === start.x && goal.y === start.y && goal.z === start.z) {
+                return result(PlanStatus.AT_GOAL, [], goal, null);
+            }
+            
+            const path = this.findPath(start, goal, options);
+            totals.expanded += this.stats.expanded;
+            totals.generated += this.stats.generated;
+            totals.timeMs += this.stats.timeMs;
+            
+            if (path && (!best || this.stats.cost < best.cost)) {
+                best = { path, goal, cost: this.stats.cost };
+            }
+        }
+        
+        if (!best) {
+            return result(PlanStatus.UNREACHABLE, [], null,
+                `No path from (${start.x}, ${start.y}, ${start.z}) to target (${target.x}, ${target.y}, ${target.z})`);
+        }
+        
+        totals.cost = best.cost;
+        return result(PlanStatus.OK, best.path, best.goal, null);
+    }
+    
+    // Free cells beside an occupied target on the same level
+    getApproachCells(target) {
+        const faces = [
+            {dx: 1, dz: 0},
+            {dx: -1, dz: 0},
+            {dx: 0, dz: 1},
+            {dx: 0, dz: -1}
+        ];
+        
+        return faces
+            .map(face => ({x: target.x + face.dx, y: target.y, z: target.z + face.dz}))
+            .filter(cell => this.isWalkable(cell.x, cell.y, cell.z));
+    }
+    
+    createNode(cell, g, h, weight, parent) {
+        return {
+            x: cell.x,
+            y: cell.y,
+            z: cell.z,
+            g: g,
+            h: h,
+            f: g + weight * h,
+            parent: parent,
+            closed: false
+        };
+    }
+    
+    // Cells reachable from a node in one search step
+    getSuccessors(node, end) {
+        return this.getNeighbors(node.x, node.y, node.z);
+    }
+    
+    // Parent and cost from start when reaching successor from current
+    relax(current, successor) {
+        return { parent: current, g: current.g + this.cost(current, successor) };
+    }
+    
+    // Unique integer key for a grid cell
+    nodeKey(x, y, z) {
+        return (x * this.sizeY + y) * this.sizeZ + z;
+    }
+    
+    inBounds(x, y, z) {
+        return x >= 0 && x < this.sizeX &&
+               y >= 0 && y < this.sizeY &&
+               z >= 0 && z < this.sizeZ;
+    }
+    
+    isWalkable(x, y, z) {
+        return this.inBounds(x, y, z) && CellTypes.isWalkable(this.grid[x][y][z], y);
+    }
+    
+    // Whether a robot on (x, y, z) may step by (dx, dy, dz); see CellTypes.allowsMove
+    canMove(x, y, z, dx, dy, dz) {
+        if (!this.inBounds(x + dx, y + dy, z + dz)) return false;
+        
+        // Above the floor only lift cells carry a robot
+        const to = this.grid[x + dx][y + dy][z + dz];
+        return (y + dy === 0 || (to & CellType.LIFT) !== 0) &&
+            CellTypes.allowsMove(this.grid[x][y][z], to, dx, dz, dy);
     }
     
     reconstructPath(node) {
@@ -104,7 +234,7 @@ class AStarPathfinder {
         
         // Traverse from end to start using parent references
         while (current.parent) {
-            path.unshift({
+            path.push({
                 x: current.x,
                 y: current.y,
                 z: current.z
@@ -112,21 +242,22 @@ class AStarPathfinder {
             current = current.parent;
         }
         
-        return path;
+        return path.reverse();
     }
     
-    getNeighbors(x, y, z) {
+    // Cells one step from (x, y, z); with reverse, cells one step to it
+    // (the two differ only around one-way aisles)
+    getNeighbors(x, y, z, reverse = false) {
         const neighbors = [];
         
-        // Define possible movements (6-directional in 3D space)
+        // Define possible movements (6-directional in 3D space; y only in lifts)
         const directions = [
             {dx: 1, dy: 0, dz: 0},
             {dx: -1, dy: 0, dz: 0},
             {dx: 0, dy: 0, dz: 1},
             {dx: 0, dy: 0, dz: -1},
-            // Uncomment for full 3D movement with y-axis
-            // {dx: 0, dy: 1, dz: 0},
-            // {dx: 0, dy: -1, dz: 0}
+            {dx: 0, dy: 1, dz: 0},
+            {dx: 0, dy: -1, dz: 0}
         ];
         
         // Check each direction
@@ -135,24 +266,269 @@ class AStarPathfinder {
             const newY = y + dir.dy;
             const newZ = z + dir.dz;
             
-            // Check if in bounds
-            if (
-                newX >= 0 && newX < this.gridSize &&
-                newY >= 0 && newY < this.gridSize &&
-                newZ >= 0 && newZ < this.gridSize
-            ) {
-                // Check if not an obstacle
-                if (this.grid[newX][newY][newZ] !== 1) {
-                    neighbors.push({x: newX, y: newY, z: newZ});
-                }
+            // Check if in bounds, not an obstacle and not against a one-way aisle
+            const allowed = reverse
+                ? this.inBounds(newX, newY, newZ) && !(this.grid[newX][newY][newZ] & CellMask.SOLID) &&
+                    this.canMove(newX, newY, newZ, -dir.dx, -dir.dy, -dir.dz)
+                : this.canMove(x, y, z, dir.dx, dir.dy, dir.dz);
+            if (allowed) {
+                neighbors.push({x: newX, y: newY, z: newZ});
             }
         }
         
         return neighbors;
     }
     
+    // Step cost between cells: distance moved plus the entered cell's penalty
+    cost(a, b) {
+        return this.distance(a, b) + CellTypes.penalty(this.grid[b.x][b.y][b.z]);
+    }
+    
+    distance(a, b) {
+        return Math.abs(a.x - b.x) + this.verticalCost * Math.abs(a.y - b.y) + Math.abs(a.z - b.z);
+    }
+    
+    heuristic(a, b) {
+        // Manhattan distance, levels weighted by their cost
+        return Math.abs(a.x - b.x) + this.verticalCost * Math.abs(a.y - b.y) + Math.abs(a.z - b.z);
+    }
+}
+
+// A* with Manhattan heuristic
+class AStarPathfinder extends GridPathfinder {
+}
+
+// Uniform-cost search: A* without a heuristic
+class DijkstraPathfinder extends GridPathfinder {
     heuristic(a, b) {
-        // Manhattan distance
-        return Math.abs(a.x - b.x) + Math.abs(a.y - b.y) + Math.abs(a.z - b.z);
+        return 0;
     }
 }
+
+// Weighted A*: f = g + epsilon * h, paths at most epsilon times optimal
+class WeightedAStarPathfinder extends GridPathfinder {
+    constructor(grid, options = {}) {
+        super(grid, { ...options, weight: options.epsilon !== undefined ? options.epsilon : 1.5 });
+    }
+    
+    findPath(start, end, options = {}) {
+        const settings = { ...options };
+        if (settings.epsilon !== undefined) {
+            settings.weight = settings.epsilon;
+        }
+        return super.findPath(start, end, settings);
+    }
+}
+
+// Jump Point Search for uniform-cost 4-connected floors. A level with
+// chargers, one-way aisles, lifts or no-go zones is not uniform, and jumps
+// run along one level; such searches go cell by cell.
+class JumpPointPathfinder extends GridPathfinder {
+    findPath(start, end, options = {}) {
+        this.uniform = start.y === end.y && this.isUniformLevel(start.y);
+        return super.findPath(start, end, options);
+    }
+    
+    isUniformLevel(y) {
+        const special = CellMask.ONE_WAY | CellType.CHARGER | CellType.NO_GO | CellType.LIFT;
+        for (let x = 0; x < this.sizeX; x++) {
+            for (let z = 0; z < this.sizeZ; z++) {
+                if ((this.grid[x][y][z] & special) !== 0) return false;
+            }
+        }
+        return true;
+    }
+    
+    getSuccessors(node, end) {
+        if (!this.uniform) {
+            return super.getSuccessors(node, end);
+        }
+        
+        const successors = [];
+        
+        for (const neighbor of this.getPrunedNeighbors(node)) {
+            const jumpPoint = this.jump(neighbor.x, node.y, neighbor.z,
+                neighbor.x - node.x, neighbor.z - node.z, end);
+            if (jumpPoint) {
+                successors.push(jumpPoint);
+            }
+        }
+        
+        return successors;
+    }
+    
+    // Natural and forced neighbors given the direction of travel
+    getPrunedNeighbors(node) {
+        if (!node.parent) {
+            return this.getNeighbors(node.x, node.y, node.z);
+        }
+        
+        const { x, y, z } = node;
+        const dx = Math.sign(x - node.parent.x);
+        const dz = Math.sign(z - node.parent.z);
+        const candidates = dx !== 0
+            ? [{x: x, z: z - 1}, {x: x, z: z + 1}, {x: x + dx, z: z}]
+            : [{x: x - 1, z: z}, {x: x + 1, z: z}, {x: x, z: z + dz}];
+        
+        return candidates
+            .filter(cell => this.isWalkable(cell.x, y, cell.z))
+            .map(cell => ({x: cell.x, y: y, z: cell.z}));
+    }
+    
+    // Walk from (x, z) in direction (dx, dz) until a jump point or a wall
+    jump(x, y, z, dx, dz, end) {
+        while (this.isWalkable(x, y, z)) {
+            if (x === end.x && z === end.z) {
+                return {x, y, z};
+            }
+            
+            if (dx !== 0) {
+                // Forced neighbor: side open here but blocked one step back
+                if ((this.isWalkable(x, y, z - 1) && !this.isWalkable(x - dx, y, z - 1)) ||
+                    (this.isWalkable(x, y, z + 1) && !this.isWalkable(x - dx, y, z + 1))) {
+                    return {x, y, z};
+                }
+            } else {
+                if ((this.isWalkable(x - 1, y, z) && !this.isWalkable(x - 1, y, z - dz)) ||
+                    (this.isWalkable(x + 1, y, z) && !this.isWalkable(x + 1, y, z - dz))) {
+                    return {x, y, z};
+                }
+                
+                // Moving along z, any jump point sideways makes this one too
+                if (this.jump(x + 1, y, z, 1, 0, end) || this.jump(x - 1, y, z, -1, 0, end)) {
+                    return {x, y, z};
+                }
+            }
+            
+            x += dx;
+            z += dz;
+        }
+        
+        return null;
+    }
+    
+    // Jump points are in straight lines, so fill in the cells between them
+    // (a cell-by-cell search already lists every cell)
+    reconstructPath(node) {
+        const jumpPoints = super.reconstructPath(node);
+        if (!this.uniform) return jumpPoints;
+        
+        const path = [];
+        let previous = node;
+        while (previous.parent) previous = previous.parent;
+        
+        for (const point of jumpPoints) {
+            const dx = Math.sign(point.x - previous.x);
+            const dz = Math.sign(point.z - previous.z);
+            let x = previous.x;
+            let z = previous.z;
+            
+            while (x !== point.x || z !== point.z) {
+                x += dx;
+                z += dz;
+                path.push({x: x, y: point.y, z: z});
+            }
+            previous = point;
+        }
+        
+        return path;
+    }
+}
+
+// Theta*: any-angle A* that shortcuts through parents in line of sight
+class ThetaStarPathfinder extends GridPathfinder {
+    relax(current, successor) {
+        const parent = current.parent;
+        if (parent && this.lineOfSight(parent, successor)) {
+            return { parent: parent, g: parent.g + this.cost(parent, successor) };
+        }
+        return { parent: current, g: current.g + this.cost(current, successor) };
+    }
+    
+    // Euclidean distance, since waypoints need not be adjacent
+    distance(a, b) {
+        const dx = a.x - b.x;
+        const dy = (a.y - b.y) * this.verticalCost;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+    
+    heuristic(a, b) {
+        return this.distance(a, b);
+    }
+    
+    // Walk the cells crossed by the segment between two cell centers on one
+    // level. A shortcut may not cross a charger (its penalty would be lost)
+    // or a one-way cell against the segment's direction.
+    lineOfSight(a, b) {
+        if (a.y !== b.y) return false;
+        
+        const y = a.y;
+        let x = a.x;
+        let z = a.z;
+        const dx = Math.abs(b.x - a.x);
+        const dz = Math.abs(b.z - a.z);
+        const stepX = Math.sign(b.x - a.x);
+        const stepZ = Math.sign(b.z - a.z);
+        const closed = CellMask.BLOCKED | CellType.CHARGER | CellTypes.againstFlags(stepX, stepZ);
+        const isOpen = (cx, cz) => this.inBounds(cx, y, cz) && (this.grid[cx][y][cz] & closed) === 0;
+        
+        if ((this.grid[x][y][z] & closed & CellMask.ONE_WAY) !== 0) return false;
+        
+        // Compare crossing times scaled by 2 * dx * dz to stay in integers
+        let error = dx - dz;
+        let remaining = dx + dz;
+        
+        while (remaining > 0) {
+            if (error > 0) {
+                x += stepX;
+                error -= 2 * dz;
+                remaining--;
+            } else if (error < 0) {
+                z += stepZ;
+                error += 2 * dx;
+                remaining--;
+            } else {
+                // Passing exactly through a corner: both side cells must be free
+                if (!isOpen(x + stepX, z) || !isOpen(x, z + stepZ)) {
+                    return false;
+                }
+                x += stepX;
+                z += stepZ;
+                error += 2 * (dx - dz);
+                remaining -= 2;
+            }
+            
+            if (!isOpen(x, z)) return false;
+        }
+        
+        return true;
+    }
+}
+
+// Registry of search strategies selectable by name
+const Pathfinders = {
+    strategies: new Map(),
+    
+    register(name, label, factory) {
+        this.strategies.set(name, { name, label, factory });
+    },
+    
+    create(name, grid, options = {}) {
+        const strategy = this.strategies.get(name);
+        if (!strategy) {
+            throw new Error(`Unknown pathfinder: ${name}`);
+        }
+        return strategy.factory(grid, options);
+    },
+    
+    list() {
+        return Array.from(this.strategies.values()).map(({ name, label }) => ({ name, label }));
+    }
+};
+
+Pathfinders.register('astar', 'A*', (grid, options) => new AStarPathfinder(grid, options));
+Pathfinders.register('dijkstra', 'Dijkstra', (grid, options) => new DijkstraPathfinder(grid, options));
+Pathfinders.register('weighted-astar', 'Weighted A*', (grid, options) => new WeightedAStarPathfinder(grid, options));
+Pathfinders.register('jps', 'Jump Point Search', (grid, options) => new JumpPointPathfinder(grid, options));
+Pathfinders.register('theta', 'Theta*', (grid, options) => new ThetaStarPathfinder(grid, options));
@@ -3,201 +3,357 @@
  * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA) 
  * 
  * This file implements the simulated QINA and baseline models for object detection
+ * and the voxel data they run on. Both models find boxes in the voxel intensity
+ * tensor (see VoxelPerception); every detect call is scored against the ground
+ * truth boxes, so miss and false-positive rates come from the algorithms.
  */
 
 // Abstract AI Model class
 class AIModel {
-    constructor(name) {
+    constructor(name, random = new SeededRandom()) {
         this.name = name;
+        this.random = random;
         this.detections = [];
         this.processTime = 0;
         this.missRate = 0;
-        this.totalDetections = 0;
+        this.totalDetections = 0; // Ground truth boxes seen
         this.missedDetections = 0;
+        this.falsePositives = 0;
+        
+        // Running totals over every detect call, for stable averages
+        this.detectCalls = 0;
+        this.totalProcessTime = 0;
     }
 
-    // Process visual data to detect objects
+    // Process visual data to detect objects; boxes are the ground truth the
+    // detections are scored against and are not shown to the detector
     detect(visualData, boxes) {
         const startTime = performance.now();
         
-        // To be implemented by subclasses
-        this._runDetection(visualData, boxes);
+        // To be implemented by subclasses: returns [{position (cell), center
+        // (sub-cell estimate), confidence}]
+        this.detections = this._runDetection(visualData);
         
         const endTime = performance.now();
         this.processTime = (endTime - startTime) / 1000; // Convert to seconds
+        this.detectCalls++;
+        this.totalProcessTime += this.processTime;
+        
+        const score = AIModel.matchDetections(this.detections, boxes);
+        this.calculateMissRate(score);
         
         return {
             detections: this.detections,
             processTime: this.processTime,
-            missRate: this.missRate
+            missRate: this.missRate,
+            ...score
         };
     }
     
-    // Calculate miss rate
-    calculateMissRate(detected, total) {
-        this.totalDetections += total;
-        this.missedDetections += (total - detected);
+    // Match detections to boxes by cell, most confident first, each box at
+    // most once. Each detection gets matchedBox (null for a false positive);
+    // returns {tp, fp, fn, missed: [unmatched boxes]}.
+    static matchDetections(detections, boxes) {
+        const cellKey = position =>
+            `${Math.floor(position.x)},${Math.floor(position.y)},${Math.floor(position.z)}`;
+        const unmatched = new Map();
+        for (const box of boxes) {
+            const key = cellKey(box.position);
+            if (!unmatched.has(key)) unmatched.set(key, []);
+            unmatched.get(key).push(box);
+        }
+        
+        let tp = 0;
+        const ranked = [...detections].sort((a, b) => b.confidence - a.confidence);
+        for (const detection of ranked) {
+            const candidates = unmatched.get(cellKey(detection.position));
+            detection.matchedBox = candidates && candidates.length > 0 ? candidates.shift() : null;
+            if (detection.matchedBox) tp++;
+        }
+        
+        const missed = [...unmatched.values()].flat();
+        return { tp, fp: detections.length - tp, fn: missed.length, missed };
+    }
+    
+    // Mean processing time over all detect calls so far
+    getMeanProcessTime() {
+        return this.detectCalls > 0 ? this.totalProcessTime / this.detectCalls : 0;
+    }
+    
+    // Calculate miss rate from a scored detect call
+    calculateMissRate(score) {
+        this.totalDetections += score.tp + score.fn;
+        this.missedDetections += score.fn;
+        this.falsePositives += score.fp;
         this.missRate = (this.totalDetections > 0) 
             ? (this.missedDetections / this.totalDetections) * 100 
             : 0;
     }
     
-    // Reset stats
-    reset() {
+    // Reset stats, optionally switching to a new random stream
+    reset(random = this.random) {
+        this.random = random;
         this.detections = [];
         this.processTime = 0;
         this.totalDetections = 0;
         this.missedDetections = 0;
+        this.falsePositives = 0;
         this.missRate = 0;
+        this.detectCalls = 0;
+        this.totalProcessTime = 0;
     }
 }
 
-// Baseline AI Model Implementation
+// Baseline AI Model Implementation: a fixed intensity threshold and one
+// detection per connected cluster of bright voxels. Dim boxes fall below
+// the threshold, neighboring boxes merge into one cluster and bright
+// speckle is taken for a box.
 class BaselineModel extends AIModel {
-    constructor() {
-        super("Baseline");
+    constructor(random) {
+        super("Baseline", random);
         this.threshold = 0.5;
     }
     
-    _runDetection(visualData, boxes) {
-        this.detections = [];
-        let detected = 0;
-        
-        for (const box of boxes) {
-            // Calculate detection probability based on box properties
-            let probability = 1.0;
-            
-            // Reduce probability based on rotation (not aligned with axes)
-            const rotationFactor = Math.abs(Math.sin(box.rotation * Math.PI / 90)) * 0.5;
-            probability -= rotationFactor;
-            
-            // Reduce probability for scales that deviate from 1.0
-            const scaleFactor = Math.abs(box.scale - 1.0) * 0.5;
-            probability -= scaleFactor;
-            
-            // Add detection noise
-            const noiseFactor = Math.random() * 0.2;
-            probability -= noiseFactor;
-            
-            // Apply systematic miss rate (~10% overall)
-            if (probability < this.threshold || Math.random() < 0.1) {
-                continue;
-            }
-            
-            detected++;
-            this.detections.push({
-                position: { x: box.position.x, y: box.position.y, z: box.position.z },
-                confidence: probability
-            });
-        }
-        
-        // Calculate miss rate
-        this.calculateMissRate(detected, boxes.length);
+    _runDetection(visualData) {
+        return VoxelPerception.connectedComponents(visualData, this.threshold).map(component => ({
+            position: {
+                x: Math.round(component.centroid.x),
+                y: Math.round(component.centroid.y),
+                z: Math.round(component.centroid.z)
+            },
+            center: component.centroid,
+            confidence: Math.min(1, component.peak.value)
+        }));
     }
 }
 
-// QINA Model Implementation
+// QINA Model Implementation: a threshold set from the measured noise, a
+// detection per intensity peak (so touching boxes stay apart), and each
+// candidate scored by a variational circuit from its height and the blur
+// around it. weights are saved circuit weights (see VariationalCircuit),
+// tensorNetwork the denoiser's options (see TensorNetworkDefaults).
 class QINAModel extends AIModel {
-    constructor() {
-        super("QINA");
-        this.threshold = 0.3; // Lower threshold for better detection
+    constructor(random, weights = QINA_CIRCUIT_WEIGHTS, tensorNetwork = {}) {
+        super("QINA", random);
+        this.threshold = 0.5; // Lowest confidence reported
+        this.noiseSigmas = 4; // Candidate peaks stand this many noise sigmas above the background
+        this.peakTolerance = 3; // Noise sigmas a neighbor may exceed a peak by
+        
+        // Candidate scoring
+        this.circuit = VariationalCircuit.fromJSON(weights);
+        
+        // Tucker denoiser; rank null keeps the components above the noise floor
+        this.tensorNetwork = new TensorNetwork({ rank: null, ...tensorNetwork });
+        this.processedData = null; // Denoised voxel data of the last call
+        this.denoising = null; // {meanRanks, reconstructionError, snrBefore, snrAfter, snrGain} of the last call
+        this.denoiseMeasurements = 0;
+        this.totalSnrGain = 0;
+        this.totalReconstructionError = 0;
+        this.view = null; // Sensor view of the data being detected in
     }
     
-    _runDetection(visualData, boxes) {
-        this.detections = [];
-        let detected = 0;
-        
-        // Apply tensor network (simulated: reduces noise)
-        const processedData = this._applyTensorNetwork(visualData);
+    // Detect, and measure the denoising against signal, the noise-free
+    // voxel data, when it is known. Given the sensor view the data was
+    // seen through, the patch features leave out voxels it did not see.
+    detect(visualData, boxes, signal = null, view = null) {
+        this.view = view;
+        const result = super.detect(visualData, boxes);
+        if (signal) {
+            this.measureDenoising(visualData, signal);
+        }
+        return { ...result, denoising: this.denoising };
+    }
+    
+    // SNR of the voxel data before and after the tensor network, in dB
+    measureDenoising(visualData, signal) {
+        const snrBefore = TensorNetwork.snr(visualData, signal);
+        const snrAfter = TensorNetwork.snr(this.processedData, signal);
+        Object.assign(this.denoising, { snrBefore, snrAfter, snrGain: snrAfter - snrBefore });
         
-        // Apply variational circuit (simulated: enhanced detection capabilities)
-        for (const box of boxes) {
-            // Calculate detection probability with QINA's improved capabilities
-            let probability = 1.0;
-            
-            // QINA has reduced sensitivity to rotation
-            const rotationFactor = Math.abs(Math.sin(box.rotation * Math.PI / 90)) * 0.2;
-            probability -= rotationFactor;
-            
-            // QINA has reduced sensitivity to scale variations
-            const scaleFactor = Math.abs(box.scale - 1.0) * 0.2;
-            probability -= scaleFactor;
-            
-            // QINA has reduced sensitivity to noise
-            const noiseFactor = Math.random() * 0.1;
-            probability -= noiseFactor;
-            
-            // Add systematic miss rate (about 2% overall)
-            if (probability < this.threshold || Math.random() < 0.02) {
-                continue;
+        this.denoiseMeasurements++;
+        this.totalSnrGain += this.denoising.snrGain;
+        this.totalReconstructionError += this.denoising.reconstructionError;
+    }
+    
+    // Mean SNR improvement and reconstruction error over the measured calls
+    getMeanSnrGain() {
+        return this.denoiseMeasurements > 0 ? this.totalSnrGain / this.denoiseMeasurements : 0;
+    }
+    
+    getMeanReconstructionError() {
+        return this.denoiseMeasurements > 0 ? this.totalReconstructionError / this.denoiseMeasurements : 0;
+    }
+    
+    reset(random = this.random) {
+        super.reset(random);
+        this.processedData = null;
+        this.denoising = null;
+        this.denoiseMeasurements = 0;
+        this.totalSnrGain = 0;
+        this.totalReconstructionError = 0;
+    }
+    
+    // Switch to other saved circuit weights
+    loadWeights(weights) {
+        this.circuit = VariationalCircuit.fromJSON(weights);
+    }
+    
+    // Change the denoiser's options; the mean SNR gain and reconstruction
+    // error start over, so they describe the new setting alone
+    setTensorNetwork(options) {
+        Object.assign(this.tensorNetwork.config, options);
+        this.denoiseMeasurements = 0;
+        this.totalSnrGain = 0;
+        this.totalReconstructionError = 0;
+    }
+    
+    _runDetection(visualData) {
+        // Apply variational circuit (scores each candidate)
+        const detections = [];
+        for (const candidate of this.findCandidates(visualData, this.view)) {
+            const confidence = this._applyVariationalCircuit(candidate.features);
+            if (confidence >= this.threshold) {
+                detections.push({ position: candidate.position, center: candidate.center, confidence });
             }
-            
-            detected++;
-            this.detections.push({
-                position: { x: box.position.x, y: box.position.y, z: box.position.z },
-                confidence: probability
-            });
         }
+        return detections;
+    }
+    
+    // Peaks of the denoised data with their sub-voxel centers and patch
+    // features: [{position, center, features}]
+    findCandidates(visualData, view = null) {
+        // Apply tensor network (denoising)
+        const noise = VoxelPerception.estimateNoise(visualData);
+        const processedData = this._applyTensorNetwork(visualData, noise);
+        this.processedData = processedData;
+        const peaks = VoxelPerception.findPeaks(processedData,
+            noise.median + this.noiseSigmas * noise.sigma, this.peakTolerance * noise.sigma);
         
-        // Calculate miss rate
-        this.calculateMissRate(detected, boxes.length);
-        
-        // QINA is 15% faster - adjust process time
-        this.processTime *= 0.85;
+        return peaks.map(peak => ({
+            position: { x: peak.x, y: peak.y, z: peak.z },
+            center: VoxelPerception.refineCenter(processedData, peak),
+            features: VoxelPerception.describePeak(processedData, peak, noise, view)
+        }));
     }
     
-    // Simulated tensor network processing
-    _applyTensorNetwork(visualData) {
-        // In a real implementation, this would apply tensor network mathematics
-        // Here we're just simulating the concept
-        return visualData; // Processed data would be returned
+    // Low-rank Tucker approximation of the voxel data (see TensorNetwork),
+    // with the rank picked from the input's measured noise
+    _applyTensorNetwork(visualData, noise) {
+        this.tensorNetwork.config.noiseSigma = noise.sigma;
+        const result = this.tensorNetwork.denoise(visualData);
+        this.denoising = { meanRanks: result.meanRanks, reconstructionError: result.reconstructionError };
+        
+        // The fit overshoots where the sensor saturated; clamp back to its range
+        for (const plane of result.data) {
+            for (const row of plane) {
+                for (let z = 0; z < row.length; z++) {
+                    row[z] = Math.min(1, Math.max(0, row[z]));
+                }
+            }
+        }
+        return result.data;
     }
     
-    // Simulated variational circuit processing
+    // Confidence that a candidate is a box, from its patch features in
+    // noise sigmas: tall peaks with blur around them score high, lone
+    // bright voxels (speckle) low
     _applyVariationalCircuit(features) {
-        // In a real implementation, this would apply variational circuit mathematics
-        // Here we're just simulating the concept
-        return features; // Processed features would be returned
+        return this.circuit.predict(features);
     }
 }
 
+// Sensor model of the visual data: a background level with Gaussian
+// noise, occasional single-voxel speckle, and each box as a blurred blob
+const VisualDataDefaults = {
+    background: 0.1,
+    noise: 0.05, // Standard deviation of the sensor noise
+    speckleRate: 0.001, // Chance of a speckle in each voxel
+    speckleRange: [0.3, 0.9] // Intensity a speckle adds
+};
+
 // Simulated visual data generator
 class VisualDataGenerator {
-    constructor(gridSize) {
-        this.gridSize = gridSize;
+    // size is a cube edge or {x, y, z}
+    constructor(size, random = new SeededRandom(), options = {}) {
+        this.size = typeof size === 'number' ? { x: size, y: size, z: size } : { ...size };
+        this.random = random;
+        this.config = { ...VisualDataDefaults, ...options };
+        this.signal = null;
+    }
+    
+    reset(random = this.random) {
+        this.random = random;
+        this.signal = null;
     }
     
-    generate(boxes) {
-        // Create an empty grid
-        const visualData = new Array(this.gridSize).fill(0)
-            .map(() => new Array(this.gridSize).fill(0)
-                .map(() => new Array(this.gridSize).fill(0)));
+    // Noisy voxel data for boxes at {x, y, z, rotation, scale}. The
+    // noise-free intensities of the same frame are kept in this.signal,
+    // ground truth to measure denoising against. Seen through a sensor
+    // view (see SensorModel.observe), each voxel's share of the boxes is
+    // scaled by its gain, shot noise is added and returns drop out;
+    // without one every voxel is seen in full.
+    generate(boxes, view = null) {
+        const config = this.config;
         
-        // Add noise (random values 0-0.1)
-        for (let x = 0; x < this.gridSize; x++) {
-            for (let y = 0; y < this.gridSize; y++) {
-                for (let z = 0; z < this.gridSize; z++) {
-                    visualData[x][y][z] = Math.random() * 0.1;
+        // Each box is a Gaussian blob centered on its cell: larger boxes are
+        // brighter and spread further, rotation away from the axes dims them
+        const signal = this.createTensor(config.background);
+        for (const box of boxes) {
+            const cx = Math.floor(box.x);
+            const cy = Math.floor(box.y);
+            const cz = Math.floor(box.z);
+            const rotationFactor = 0.7 + 0.3 * Math.abs(Math.cos(box.rotation * Math.PI / 180));
+            const amplitude = 0.45 + 0.35 * box.scale * rotationFactor;
+            const spread = 0.45 + 0.15 * box.scale;
+            
+            for (let x = cx - 2; x <= cx + 2; x++) {
+                for (let y = cy - 2; y <= cy + 2; y++) {
+                    for (let z = cz - 2; z <= cz + 2; z++) {
+                        if (x < 0 || x >= this.size.x || y < 0 || y >= this.size.y || z < 0 || z >= this.size.z) continue;
+                        const distanceSquared = (x - cx) ** 2 + (y - cy) ** 2 + (z - cz) ** 2;
+                        signal[x][y][z] += amplitude * Math.exp(-distanceSquared / (2 * spread * spread));
+                    }
                 }
             }
         }
         
-        // Add box positions with intensity based on scale and rotation
-        for (const box of boxes) {
-            const x = Math.floor(box.position.x);
-            const y = Math.floor(box.position.y);
-            const z = Math.floor(box.position.z);
-            
-            if (x >= 0 && x < this.gridSize && 
-                y >= 0 && y < this.gridSize && 
-                z >= 0 && z < this.gridSize) {
-                
-                // Higher intensity for larger boxes, modulated by rotation
-                const rotationFactor = 0.7 + 0.3 * Math.abs(Math.cos(box.rotation * Math.PI / 180));
-                visualData[x][y][z] = 0.7 + 0.3 * box.scale * rotationFactor;
+        // Sensor noise and speckle on top; intensities saturate at 0 and 1
+        const visualData = this.createTensor(0);
+        for (let x = 0; x < this.size.x; x++) {
+            for (let y = 0; y < this.size.y; y++) {
+                for (let z = 0; z < this.size.z; z++) {
+                    if (view) {
+                        signal[x][y][z] = config.background + view.gain[x][y][z] * (signal[x][y][z] - config.background);
+                    }
+                    let value = signal[x][y][z];
+                    if (view) {
+                        // A dropped return carries only the background
+                        if (view.gain[x][y][z] > 0 && this.random.chance(view.dropout)) {
+                            value = config.background;
+                        }
+                        value += this.random.gaussian(0, view.shotNoise * Math.sqrt(Math.max(0, value)));
+                    }
+                    value += this.random.gaussian(0, config.noise);
+                    if (this.random.chance(config.speckleRate)) {
+                        value += this.random.range(config.speckleRange[0], config.speckleRange[1]);
+                    }
+                    visualData[x][y][z] = VisualDataGenerator.saturate(value);
+                    signal[x][y][z] = VisualDataGenerator.saturate(signal[x][y][z]);
+                }
             }
         }
         
+        this.signal = signal;
         return visualData;
     }
+    
+    createTensor(value) {
+        return new Array(this.size.x).fill(0)
+            .map(() => new Array(this.size.y).fill(0)
+                .map(() => new Array(this.size.z).fill(value)));
+    }
+    
+    static saturate(value) {
+        return Math.min(1, Math.max(0, value));
+    }
 }
@@ -0,0 +1,83 @@
+/**
+ * Seeded Random Number Generator
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the seedable PRNG shared by every module of the
+ * simulation. Each module draws from its own forked stream so that one
+ * module's draws never shift another's, and two runs with the same seed
+ * see the same boxes, detections and robot trajectories.
+ */
+
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    // Fresh seed for runs that do not ask for one
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+    
+    // Numeric seeds are used as-is, anything else is hashed
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        
+        const text = String(seed);
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        return SeededRandom.hash(text);
+    }
+    
+    // FNV-1a hash of a string
+    static hash(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    // Uniform float in [0, 1) (mulberry32)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Uniform float in [min, max)
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+    
+    // Uniform integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+    
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+    
+    // Normally distributed sample (Box-Muller)
+    gaussian(mean = 0, stdDev = 1) {
+        const u = 1 - this.next(); // (0, 1] so the log is finite
+        const v = this.next();
+        return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    
+    // Independent stream derived from this generator's seed and a label
+    fork(label) {
+        return new SeededRandom(SeededRandom.hash(`${this.seed}:${label}`));
+    }
+}
@@ -0,0 +1,428 @@
+/**
+ * Simulation Recording Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements recording a simulation run tick by tick and playing
+ * it back. The Recorder attaches as an observer and keeps a compact log:
+ * robot and agent poses every tick, box states and robot paths only when
+ * they change, both models' detections at every detection pass, and the
+ * moments worth jumping to (misses, replans, deliveries and safety events).
+ * A RecordingPlayer sets out any tick of a recording in the shape of a
+ * Simulation (warehouse, fleet, traffic, sensor and time), so the renderer
+ * draws it as it draws the live run. Recordings save and load as JSON
+ * files that carry their scenario and seed.
+ */
+
+const RECORDING_FORMAT = 'qina-warehouse-recording';
+const RECORDING_VERSION = 1;
+
+const RecorderDefaults = {
+    maxDuration: 600, // Seconds of simulated time recorded; later ticks are dropped
+    precision: 1000 // Poses are rounded to 1 / precision of a cell (or radian)
+};
+
+// Moments of a recording to jump to
+const RecordingEventType = {
+    BASELINE_MISS: 'baseline-miss',
+    QINA_MISS: 'qina-miss',
+    REPLAN: 'replan',
+    DELIVERY: 'delivery',
+    SAFETY: 'safety'
+};
+
+// Values per robot and per agent in a frame
+const RECORDED_ROBOT_FIELDS = 6; // x, y, z, rotation, waypoints left, carried box id (-1: none)
+const RECORDED_AGENT_FIELDS = 4; // x, z, heading, alert (0: none, 1: near-miss, 2: collision)
+const RECORDED_ALERTS = [null, SafetyEventType.NEAR_MISS, SafetyEventType.COLLISION];
+
+// A recording file that could not be read; errors as for ScenarioError
+class RecordingError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'RecordingError';
+        this.errors = errors;
+    }
+}
+
+class Recorder {
+    constructor(options = {}) {
+        this.config = { ...RecorderDefaults, ...options };
+        this.recording = null;
+    }
+    
+    // A reset or new scenario starts a new recording
+    onReset(sim) {
+        this.start(sim);
+    }
+    
+    onStep(sim) {
+        if (!this.recording) this.start(sim);
+        this.record(sim);
+    }
+    
+    // Both models' detections, and a miss event for each model that
+    // missed a box in view
+    onDetection(sim, results) {
+        if (!this.recording || this.recording.truncated) return;
+        
+        // Observers hear of detections before the tick is recorded
+        const frame = this.recording.frames.length;
+        const pass = { frame, time: this.round(sim.time), inView: results.boxes.map(box => box.id) };
+        for (const [key, model, type] of [['baseline', 'Baseline', RecordingEventType.BASELINE_MISS],
+            ['qina', 'QINA', RecordingEventType.QINA_MISS]]) {
+            const result = results[key];
+            pass[key] = {
+                detections: result.detections.map(detection => {
+                    const center = detection.center || detection.position;
+                    return [this.round(center.x), this.round(center.y), this.round(center.z),
+                        this.round(detection.confidence), detection.matchedBox ? detection.matchedBox.id : -1];
+                }),
+                missed: result.missed.map(box => box.id)
+            };
+            if (result.missed.length > 0) {
+                this.addEvent(type, frame, sim.time,
+                    `${model} missed ${result.missed.length} of ${results.boxes.length} boxes in view`);
+            }
+        }
+        this.recording.detections.push(pass);
+    }
+    
+    onSafetyEvent(sim, event) {
+        if (!this.recording || this.recording.truncated) return;
+        this.addEvent(RecordingEventType.SAFETY, this.recording.frames.length, event.time,
+            `${event.type}: robot ${event.robot + 1} and ${event.agentType} ${event.agent + 1}`);
+    }
+    
+    start(sim) {
+        this.recording = {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            scenario: Scenario.normalize(sim.scenario),
+            seed: sim.seed,
+            dt: sim.config.dt,
+            activeModel: sim.activeModel,
+            sensor: { ...sim.sensor.config },
+            robots: sim.fleet.robots.map(robot => ({ id: robot.id, color: robot.color })),
+            agents: sim.traffic.agents.map(agent => ({ id: agent.id, type: agent.type })),
+            truncated: false,
+            frames: [], // {time, boxes (index into boxStates), robots, agents} per tick
+            boxStates: [], // [[id, x, y, z, rotation, scale, highlighted, carrying robot id (-1: none)]]
+            paths: [], // {frame, robot, cells, repaired} whenever a robot is given a new path
+            detections: [], // {frame, time, inView, baseline, qina} per detection pass
+            events: [] // {frame, time, type, label}
+        };
+        this.lastBoxes = null;
+        this.lastPaths = new Map();
+        this.counts = { replans: sim.fleet.replanCount, repairs: sim.fleet.repairCount, delivered: sim.warehouse.deliveredCount };
+        this.record(sim);
+    }
+    
+    round(value) {
+        return Math.round(value * this.config.precision) / this.config.precision;
+    }
+    
+    // Add one tick to the recording
+    record(sim) {
+        const recording = this.recording;
+        if (recording.truncated) return;
+        if (sim.time > this.config.maxDuration) {
+            recording.truncated = true;
+            return;
+        }
+        const { fleet, warehouse, traffic } = sim;
+        const frame = recording.frames.length;
+        
+        // Boxes, stored again only when one moved, turned, resized or was highlighted
+        const boxes = warehouse.boxes.map(box => this.boxState(box, -1));
+        for (const robot of fleet.robots) {
+            if (robot.carrying) boxes.push(this.boxState(robot.carrying, robot.id));
+        }
+        const signature = JSON.stringify(boxes);
+        if (signature !== this.lastBoxes) {
+            recording.boxStates.push(boxes);
+            this.lastBoxes = signature;
+        }
+        
+        const robots = [];
+        for (const robot of fleet.robots) {
+            if (this.lastPaths.get(robot.id) !== robot.path) {
+                const cells = points => points.map(cell => [cell.x, cell.y, cell.z]);
+                recording.paths.push({ frame, robot: robot.id, cells: cells(robot.path), repaired: cells(robot.repairedSegment) });
+                this.lastPaths.set(robot.id, robot.path);
+            }
+            robots.push(this.round(robot.position.x), this.round(robot.position.y), this.round(robot.position.z),
+                this.round(robot.currentRotation), robot.path.length, robot.carrying ? robot.carrying.id : -1);
+        }
+        const agents = [];
+        for (const agent of traffic.agents) {
+            agents.push(this.round(agent.position.x), this.round(agent.position.z), this.round(agent.heading),
+                RECORDED_ALERTS.indexOf(agent.alert));
+        }
+        recording.frames.push({ time: this.round(sim.time), boxes: recording.boxStates.length - 1, robots, agents });
+        
+        // Replans and deliveries since the last tick
+        if (fleet.replanCount > this.counts.replans) {
+            this.addEvent(RecordingEventType.REPLAN, frame, sim.time, `Full replan ${fleet.replanCount}`);
+        }
+        if (fleet.repairCount > this.counts.repairs && fleet.repairStats) {
+            this.addEvent(RecordingEventType.REPLAN, frame, sim.time, `Path repaired for robot ${fleet.repairStats.robot + 1}`);
+        }
+        if (warehouse.deliveredCount > this.counts.delivered) {
+            this.addEvent(RecordingEventType.DELIVERY, frame, sim.time, `Box delivered (${warehouse.deliveredCount} in all)`);
+        }
+        this.counts = { replans: fleet.replanCount, repairs: fleet.repairCount, delivered: warehouse.deliveredCount };
+    }
+    
+    boxState(box, robotId) {
+        return [box.id, this.round(box.position.x), this.round(box.position.y), this.round(box.position.z),
+            this.round(box.rotation), this.round(box.scale), box.highlighted ? 1 : 0, robotId];
+    }
+    
+    addEvent(type, frame, time, label) {
+        this.recording.events.push({ frame, time: this.round(time), type, label });
+    }
+}
+
+class Recording {
+    // Read a recording file; throws a RecordingError saying what is wrong
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new RecordingError(`Not a recording: ${error.message}`);
+        }
+        if (data === null || typeof data !== 'object' || data.format !== RECORDING_FORMAT) {
+            throw new RecordingError(`Not a recording: format must be "${RECORDING_FORMAT}"`);
+        }
+        if (data.version !== RECORDING_VERSION) {
+            throw new RecordingError(`Recording version ${data.version} is not supported (this build reads version ${RECORDING_VERSION})`);
+        }
+        
+        const missing = ['robots', 'agents', 'frames', 'boxStates', 'paths', 'detections', 'events']
+            .filter(key => !Array.isArray(data[key]));
+        if (missing.length > 0 || data.frames.length === 0) {
+            throw new RecordingError(`Recording is incomplete: ${missing.length > 0 ? `no ${missing.join(', ')}` : 'no frames'}`);
+        }
+        const errors = Scenario.validate(data.scenario);
+        if (errors.length > 0) {
+            throw new RecordingError(`Recording has an invalid scenario:\n${errors.map(ScenarioError.format).join('\n')}`, errors);
+        }
+        return { ...data, scenario: Scenario.normalize(data.scenario) };
+    }
+    
+    static stringify(recording) {
+        return JSON.stringify(recording) + '\n';
+    }
+    
+    // Seconds of simulated time a recording covers
+    static getDuration(recording) {
+        return recording.frames[recording.frames.length - 1].time;
+    }
+}
+
+// Plays a recording back one tick at a time. Its warehouse, fleet, traffic,
+// sensor, time and lastResults stand in for a Simulation's, holding the
+// state of the current tick.
+class RecordingPlayer {
+    constructor(recording) {
+        this.recording = recording;
+        this.scenario = recording.scenario;
+        this.warehouse = new WarehouseEnvironment(recording.scenario, new SeededRandom(recording.seed));
+        this.sensor = new SensorModel(recording.sensor);
+        this.fleet = {
+            robots: recording.robots.map(({ id, color }) => ({
+                id, color, position: { x: 0, y: 0, z: 0 }, currentRotation: 0, path: [], repairedSegment: [], carrying: null
+            }))
+        };
+        this.traffic = {
+            agents: recording.agents.map(({ id, type }) => ({ id, type, position: { x: 0, y: 0, z: 0 }, heading: 0, alert: null }))
+        };
+        
+        // Each robot's path records in order, and the one shown with its waypoints
+        this.pathRecords = this.fleet.robots.map(robot => recording.paths.filter(record => record.robot === robot.id));
+        this.shownPaths = this.fleet.robots.map(() => ({ record: null, path: [] }));
+        
+        this.index = -1;
+        this.time = 0;
+        this.resultsPass = null; // Detection pass lastResults was resolved from
+        this.results = null;
+        this.playing = false;
+        this.speed = 1; // Simulated seconds per real second
+        this.seek(0);
+    }
+    
+    get frameCount() {
+        return this.recording.frames.length;
+    }
+    
+    get duration() {
+        return Recording.getDuration(this.recording);
+    }
+    
+    play() {
+        if (this.index >= this.frameCount - 1) this.seek(0);
+        this.playing = true;
+    }
+    
+    pause() {
+        this.playing = false;
+    }
+    
+    // Move on by real seconds while playing; stops at the end
+    advance(seconds) {
+        if (!this.playing) return;
+        this.seekTime(this.time + seconds * this.speed);
+        if (this.index >= this.frameCount - 1) this.pause();
+    }
+    
+    // Step a number of ticks forward (or back), paused
+    step(count) {
+        this.pause();
+        this.seek(this.index + count);
+    }
+    
+    // Show the last tick at or before a time; the clock keeps the time
+    // itself, so playing on in steps shorter than a tick still gets there
+    seekTime(time) {
+        const frames = this.recording.frames;
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (frames[middle].time <= time + 1e-9) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        this.seek(low);
+        this.time = Math.max(0, Math.min(this.duration, time));
+    }
+    
+    // Set out the state of one tick
+    seek(index) {
+        const frames = this.recording.frames;
+        index = Math.max(0, Math.min(frames.length - 1, index));
+        if (index === this.index) return;
+        this.index = index;
+        const frame = frames[index];
+        this.time = frame.time;
+        
+        // Scheduled no-go zones are open or closed by the clock
+        this.warehouse.time = frame.time;
+        this.warehouse.updateNoGoZones();
+        
+        const boxes = new Map();
+        this.warehouse.boxes = [];
+        for (const [id, x, y, z, rotation, scale, highlighted, robotId] of this.recording.boxStates[frame.boxes]) {
+            const box = { id, position: { x, y, z }, rotation, scale, highlighted: highlighted === 1 };
+            boxes.set(id, box);
+            if (robotId === -1) this.warehouse.boxes.push(box);
+        }
+        
+        this.fleet.robots.forEach((robot, i) => {
+            const [x, y, z, rotation, waypoints, carrying] = frame.robots.slice(i * RECORDED_ROBOT_FIELDS, (i + 1) * RECORDED_ROBOT_FIELDS);
+            robot.position = { x, y, z };
+            robot.currentRotation = rotation;
+            robot.carrying = boxes.get(carrying) || null;
+            this.showPath(robot, i, index, waypoints);
+        });
+        this.traffic.agents.forEach((agent, i) => {
+            const [x, z, heading, alert] = frame.agents.slice(i * RECORDED_AGENT_FIELDS, (i + 1) * RECORDED_AGENT_FIELDS);
+            agent.position = { x, y: 0, z };
+            agent.heading = heading;
+            agent.alert = RECORDED_ALERTS[alert] || null;
+        });
+    }
+    
+    // The waypoints a robot had left at a tick. Playing on only drops
+    // waypoints from the front of the same path, as in a live run, so the
+    // renderer keeps its markers; anything else is a new path.
+    showPath(robot, i, index, waypoints) {
+        const records = this.pathRecords[i];
+        let record = null;
+        for (let low = 0, high = records.length - 1; low <= high;) {
+            const middle = Math.floor((low + high) / 2);
+            if (records[middle].frame <= index) {
+                record = records[middle];
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        
+        const shown = this.shownPaths[i];
+        if (record && record === shown.record && waypoints <= shown.path.length) {
+            shown.path.splice(0, shown.path.length - waypoints);
+        } else {
+            const cells = record ? record.cells : [];
+            shown.record = record;
+            shown.path = cells.slice(cells.length - waypoints).map(([x, y, z]) => ({ x, y, z }));
+        }
+        robot.path = shown.path;
+        robot.repairedSegment = record ? record.repaired.map(([x, y, z]) => ({ x, y, z })) : [];
+    }
+    
+    // The next event of a type after the current tick (direction 1) or the
+    // last one before it (direction -1), or null
+    findEvent(type, direction) {
+        const events = this.recording.events.filter(event => event.type === type);
+        return direction > 0
+            ? events.find(event => event.frame > this.index) || null
+            : events.reverse().find(event => event.frame < this.index) || null;
+    }
+    
+    // The last detection pass at or before the current tick in the shape
+    // of Simulation.lastResults (null before the first); its boxes stand
+    // where they were at the pass
+    get lastResults() {
+        const passes = this.recording.detections;
+        let pass = null;
+        for (let low = 0, high = passes.length - 1; low <= high;) {
+            const middle = Math.floor((low + high) / 2);
+            if (passes[middle].frame <= this.index) {
+                pass = passes[middle];
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        if (pass !== this.resultsPass) {
+            this.resultsPass = pass;
+            this.results = pass ? this.resolvePass(pass) : null;
+        }
+        return this.results;
+    }
+    
+    resolvePass(pass) {
+        const frame = this.recording.frames[Math.min(pass.frame, this.frameCount - 1)];
+        const boxes = new Map();
+        for (const [id, x, y, z, rotation, scale] of this.recording.boxStates[frame.boxes]) {
+            boxes.set(id, { id, position: { x, y, z }, rotation, scale });
+        }
+        const resolve = ({ detections, missed }) => {
+            const resolved = {
+                detections: detections.map(([x, y, z, confidence, matchedId]) => ({
+                    position: { x: Math.round(x), y: Math.round(y), z: Math.round(z) },
+                    center: { x, y, z },
+                    confidence,
+                    matchedBox: boxes.get(matchedId) || null
+                })),
+                missed: missed.map(id => boxes.get(id)).filter(Boolean)
+            };
+            resolved.tp = resolved.detections.filter(detection => detection.matchedBox).length;
+            resolved.fp = resolved.detections.length - resolved.tp;
+            resolved.fn = missed.length;
+            return resolved;
+        };
+        const baseline = resolve(pass.baseline);
+        const qina = resolve(pass.qina);
+        return {
+            baseline,
+            qina,
+            active: this.recording.activeModel === 'QINA' ? qina : baseline,
+            boxes: pass.inView.map(id => boxes.get(id)).filter(Boolean)
+        };
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Replay Panel Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the timeline bar for recordings: it switches the
+ * view from the live run to a replay of what the Recorder has recorded so
+ * far (the live run waits meanwhile), plays, pauses and steps it, scrubs
+ * through it, jumps to the previous or next event of a kind, and saves and
+ * loads recordings as files. The strip under the scrubber marks where the
+ * events fall.
+ */
+
+const ReplayEventLabels = {
+    [RecordingEventType.BASELINE_MISS]: { label: 'Baseline miss', color: '#FF9800' },
+    [RecordingEventType.QINA_MISS]: { label: 'QINA miss', color: '#4CAF50' },
+    [RecordingEventType.REPLAN]: { label: 'Replan', color: '#29B6F6' },
+    [RecordingEventType.DELIVERY]: { label: 'Delivery', color: '#E0E0E0' },
+    [RecordingEventType.SAFETY]: { label: 'Safety event', color: '#FF5252' }
+};
+
+class ReplayPanel {
+    // The panel's elements have ids starting with prefix; recorder records the live run
+    constructor(prefix, recorder) {
+        const element = name => document.getElementById(`${prefix}-${name}`);
+        this.recorder = recorder;
+        this.player = null; // Set while replaying
+        this.shownIndex = -1; // Tick the bar was last drawn for (null when live)
+        
+        this.toggleButton = element('toggle');
+        this.playButton = element('play');
+        this.backButton = element('back');
+        this.forwardButton = element('forward');
+        this.scrubber = element('scrubber');
+        this.timeElement = element('time');
+        this.strip = element('events');
+        this.eventSelect = element('event-type');
+        this.previousEventButton = element('previous-event');
+        this.nextEventButton = element('next-event');
+        this.speedSelect = element('speed');
+        this.statusElement = element('status');
+        this.exportButton = element('export');
+        this.fileInput = element('file');
+        
+        for (const [type, { label }] of Object.entries(ReplayEventLabels)) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            this.eventSelect.appendChild(option);
+        }
+        
+        this.toggleButton.addEventListener('click', () => this.player ? this.stop() : this.start(this.recorder.recording));
+        this.playButton.addEventListener('click', () => {
+            if (!this.player) return;
+            this.player.playing ? this.player.pause() : this.player.play();
+            this.update();
+        });
+        this.backButton.addEventListener('click', () => this.step(-1));
+        this.forwardButton.addEventListener('click', () => this.step(1));
+        this.scrubber.addEventListener('input', () => {
+            if (!this.player) return;
+            this.player.pause();
+            this.player.seek(Number(this.scrubber.value));
+            this.update();
+        });
+        this.previousEventButton.addEventListener('click', () => this.jump(-1));
+        this.nextEventButton.addEventListener('click', () => this.jump(1));
+        this.speedSelect.addEventListener('change', () => {
+            if (this.player) this.player.speed = Number(this.speedSelect.value);
+        });
+        this.exportButton.addEventListener('click', () => this.save());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => this.load(text, file.name))
+                .catch(error => { this.statusElement.textContent = `${file.name}: ${error.message}`; });
+            this.fileInput.value = ''; // Allow loading the same file again
+        });
+        this.update();
+    }
+    
+    // Replay a recording from its first tick
+    start(recording) {
+        if (!recording) return;
+        this.player = new RecordingPlayer(recording);
+        this.player.speed = Number(this.speedSelect.value);
+        this.statusElement.textContent = recording.truncated ? 'Recording full: later ticks were not recorded' : '';
+        this.update();
+    }
+    
+    // Back to the live run
+    stop() {
+        this.player = null;
+        this.statusElement.textContent = '';
+        this.update();
+    }
+    
+    // Move the replay on by real seconds (called every animation frame)
+    advance(seconds) {
+        if (!this.player) return;
+        this.player.advance(seconds);
+        this.update();
+    }
+    
+    step(count) {
+        if (!this.player) return;
+        this.player.step(count);
+        this.update();
+    }
+    
+    // Go to the previous or next event of the selected kind
+    jump(direction) {
+        if (!this.player) return;
+        const event = this.player.findEvent(this.eventSelect.value, direction);
+        if (event) {
+            this.player.pause();
+            this.player.seek(event.frame);
+        }
+        this.statusElement.textContent = event ? `${event.time.toFixed(1)} s: ${event.label}`
+            : `No ${direction > 0 ? 'later' : 'earlier'} event of this kind`;
+        this.update();
+    }
+    
+    // Download the recording shown, or the live run's so far
+    save() {
+        const recording = this.player ? this.player.recording : this.recorder.recording;
+        if (!recording) return;
+        const blob = new Blob([Recording.stringify(recording)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${recording.scenario.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'scenario'}-seed-${recording.seed}.recording.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    // Replay a recording file, or say what is wrong with it
+    load(text, source) {
+        try {
+            this.start(Recording.parse(text));
+        } catch (error) {
+            if (!(error instanceof RecordingError)) throw error;
+            this.statusElement.textContent = `${source}: ${error.message}`;
+        }
+    }
+    
+    // Bring the controls in line with the replay; the event strip is only
+    // redrawn when the tick changes
+    update() {
+        const player = this.player;
+        this.toggleButton.textContent = player ? 'Live' : 'Replay';
+        for (const control of [this.playButton, this.backButton, this.forwardButton, this.scrubber,
+            this.previousEventButton, this.nextEventButton]) {
+            control.disabled = !player;
+        }
+        this.playButton.textContent = player && player.playing ? '❚❚' : '▶';
+        
+        const index = player ? player.index : null;
+        if (index === this.shownIndex && (!player || Number(this.scrubber.max) === player.frameCount - 1)) return;
+        this.shownIndex = index;
+        
+        if (!player) {
+            this.timeElement.textContent = 'live';
+            this.drawStrip(null);
+            return;
+        }
+        this.scrubber.max = player.frameCount - 1;
+        this.scrubber.value = player.index;
+        this.timeElement.textContent = `${player.time.toFixed(1)} / ${player.duration.toFixed(1)} s`;
+        this.drawStrip(player);
+    }
+    
+    // A tick per event in its color, and the current time
+    drawStrip(player) {
+        const context = this.strip.getContext('2d');
+        const { width, height } = this.strip;
+        context.clearRect(0, 0, width, height);
+        if (!player || player.duration <= 0) return;
+        
+        const toX = time => time / player.duration * (width - 1) + 0.5;
+        for (const event of player.recording.events) {
+            context.fillStyle = ReplayEventLabels[event.type] ? ReplayEventLabels[event.type].color : 'white';
+            context.fillRect(Math.floor(toX(event.time)), 0, 1, height);
+        }
+        context.fillStyle = 'white';
+        context.fillRect(Math.floor(toX(player.time)) - 1, 0, 3, height);
+    }
+}
@@ -2,210 +2,384 @@
  * Robot Implementation
  * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA) 
  * 
- * This file implements the warehouse robot with navigation capabilities
+ * This file implements the warehouse robot with navigation capabilities.
+ * It holds simulation state only; WarehouseRenderer draws it. Paths are
+ * smoothed into curves (see SmoothPath) and driven within the limits of
+ * the robot's MotionModel, which also meters the energy it draws from its
+ * Battery. A robot with a flat battery crawls at the battery's limp speed.
  */
 
 class Robot {
-    constructor(x = 1, y = 0, z = 1) {
+    constructor(x = 1, y = 0, z = 1, options = {}) {
+        this.id = options.id !== undefined ? options.id : 0;
+        this.color = options.color !== undefined ? options.color : 0xFF5252;
+        this.spawn = { x, y, z };
         this.position = { x, y, z };
         this.targetPosition = null;
+        this.goal = null; // Cell the fleet is driving this robot to
+        this.lastCompletedTarget = null;
+        this.carrying = null; // Box currently on board
         this.path = [];
         this.moving = false;
-        this.speed = 1.0; // Units per second
-        this.rotationSpeed = 5.0; // Radians per second
-        this.currentRotation = 0;
-        this.targetRotation = 0;
-        
-        // Robot mesh
-        this.mesh = null;
-        this.pathMarkers = [];
-        
-        // Materials
-        this.materials = {
-            robot: new THREE.MeshStandardMaterial({ 
-                color: 0xFF5252, 
-                roughness: 0.5, 
-                metalness: 0.7 
-            }),
-            pathMarker: new THREE.MeshBasicMaterial({ 
-                color: 0x2196F3,
-                transparent: true,
-                opacity: 0.7
-            })
-        };
+        
+        // Cells the last path repair added (see Fleet.repairPath)
+        this.repairedSegment = [];
+        this.replanCount = 0; // Paths repaired after the grid changed
+        
+        // Lockstep execution: when stepLimit is set, only that many waypoints
+        // may be consumed until the fleet releases more (null = free running)
+        this.stepLimit = null;
+        this.stepsTaken = 0;
+        this.distanceTravelled = 0;
+        
+        // Kinematics: progress along the smoothed path and current speed
+        this.motion = new MotionModel(options.motion);
+        this.curve = null;
+        this.segmentIndex = 0;
+        this.segmentProgress = 0; // Distance into the segment, or the fraction of a turn on the spot
+        this.waypointIndex = 0; // Next waypoint of the curve to reach
+        this.velocity = 0; // m/s
+        this.currentRotation = 0; // Heading, atan2(dz, dx)
+        
+        // Energy drawn so far and completed trips (see beginTrip)
+        this.battery = new Battery(options.battery);
+        this.charging = false; // Set by the fleet while the robot stands on a charger
+        this.energyUsed = 0; // J
+        this.trip = null;
+        this.trips = [];
+        
+        // Path planning strategy (see Pathfinders registry)
+        this.planner = 'astar';
+        this.plannerOptions = {};
+        this.planStats = null;
+        this.plan = null; // Result of the last setTarget: {status, path, goal, reason}
+        
+        // Where the robot believes boxes stand, one BeliefMap per detection
+        // model, and the one it plans on (null: the true grid)
+        this.beliefs = {};
+        this.belief = null;
     }
     
-    initialize(scene) {
-        this.scene = scene;
-        this.createRobotMesh();
-    }
-    
-    createRobotMesh() {
-        // Robot body - cylinder for the base
-        const baseGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.1, 16);
-        const base = new THREE.Mesh(baseGeometry, this.materials.robot);
-        
-        // Robot top - dome/hemisphere
-        const topGeometry = new THREE.SphereGeometry(0.25, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2);
-        const top = new THREE.Mesh(topGeometry, this.materials.robot);
-        top.position.y = 0.05;
-        
-        // Robot direction indicator
-        const indicatorGeometry = new THREE.ConeGeometry(0.1, 0.2, 8);
-        const indicator = new THREE.Mesh(indicatorGeometry, new THREE.MeshStandardMaterial({ 
-            color: 0x333333
-        }));
-        indicator.position.set(0, 0.05, 0.2);
-        indicator.rotation.x = Math.PI / 2;
-        
-        // Create robot group
-        this.mesh = new THREE.Group();
-        this.mesh.add(base);
-        this.mesh.add(top);
-        this.mesh.add(indicator);
-        
-        // Position the robot
-        this.updateMeshPosition();
-        this.scene.add(this.mesh);
-    }
-    
-    updateMeshPosition() {
-        if (this.mesh) {
-            const gridSize = 10; // Same as warehouse grid size
-            this.mesh.position.set(
-                this.position.x - gridSize/2 + 0.5, 
-                0.05, // Just above the floor
-                this.position.z - gridSize/2 + 0.5
-            );
-            this.mesh.rotation.y = this.currentRotation;
-        }
+    // Load a box detached from the warehouse floor
+    pickUp(box) {
+        this.carrying = box;
+    }
+    
+    // Unload the carried box and return it
+    dropOff() {
+        const box = this.carrying;
+        this.carrying = null;
+        return box;
     }
     
+    // Plan towards a target; the returned plan's status and reason explain a failure
     setTarget(x, y, z, grid) {
         this.targetPosition = { x, y, z };
-        this.path = this.calculatePath(grid);
-        this.moving = this.path.length > 0;
+        this.plan = this.calculatePath(grid);
+        this.setPath(this.plan.path);
+        this.stepLimit = null;
         
-        // Visualize path
-        this.visualizePath();
+        return this.plan;
     }
     
-    visualizePath() {
-        // Clear previous path markers
-        this.clearPathMarkers();
-        
-        // Create new path markers
-        const gridSize = 10; // Same as warehouse grid size
-        for (const point of this.path) {
-            const markerGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-            const marker = new THREE.Mesh(markerGeometry, this.materials.pathMarker);
-            
-            marker.position.set(
-                point.x - gridSize/2 + 0.5,
-                0.1, // Just above the floor
-                point.z - gridSize/2 + 0.5
-            );
-            
-            this.scene.add(marker);
-            this.pathMarkers.push(marker);
-        }
+    // Follow a time-indexed path (one waypoint per step, repeats are waits)
+    // that the fleet releases step by step
+    followTimedPath(path, repairedSegment = []) {
+        this.setPath(path);
+        this.repairedSegment = repairedSegment;
+        this.stepLimit = 0;
+        this.stepsTaken = 0;
+    }
+    
+    // Smooth a new path from where the robot stands; paths are replaced
+    // while the robot is stopped
+    setPath(path) {
+        this.path = path;
+        this.moving = path.length > 0;
+        this.curve = new SmoothPath(this.position, this.currentRotation, path, this.motion.config.turningRadius);
+        this.segmentIndex = 0;
+        this.segmentProgress = 0;
+        this.waypointIndex = 0;
+        this.velocity = 0;
     }
     
-    clearPathMarkers() {
-        for (const marker of this.pathMarkers) {
-            this.scene.remove(marker);
+    // Allow the robot to move on to its next waypoint
+    releaseStep() {
+        if (this.stepLimit !== null) {
+            this.stepLimit++;
         }
-        this.pathMarkers = [];
     }
     
+    // Waypoints the robot may drive into before the fleet sees a grid
+    // change: those released to it and the next, which the fleet may
+    // release in the same update
+    getCommittedCells() {
+        return this.stepLimit === null ? this.path : this.path.slice(0, Math.max(0, this.stepLimit - this.stepsTaken) + 1);
+    }
+    
+    // Whether the robot stands at the last waypoint released to it
+    isStopped() {
+        return !this.moving || (this.stepLimit !== null && this.stepsTaken >= this.stepLimit && this.velocity === 0);
+    }
+    
+    // Whether the robot is done with the steps released to it. A robot
+    // already braking for its last released waypoint counts, so the next
+    // step can be released before it stops and the fleet keeps rolling.
+    isAtSyncPoint() {
+        if (this.stepLimit === null || this.isStopped() || this.stepsTaken >= this.stepLimit) return true;
+        if (this.stepsTaken < this.stepLimit - 1 || this.velocity === 0) return false;
+        
+        const segment = this.curve.segments[this.segmentIndex];
+        const isDriving = segment && (segment.type === PathSegmentType.LINE || segment.type === PathSegmentType.ARC);
+        return isDriving && this.getStopStation() - this.getStation() <= this.motion.brakingDistance(this.velocity) + 0.01;
+    }
+    
+    // Start timing a trip to a new goal
+    beginTrip(time) {
+        this.trip = { start: time, energy: this.energyUsed, distance: this.distanceTravelled };
+    }
+    
+    // Close the current trip on arrival: {robot, target, timeToGoal, energy, distance}
+    endTrip(time, target) {
+        if (!this.trip) return null;
+        
+        const record = {
+            robot: this.id,
+            target,
+            timeToGoal: time - this.trip.start,
+            energy: this.energyUsed - this.trip.energy,
+            distance: this.distanceTravelled - this.trip.distance
+        };
+        this.trips.push(record);
+        this.trip = null;
+        return record;
+    }
+    
+    // Draw energy from the battery
+    useEnergy(energy) {
+        this.energyUsed += energy;
+        this.battery.drain(energy);
+    }
+    
+    // Mass on board in kg
+    getPayload() {
+        return this.carrying ? this.motion.config.boxMass : 0;
+    }
+    
+    getCell() {
+        return {
+            x: Math.round(this.position.x),
+            y: Math.round(this.position.y),
+            z: Math.round(this.position.z)
+        };
+    }
+    
+    // Drive along the smoothed path for one step; power is drawn all the time
     update(deltaTime) {
-        if (this.moving && this.path.length > 0) {
-            // Get next point in path
-            const nextPoint = this.path[0];
-            
-            // Calculate direction to next point
-            const dx = nextPoint.x - this.position.x;
-            const dz = nextPoint.z - this.position.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-            
-            // Calculate target rotation
-            this.targetRotation = Math.atan2(dz, dx);
-            
-            // Rotate towards target direction
-            const rotDiff = this.targetRotation - this.currentRotation;
-            
-            // Normalize rotation difference to [-π, π]
-            let normalizedRotDiff = rotDiff;
-            while (normalizedRotDiff > Math.PI) normalizedRotDiff -= 2 * Math.PI;
-            while (normalizedRotDiff < -Math.PI) normalizedRotDiff += 2 * Math.PI;
-            
-            const rotStep = this.rotationSpeed * deltaTime;
-            if (Math.abs(normalizedRotDiff) > rotStep) {
-                this.currentRotation += Math.sign(normalizedRotDiff) * rotStep;
+        let idleTime = deltaTime;
+        if (this.moving && this.curve) {
+            idleTime = this.advance(deltaTime);
+            this.reachWaypoints();
+        }
+        this.useEnergy(this.motion.power(0, 0, 0, 0) * idleTime);
+    }
+    
+    // Move along the curve for up to deltaTime; returns the time spent standing
+    advance(deltaTime) {
+        const segments = this.curve.segments;
+        const stop = this.getStopStation();
+        let time = deltaTime;
+        
+        while (time > 1e-9 && this.segmentIndex < segments.length) {
+            const segment = segments[this.segmentIndex];
+            if (segment.type === PathSegmentType.PIVOT || segment.type === PathSegmentType.LIFT) {
+                // Turns and lift rides start from a standstill once the next waypoint is released
+                if (stop <= segment.s0) break;
+                time = segment.type === PathSegmentType.PIVOT ? this.turnOnSpot(segment, time) : this.rideLift(segment, time);
             } else {
-                this.currentRotation = this.targetRotation;
-            }
-            
-            // Move towards next point if correctly oriented
-            if (Math.abs(normalizedRotDiff) < 0.1) {
-                // Calculate step size for this frame
-                const step = this.speed * deltaTime;
-                
-                if (distance <= step) {
-                    // Reached the point
-                    this.position = { ...nextPoint };
-                    this.path.shift();
-                    
-                    // Remove the corresponding path marker
-                    if (this.pathMarkers.length > 0) {
-                        const marker = this.pathMarkers.shift();
-                        this.scene.remove(marker);
-                    }
-                    
-                    if (this.path.length === 0) {
-                        this.moving = false;
-                        this.clearPathMarkers();
-                    }
-                } else {
-                    // Move towards the point
-                    const moveRatio = step / distance;
-                    this.position.x += dx * moveRatio;
-                    this.position.z += dz * moveRatio;
+                if (segment.s0 + this.segmentProgress >= stop - 1e-9) {
+                    this.velocity = 0;
+                    break;
                 }
+                time = this.drive(segment, stop, time);
             }
-            
-            // Update mesh position
-            this.updateMeshPosition();
         }
+        
+        this.syncPose();
+        return time;
+    }
+    
+    // Accelerate towards the segment's speed limit, slowing in time for
+    // curves, turns on the spot and the stop station ahead
+    drive(segment, stop, time) {
+        const motion = this.motion;
+        const config = motion.config;
+        const station = segment.s0 + this.segmentProgress;
+        
+        let limit = Math.min(motion.speedLimit(segment), motion.approachSpeed(this.velocity, stop - station, 0, time));
+        if (this.battery.isEmpty()) {
+            limit = Math.min(limit, this.battery.config.limpSpeed);
+        }
+        let distance = segment.s0 + segment.length - station;
+        const horizon = motion.brakingDistance(config.maxSpeed) + config.maxSpeed * time;
+        for (let i = this.segmentIndex + 1; i < this.curve.segments.length && distance <= horizon; i++) {
+            const next = this.curve.segments[i];
+            const isDriven = next.type === PathSegmentType.LINE || next.type === PathSegmentType.ARC;
+            limit = Math.min(limit, motion.approachSpeed(this.velocity, distance, isDriven ? motion.speedLimit(next) : 0, time));
+            if (!isDriven) break;
+            distance += next.length;
+        }
+        
+        // Constant acceleration over the step, cut short at the segment end or the stop
+        const speed = Math.min(this.velocity + config.maxAcceleration * time, limit);
+        const end = Math.min(segment.s0 + segment.length, stop);
+        let travel = (this.velocity + speed) / 2 * time;
+        let used = time;
+        const reachesEnd = station + travel >= end - 1e-9;
+        if (reachesEnd) {
+            travel = end - station;
+            used = Math.min(time, travel / Math.max((this.velocity + speed) / 2, 1e-9));
+        }
+        
+        const accel = (speed - this.velocity) / time;
+        const meanSpeed = travel / Math.max(used, 1e-9);
+        const omega = segment.type === PathSegmentType.ARC ? meanSpeed * Math.sign(segment.sweep) / segment.radius : 0;
+        this.useEnergy(motion.power(meanSpeed, omega, accel, 0, this.getPayload()) * used);
+        this.distanceTravelled += travel;
+        this.segmentProgress += travel;
+        this.velocity += accel * used;
+        
+        if (reachesEnd && end === stop) {
+            this.velocity = 0;
+        }
+        if (this.segmentProgress >= segment.length - 1e-9) {
+            this.nextSegment();
+        }
+        return time - used;
+    }
+    
+    turnOnSpot(segment, time) {
+        this.velocity = 0;
+        const rate = this.motion.pivotRate();
+        const used = Math.min(time, (1 - this.segmentProgress) * Math.abs(segment.turn) / rate);
+        this.segmentProgress += used * rate / Math.abs(segment.turn);
+        this.useEnergy(this.motion.power(0, rate, 0, 0, this.getPayload()) * used);
+        if (this.segmentProgress >= 1 - 1e-9) {
+            this.nextSegment();
+        }
+        return time - used;
     }
     
-    calculatePath(grid) {
-        if (!this.targetPosition) return [];
+    // Ride the lift at its own speed; the climb is charged to the robot
+    rideLift(segment, time) {
+        this.velocity = 0;
+        const speed = this.motion.config.liftSpeed;
+        const used = Math.min(time, (segment.length - this.segmentProgress) / speed);
+        this.segmentProgress += used * speed;
+        this.distanceTravelled += used * speed;
+        this.useEnergy(this.motion.power(0, 0, 0, segment.y1 > segment.y0 ? speed : 0, this.getPayload()) * used);
+        if (this.segmentProgress >= segment.length - 1e-9) {
+            this.nextSegment();
+        }
+        return time - used;
+    }
+    
+    nextSegment() {
+        this.segmentIndex++;
+        this.segmentProgress = 0;
+    }
+    
+    syncPose() {
+        const segments = this.curve.segments;
+        if (segments.length === 0) return;
         
-        // Use the pathfinding module
-        const pathfinder = new AStarPathfinder(grid);
-        return pathfinder.findPath(
-            Math.floor(this.position.x), 
-            Math.floor(this.position.y), 
-            Math.floor(this.position.z),
-            Math.floor(this.targetPosition.x),
-            Math.floor(this.targetPosition.y),
-            Math.floor(this.targetPosition.z)
+        const pose = this.segmentIndex < segments.length
+            ? SmoothPath.poseAt(segments[this.segmentIndex], this.segmentProgress)
+            : SmoothPath.poseAt(segments[segments.length - 1],
+                segments[segments.length - 1].type === PathSegmentType.PIVOT ? 1 : segments[segments.length - 1].length);
+        this.position = { x: pose.x, y: pose.y, z: pose.z };
+        this.currentRotation = Math.atan2(Math.sin(pose.heading), Math.cos(pose.heading));
+    }
+    
+    // Distance along the curve driven so far
+    getStation() {
+        const segment = this.curve.segments[this.segmentIndex];
+        if (!segment) return this.curve.length;
+        return segment.s0 + (segment.type === PathSegmentType.PIVOT ? 0 : this.segmentProgress);
+    }
+    
+    // Station the robot may drive to: its last released waypoint
+    getStopStation() {
+        if (this.stepLimit === null) return this.curve.length;
+        const released = Math.min(this.stepLimit, this.curve.stations.length);
+        return released > 0 ? this.curve.stations[released - 1] : 0;
+    }
+    
+    // Consume released waypoints the robot has reached
+    reachWaypoints() {
+        const stations = this.curve.stations;
+        const station = this.getStation();
+        while (this.waypointIndex < stations.length && station >= stations[this.waypointIndex] - 1e-6 &&
+            (this.stepLimit === null || this.stepsTaken < this.stepLimit)) {
+            const waypoint = this.path.shift();
+            this.waypointIndex++;
+            this.stepsTaken++;
+            
+            if (this.path.length === 0) {
+                // The path ends on a cell center; drop rounding error
+                this.position = { ...waypoint };
+                this.moving = false;
+                this.velocity = 0;
+            }
+        }
+    }
+    
+    setPlanner(name, options = {}) {
+        this.planner = name;
+        this.plannerOptions = options;
+    }
+    
+    calculatePath(grid, options = {}) {
+        // Use the selected pathfinding strategy; occupied targets resolve to an approach cell
+        const pathfinder = Pathfinders.create(this.planner, grid, this.plannerOptions);
+        const plan = pathfinder.planToTarget(
+            this.getCell(),
+            {
+                x: Math.floor(this.targetPosition.x),
+                y: Math.floor(this.targetPosition.y),
+                z: Math.floor(this.targetPosition.z)
+            },
+            options
         );
+        
+        this.planStats = { planner: this.planner, ...pathfinder.stats };
+        return plan;
     }
     
-    reset(x = 1, y = 0, z = 1) {
+    reset(x = this.spawn.x, y = this.spawn.y, z = this.spawn.z) {
         this.position = { x, y, z };
         this.targetPosition = null;
+        this.goal = null;
+        this.lastCompletedTarget = null;
+        this.carrying = null;
         this.path = [];
+        this.repairedSegment = [];
+        this.replanCount = 0;
+        this.plan = null;
         this.moving = false;
+        this.stepLimit = null;
+        this.stepsTaken = 0;
+        this.distanceTravelled = 0;
+        this.curve = null;
+        this.segmentIndex = 0;
+        this.segmentProgress = 0;
+        this.waypointIndex = 0;
+        this.velocity = 0;
         this.currentRotation = 0;
-        this.targetRotation = 0;
-        
-        // Clear path visualization
-        this.clearPathMarkers();
-        
-        // Update mesh position
-        this.updateMeshPosition();
+        this.battery.reset();
+        this.charging = false;
+        this.energyUsed = 0;
+        this.trip = null;
+        this.trips = [];
     }
 }
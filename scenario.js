@@ -0,0 +1,818 @@
+/**
+ * Warehouse Scenario Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the versioned JSON scenario format: grid size,
+ * static shelving (optionally several levels high), walls, lifts, one-way
+ * aisles and chargers, scheduled no-go zones, boxes with pose and scale,
+ * robot spawns, drop zones, the box dynamics schedule and the forklifts
+ * and pickers sharing the floor (see Traffic). Scenarios are parsed with a
+ * JSON reader that remembers where every value starts, so validation
+ * errors point at a line and column of the file.
+ */
+
+const SCENARIO_FORMAT = 'qina-warehouse-scenario';
+const SCENARIO_VERSION = 1;
+
+// Largest grid dimension a scenario may ask for
+const SCENARIO_MAX_SIZE = 256;
+
+const ScenarioEventType = {
+    ADD_BOX: 'add-box',
+    REMOVE_BOX: 'remove-box'
+};
+
+// Dynamic agents a scenario may put on the floor
+const ScenarioAgentType = {
+    FORKLIFT: 'forklift',
+    PICKER: 'picker'
+};
+
+// A scenario that could not be read; errors are [{path, line, column, message}]
+class ScenarioError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ScenarioError';
+        this.errors = errors;
+    }
+    
+    static format(error) {
+        const where = error.line ? `line ${error.line}, column ${error.column}: ` : '';
+        return `${where}${error.path ? `${error.path} ` : ''}${error.message}`;
+    }
+}
+
+// JSON reader recording the line and column of every value by JSON pointer
+class ScenarioParser {
+    constructor(text) {
+        this.text = text;
+        this.index = 0;
+        this.line = 1;
+        this.column = 1;
+        this.locations = new Map(); // "/boxes/0/position" -> {line, column}
+    }
+    
+    parse() {
+        this.skipWhitespace();
+        const value = this.parseValue('');
+        this.skipWhitespace();
+        if (this.index < this.text.length) {
+            this.fail('Unexpected text after the end of the scenario');
+        }
+        return { value, locations: this.locations };
+    }
+    
+    parseValue(path) {
+        this.locations.set(path, { line: this.line, column: this.column });
+        const char = this.text[this.index];
+        
+        if (char === '{') return this.parseObject(path);
+        if (char === '[') return this.parseArray(path);
+        if (char === '"') return this.parseString();
+        if (char === '-' || (char >= '0' && char <= '9')) return this.parseNumber();
+        
+        for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (this.text.startsWith(word, this.index)) {
+                this.advance(word.length);
+                return value;
+            }
+        }
+        
+        this.fail(char === undefined ? 'Unexpected end of file' : `Unexpected character '${char}'`);
+    }
+    
+    parseObject(path) {
+        const object = {};
+        this.advance(1);
+        this.skipWhitespace();
+        if (this.text[this.index] === '}') {
+            this.advance(1);
+            return object;
+        }
+        
+        while (true) {
+            this.skipWhitespace();
+            if (this.text[this.index] !== '"') {
+                this.fail('Expected a property name in double quotes');
+            }
+            
+            const keyLine = this.line;
+            const keyColumn = this.column;
+            const key = this.parseString();
+            if (Object.prototype.hasOwnProperty.call(object, key)) {
+                this.fail(`Duplicate property "${key}"`, keyLine, keyColumn);
+            }
+            
+            this.skipWhitespace();
+            this.expect(':');
+            this.skipWhitespace();
+            object[key] = this.parseValue(`${path}/${ScenarioParser.escapePointer(key)}`);
+            
+            this.skipWhitespace();
+            if (this.text[this.index] === ',') {
+                this.advance(1);
+            } else if (this.text[this.index] === '}') {
+                this.advance(1);
+                return object;
+            } else {
+                this.fail("Expected ',' or '}'");
+            }
+        }
+    }
+    
+    parseArray(path) {
+        const array = [];
+        this.advance(1);
+        this.skipWhitespace();
+        if (this.text[this.index] === ']') {
+            this.advance(1);
+            return array;
+        }
+        
+        while (true) {
+            this.skipWhitespace();
+            array.push(this.parseValue(`${path}/${array.length}`));
+            
+            this.skipWhitespace();
+            if (this.text[this.index] === ',') {
+                this.advance(1);
+            } else if (this.text[this.index] === ']') {
+                this.advance(1);
+                return array;
+            } else {
+                this.fail("Expected ',' or ']'");
+            }
+        }
+    }
+    
+    // Strings cannot span lines in JSON, so only the column moves
+    parseString() {
+        const pattern = /"(?:[^"\\\u0000-\u001F]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+        pattern.lastIndex = this.index;
+        const match = pattern.exec(this.text);
+        if (!match) {
+            this.fail('Unterminated or invalid string');
+        }
+        this.advance(match[0].length);
+        return JSON.parse(match[0]);
+    }
+    
+    parseNumber() {
+        const pattern = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+        pattern.lastIndex = this.index;
+        const match = pattern.exec(this.text);
+        if (!match) {
+            this.fail('Invalid number');
+        }
+        this.advance(match[0].length);
+        return Number(match[0]);
+    }
+    
+    expect(char) {
+        if (this.text[this.index] !== char) {
+            this.fail(`Expected '${char}'`);
+        }
+        this.advance(1);
+    }
+    
+    advance(count) {
+        this.index += count;
+        this.column += count;
+    }
+    
+    skipWhitespace() {
+        while (this.index < this.text.length) {
+            const char = this.text[this.index];
+            if (char === '\n') {
+                this.index++;
+                this.line++;
+                this.column = 1;
+            } else if (char === ' ' || char === '\t' || char === '\r') {
+                this.advance(1);
+            } else {
+                break;
+            }
+        }
+    }
+    
+    fail(message, line = this.line, column = this.column) {
+        const error = { path: '', line, column, message };
+        throw new ScenarioError(ScenarioError.format(error), [error]);
+    }
+    
+    static escapePointer(key) {
+        return key.replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+}
+
+// Collects every problem in a parsed scenario rather than stopping at the first
+class ScenarioValidator {
+    constructor(locations = new Map()) {
+        this.locations = locations;
+        this.errors = [];
+    }
+    
+    validate(data) {
+        this.errors = [];
+        if (!this.isObject(data, '')) return this.errors;
+        
+        this.checkKeys(data, '', ['format', 'version', 'name', 'description', 'grid', 'shelves', 'walls',
+            'lifts', 'oneWayAisles', 'chargers', 'noGoZones', 'boxes', 'robots', 'dropZones', 'dynamics', 'agents']);
+        
+        if (data.format !== SCENARIO_FORMAT) {
+            this.error('/format', `must be "${SCENARIO_FORMAT}"`);
+        }
+        if (!Number.isInteger(data.version)) {
+            this.error('/version', 'must be an integer');
+        } else if (data.version !== SCENARIO_VERSION) {
+            this.error('/version', `${data.version} is not supported (this build reads version ${SCENARIO_VERSION})`);
+            return this.errors;
+        }
+        this.optionalString(data, '', 'name');
+        this.optionalString(data, '', 'description');
+        
+        // Everything else is checked against the grid
+        const grid = this.checkGrid(data.grid);
+        if (!grid) return this.errors;
+        
+        const occupied = new Map(); // "x,y,z" -> what holds the cell
+        const rackLevels = new Set(); // "x,y,z" of rack cells above the floor
+        this.checkShelves(data.shelves, grid, occupied, rackLevels);
+        this.checkWalls(data.walls, grid, occupied);
+        this.checkLifts(data.lifts, grid, occupied);
+        this.checkAisles(data.oneWayAisles, grid, occupied);
+        this.checkBoxes(data.boxes, grid, occupied, rackLevels);
+        this.checkCellList(data.robots, '/robots', 'robot', grid, occupied, true);
+        if (data.chargers !== undefined) {
+            this.checkCellList(data.chargers, '/chargers', 'charger', grid, occupied, false);
+        }
+        this.checkCellList(data.dropZones, '/dropZones', 'drop zone', grid, occupied, false);
+        this.checkNoGoZones(data.noGoZones, grid);
+        this.checkDynamics(data.dynamics, grid, rackLevels);
+        this.checkAgents(data.agents, grid, occupied);
+        
+        return this.errors;
+    }
+    
+    checkGrid(grid) {
+        if (!this.isObject(grid, '/grid')) return null;
+        this.checkKeys(grid, '/grid', ['x', 'y', 'z']);
+        
+        let valid = true;
+        for (const axis of ['x', 'y', 'z']) {
+            valid = this.isInteger(grid[axis], `/grid/${axis}`, 1, SCENARIO_MAX_SIZE) && valid;
+        }
+        return valid ? grid : null;
+    }
+    
+    // Shelving claims its floor cells; its upper levels are storage for boxes
+    checkShelves(shelves, grid, occupied, rackLevels) {
+        if (shelves === undefined) return;
+        if (!this.isArray(shelves, '/shelves')) return;
+        
+        shelves.forEach((shelf, i) => {
+            const path = `/shelves/${i}`;
+            if (!this.isObject(shelf, path)) return;
+            this.checkKeys(shelf, path, ['x', 'z', 'width', 'depth', 'levels']);
+            
+            const levelsValid = shelf.levels === undefined || this.isInteger(shelf.levels, `${path}/levels`, 1, grid.y);
+            if (!this.checkFloorArea(shelf, path, grid) || !levelsValid) return;
+            for (const cell of Scenario.areaCells({ width: 1, depth: 1, ...shelf })) {
+                this.claim(occupied, cell, `shelf ${i}`, path);
+                for (let y = 1; y < (shelf.levels || 1); y++) {
+                    rackLevels.add(Scenario.cellKey({ ...cell, y }));
+                }
+            }
+        });
+    }
+    
+    // A rectangle of floor cells {x, z, width, depth} that fits on the floor
+    checkFloorArea(area, path, grid) {
+        const valid = [
+            this.isInteger(area.x, `${path}/x`, 0, grid.x - 1),
+            this.isInteger(area.z, `${path}/z`, 0, grid.z - 1),
+            area.width === undefined || this.isInteger(area.width, `${path}/width`, 1, grid.x),
+            area.depth === undefined || this.isInteger(area.depth, `${path}/depth`, 1, grid.z)
+        ].every(Boolean);
+        if (!valid) return false;
+        
+        if (area.x + (area.width || 1) > grid.x || area.z + (area.depth || 1) > grid.z) {
+            this.error(path, `extends past the ${grid.x} x ${grid.z} floor`);
+            return false;
+        }
+        return true;
+    }
+    
+    checkWalls(walls, grid, occupied) {
+        if (walls === undefined) return;
+        if (!this.isArray(walls, '/walls')) return;
+        
+        walls.forEach((wall, i) => {
+            const path = `/walls/${i}`;
+            if (!this.isObject(wall, path)) return;
+            this.checkKeys(wall, path, ['from', 'to']);
+            
+            const from = this.checkFloorCell(wall.from, `${path}/from`, grid);
+            const to = this.checkFloorCell(wall.to, `${path}/to`, grid);
+            if (!from || !to) return;
+            if (from.x !== to.x && from.z !== to.z) {
+                this.error(path, 'must run along the x or z axis');
+                return;
+            }
+            for (const cell of Scenario.wallCells(wall)) {
+                this.claim(occupied, cell, `wall ${i}`, path);
+            }
+        });
+    }
+    
+    // Lift shafts: a floor cell and every level above it up to levels - 1
+    checkLifts(lifts, grid, occupied) {
+        if (lifts === undefined) return;
+        if (!this.isArray(lifts, '/lifts')) return;
+        
+        lifts.forEach((lift, i) => {
+            const path = `/lifts/${i}`;
+            if (!this.isObject(lift, path)) return;
+            this.checkKeys(lift, path, ['x', 'z', 'levels']);
+            
+            const valid = [
+                this.isInteger(lift.x, `${path}/x`, 0, grid.x - 1),
+                this.isInteger(lift.z, `${path}/z`, 0, grid.z - 1),
+                lift.levels === undefined || this.isInteger(lift.levels, `${path}/levels`, 2, grid.y)
+            ].every(Boolean);
+            if (!valid) return;
+            if (grid.y < 2) {
+                this.error(path, 'needs a grid with at least two levels');
+                return;
+            }
+            for (const cell of Scenario.liftCells({ levels: grid.y, ...lift })) {
+                this.claim(occupied, cell, `lift ${i}`, path);
+            }
+        });
+    }
+    
+    // Aisles run from one floor cell to another; traffic flows from -> to
+    checkAisles(aisles, grid, occupied) {
+        if (aisles === undefined) return;
+        if (!this.isArray(aisles, '/oneWayAisles')) return;
+        
+        const aisleCells = new Map(); // "x,y,z" -> aisle label
+        aisles.forEach((aisle, i) => {
+            const path = `/oneWayAisles/${i}`;
+            if (!this.isObject(aisle, path)) return;
+            this.checkKeys(aisle, path, ['from', 'to']);
+            
+            const from = this.checkFloorCell(aisle.from, `${path}/from`, grid);
+            const to = this.checkFloorCell(aisle.to, `${path}/to`, grid);
+            if (!from || !to) return;
+            if (from.x !== to.x && from.z !== to.z) {
+                this.error(path, 'must run along the x or z axis');
+                return;
+            }
+            if (from.x === to.x && from.z === to.z) {
+                this.error(path, 'must span at least two cells to have a direction');
+                return;
+            }
+            
+            // Boxes and robots may use an aisle, shelving and walls may not
+            for (const cell of Scenario.wallCells(aisle)) {
+                const holder = occupied.get(Scenario.cellKey(cell));
+                if (holder) {
+                    this.error(path, `overlaps ${holder} at (${cell.x}, ${cell.y}, ${cell.z})`);
+                    return;
+                }
+                this.claim(aisleCells, cell, `one-way aisle ${i}`, path);
+            }
+        });
+    }
+    
+    // Scheduled closures: floor rectangles with start and end times in seconds
+    checkNoGoZones(zones, grid) {
+        if (zones === undefined) return;
+        if (!this.isArray(zones, '/noGoZones')) return;
+        
+        zones.forEach((zone, i) => {
+            const path = `/noGoZones/${i}`;
+            if (!this.isObject(zone, path)) return;
+            this.checkKeys(zone, path, ['x', 'z', 'width', 'depth', 'start', 'end']);
+            
+            this.checkFloorArea(zone, path, grid);
+            const timed = this.optionalNumber(zone, path, 'start', 0, Infinity) &&
+                this.optionalNumber(zone, path, 'end', 0, Infinity);
+            if (timed && zone.end !== undefined && zone.end <= (zone.start || 0)) {
+                this.error(`${path}/end`, 'must be after start');
+            }
+        });
+    }
+    
+    checkBoxes(boxes, grid, occupied, rackLevels) {
+        if (!this.isArray(boxes, '/boxes')) return;
+        
+        boxes.forEach((box, i) => {
+            const path = `/boxes/${i}`;
+            if (!this.isObject(box, path)) return;
+            this.checkKeys(box, path, ['position', 'rotation', 'scale']);
+            
+            this.optionalNumber(box, path, 'rotation');
+            this.optionalNumber(box, path, 'scale', 0.1, 10);
+            const cell = this.checkCell(box.position, `${path}/position`, grid);
+            if (cell && this.checkBoxLevel(cell, `${path}/position`, rackLevels)) {
+                this.claim(occupied, cell, `box ${i}`, `${path}/position`);
+            }
+        });
+    }
+    
+    // Boxes above the floor are stored on a rack level
+    checkBoxLevel(cell, path, rackLevels) {
+        if (cell.y > 0 && !rackLevels.has(Scenario.cellKey(cell))) {
+            this.error(`${path}/y`, 'must be 0 unless the box is stored on a rack level');
+            return false;
+        }
+        return true;
+    }
+    
+    // Robot spawns and drop zones: floor cells that must not hold anything else
+    checkCellList(cells, listPath, label, grid, occupied, exclusive) {
+        if (!this.isArray(cells, listPath)) return;
+        if (cells.length === 0) {
+            this.error(listPath, `needs at least one ${label}`);
+        }
+        
+        cells.forEach((value, i) => {
+            const path = `${listPath}/${i}`;
+            const cell = this.checkCell(value, path, grid);
+            if (!cell) return;
+            if (cell.y !== 0) {
+                this.error(`${path}/y`, `must be 0: a ${label} stands on the floor`);
+                return;
+            }
+            if (exclusive) {
+                this.claim(occupied, cell, `${label} ${i}`, path);
+            } else {
+                const key = Scenario.cellKey(cell);
+                const holder = occupied.get(key);
+                if (holder && !holder.startsWith('robot')) {
+                    this.error(path, `is on the same cell as ${holder}`);
+                } else if (!holder) {
+                    occupied.set(key, `${label} ${i}`);
+                }
+            }
+        });
+    }
+    
+    checkDynamics(dynamics, grid, rackLevels) {
+        if (dynamics === undefined) return;
+        if (!this.isObject(dynamics, '/dynamics')) return;
+        this.checkKeys(dynamics, '/dynamics', ['boxUpdateInterval', 'rotationStep', 'scaleStep', 'scaleRange',
+            'restock', 'events']);
+        
+        this.optionalNumber(dynamics, '/dynamics', 'boxUpdateInterval', 0.1, Infinity);
+        this.optionalNumber(dynamics, '/dynamics', 'rotationStep');
+        this.optionalNumber(dynamics, '/dynamics', 'scaleStep', 0, 10);
+        
+        if (dynamics.scaleRange !== undefined) {
+            const range = dynamics.scaleRange;
+            if (!Array.isArray(range) || range.length !== 2 || !range.every(value => typeof value === 'number')) {
+                this.error('/dynamics/scaleRange', 'must be [min, max]');
+            } else if (range[0] <= 0 || range[0] > range[1]) {
+                this.error('/dynamics/scaleRange', 'must have 0 < min <= max');
+            }
+        }
+        if (dynamics.restock !== undefined && typeof dynamics.restock !== 'boolean') {
+            this.error('/dynamics/restock', 'must be true or false');
+        }
+        
+        if (dynamics.events === undefined) return;
+        if (!this.isArray(dynamics.events, '/dynamics/events')) return;
+        
+        const types = Object.values(ScenarioEventType);
+        dynamics.events.forEach((event, i) => {
+            const path = `/dynamics/events/${i}`;
+            if (!this.isObject(event, path)) return;
+            this.checkKeys(event, path, ['time', 'type', 'position', 'rotation', 'scale']);
+            
+            this.isNumber(event.time, `${path}/time`, 0, Infinity);
+            if (!types.includes(event.type)) {
+                this.error(`${path}/type`, `must be one of ${types.map(type => `"${type}"`).join(', ')}`);
+            }
+            const cell = this.checkCell(event.position, `${path}/position`, grid);
+            if (cell && event.type === ScenarioEventType.ADD_BOX) {
+                this.checkBoxLevel(cell, `${path}/position`, rackLevels);
+            }
+            this.optionalNumber(event, path, 'rotation');
+            this.optionalNumber(event, path, 'scale', 0.1, 10);
+        });
+    }
+    
+    // Forklifts and pickers: a looping route of floor waypoints, or a start
+    // cell to wander from; either way on open floor
+    checkAgents(agents, grid, occupied) {
+        if (agents === undefined) return;
+        if (!this.isArray(agents, '/agents')) return;
+        
+        const types = Object.values(ScenarioAgentType);
+        const checkOpen = (cell, path) => {
+            const holder = this.checkFloorCell(cell, path, grid) && occupied.get(Scenario.cellKey({ ...cell, y: 0 }));
+            if (holder && /^(shelf|wall|box)/.test(holder)) {
+                this.error(path, `is on the same cell as ${holder}`);
+            }
+        };
+        agents.forEach((agent, i) => {
+            const path = `/agents/${i}`;
+            if (!this.isObject(agent, path)) return;
+            this.checkKeys(agent, path, ['type', 'route', 'start', 'speed', 'pause']);
+            
+            if (!types.includes(agent.type)) {
+                this.error(`${path}/type`, `must be one of ${types.map(type => `"${type}"`).join(', ')}`);
+            }
+            this.optionalNumber(agent, path, 'speed', 0.1, 5);
+            this.optionalNumber(agent, path, 'pause', 0, Infinity);
+            
+            if ((agent.route === undefined) === (agent.start === undefined)) {
+                this.error(path, 'needs either a route or a start');
+            } else if (agent.start !== undefined) {
+                checkOpen(agent.start, `${path}/start`);
+            } else if (this.isArray(agent.route, `${path}/route`)) {
+                if (agent.route.length < 2) {
+                    this.error(`${path}/route`, 'needs at least two waypoints');
+                }
+                agent.route.forEach((cell, j) => checkOpen(cell, `${path}/route/${j}`));
+            }
+        });
+    }
+    
+    checkCell(cell, path, grid) {
+        if (!this.isObject(cell, path)) return null;
+        this.checkKeys(cell, path, ['x', 'y', 'z']);
+        
+        const valid = [
+            this.isInteger(cell.x, `${path}/x`, 0, grid.x - 1),
+            this.isInteger(cell.y, `${path}/y`, 0, grid.y - 1),
+            this.isInteger(cell.z, `${path}/z`, 0, grid.z - 1)
+        ].every(Boolean);
+        return valid ? cell : null;
+    }
+    
+    checkFloorCell(cell, path, grid) {
+        if (!this.isObject(cell, path)) return null;
+        this.checkKeys(cell, path, ['x', 'z']);
+        
+        const valid = [
+            this.isInteger(cell.x, `${path}/x`, 0, grid.x - 1),
+            this.isInteger(cell.z, `${path}/z`, 0, grid.z - 1)
+        ].every(Boolean);
+        return valid ? cell : null;
+    }
+    
+    claim(occupied, cell, holder, path) {
+        const key = Scenario.cellKey(cell);
+        const previous = occupied.get(key);
+        if (previous) {
+            this.error(path, `overlaps ${previous} at (${cell.x}, ${cell.y}, ${cell.z})`);
+        } else {
+            occupied.set(key, holder);
+        }
+    }
+    
+    checkKeys(object, path, allowed) {
+        for (const key of Object.keys(object)) {
+            if (!allowed.includes(key)) {
+                this.error(`${path}/${ScenarioParser.escapePointer(key)}`, 'is not a known property');
+            }
+        }
+    }
+    
+    isObject(value, path) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            this.error(path, value === undefined ? 'is required' : 'must be an object');
+            return false;
+        }
+        return true;
+    }
+    
+    isArray(value, path) {
+        if (!Array.isArray(value)) {
+            this.error(path, value === undefined ? 'is required' : 'must be an array');
+            return false;
+        }
+        return true;
+    }
+    
+    isInteger(value, path, min, max) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            this.error(path, value === undefined ? 'is required' : `must be an integer from ${min} to ${max}`);
+            return false;
+        }
+        return true;
+    }
+    
+    isNumber(value, path, min = -Infinity, max = Infinity) {
+        if (typeof value !== 'number' || value < min || value > max) {
+            const bounds = min === -Infinity ? '' : (max === Infinity ? ` of at least ${min}` : ` from ${min} to ${max}`);
+            this.error(path, value === undefined ? 'is required' : `must be a number${bounds}`);
+            return false;
+        }
+        return true;
+    }
+    
+    optionalNumber(object, path, key, min, max) {
+        return object[key] === undefined || this.isNumber(object[key], `${path}/${key}`, min, max);
+    }
+    
+    optionalString(object, path, key) {
+        if (object[key] !== undefined && typeof object[key] !== 'string') {
+            this.error(`${path}/${key}`, 'must be a string');
+        }
+    }
+    
+    // A missing value is reported where its nearest parent starts
+    error(path, message) {
+        let location = null;
+        for (let current = path; location === null; current = current.slice(0, current.lastIndexOf('/'))) {
+            location = this.locations.get(current) || null;
+            if (current === '') break;
+        }
+        
+        this.errors.push({
+            path: path || '/',
+            line: location ? location.line : null,
+            column: location ? location.column : null,
+            message
+        });
+    }
+}
+
+class Scenario {
+    // Read scenario text; throws a ScenarioError listing every problem
+    static parse(text) {
+        const { value, locations } = new ScenarioParser(text).parse();
+        const errors = new ScenarioValidator(locations).validate(value);
+        if (errors.length > 0) {
+            const summary = errors.map(ScenarioError.format).join('\n');
+            throw new ScenarioError(`Invalid scenario:\n${summary}`, errors);
+        }
+        return Scenario.normalize(value);
+    }
+    
+    // Validate an already-built scenario object (no line numbers)
+    static validate(data) {
+        return new ScenarioValidator().validate(data);
+    }
+    
+    // Fill in defaults for optional fields
+    static normalize(data) {
+        const dynamics = data.dynamics || {};
+        return {
+            format: SCENARIO_FORMAT,
+            version: SCENARIO_VERSION,
+            name: data.name || 'Untitled',
+            description: data.description || '',
+            grid: { ...data.grid },
+            shelves: (data.shelves || []).map(shelf => ({ width: 1, depth: 1, levels: 1, ...shelf })),
+            walls: (data.walls || []).map(wall => ({ from: { ...wall.from }, to: { ...wall.to } })),
+            lifts: (data.lifts || []).map(lift => ({ levels: data.grid.y, ...lift })),
+            oneWayAisles: (data.oneWayAisles || []).map(aisle => ({ from: { ...aisle.from }, to: { ...aisle.to } })),
+            chargers: (data.chargers || []).map(cell => ({ ...cell })),
+            noGoZones: (data.noGoZones || []).map(zone => ({ width: 1, depth: 1, start: 0, ...zone })),
+            boxes: data.boxes.map(box => ({ ...box, position: { ...box.position } })),
+            robots: data.robots.map(cell => ({ ...cell })),
+            dropZones: data.dropZones.map(cell => ({ ...cell })),
+            dynamics: {
+                boxUpdateInterval: 3, // Seconds between rotation and scale changes
+                rotationStep: 45, // Degrees per change
+                scaleStep: 0.1, // Scale change per update, up or down at random
+                scaleRange: [0.5, 1.5],
+                restock: true, // Stock a new box for every one delivered
+                ...dynamics,
+                events: (dynamics.events || []).map(event => ({ ...event, position: { ...event.position } }))
+                    .sort((a, b) => a.time - b.time)
+            },
+            agents: (data.agents || []).map(agent => agent.route
+                ? { ...agent, route: agent.route.map(cell => ({ ...cell })) }
+                : { ...agent, start: { ...agent.start } })
+        };
+    }
+    
+    static stringify(scenario) {
+        return JSON.stringify(scenario, null, 2) + '\n';
+    }
+    
+    // The demo's original layout
+    static createDefault() {
+        return Scenario.normalize({
+            name: 'Default',
+            description: 'Two boxes on an open 10 x 10 floor with three robots and a pair of chargers',
+            grid: { x: 10, y: 10, z: 10 },
+            boxes: [
+                { position: { x: 8, y: 0, z: 8 } },
+                { position: { x: 5, y: 0, z: 3 } }
+            ],
+            robots: [
+                { x: 1, y: 0, z: 1 },
+                { x: 1, y: 0, z: 8 },
+                { x: 8, y: 0, z: 1 }
+            ],
+            dropZones: [
+                { x: 0, y: 0, z: 5 },
+                { x: 9, y: 0, z: 5 }
+            ],
+            chargers: [
+                { x: 4, y: 0, z: 0 },
+                { x: 5, y: 0, z: 0 }
+            ]
+        });
+    }
+    
+    // Snapshot of a running simulation: its scenario with boxes and robots
+    // where they are now (carried boxes are left out)
+    static fromSimulation(simulation) {
+        const scenario = Scenario.normalize(simulation.scenario);
+        const robots = simulation.fleet.robots.map(robot => robot.getCell());
+        const taken = new Set(robots.map(Scenario.cellKey));
+        
+        scenario.boxes = simulation.warehouse.boxes
+            .filter(box => !taken.has(Scenario.cellKey(box.position)))
+            .map(box => ({
+                position: { ...box.position },
+                rotation: box.rotation,
+                scale: box.scale
+            }));
+        
+        // Spawns the fleet did not use are kept while their cell is still free
+        for (const box of scenario.boxes) {
+            taken.add(Scenario.cellKey(box.position));
+        }
+        const unused = scenario.robots.slice(robots.length).filter(cell => !taken.has(Scenario.cellKey(cell)));
+        scenario.robots = [...robots, ...unused];
+        return scenario;
+    }
+    
+    // Cells of the fixed layout with their CellType flag: [{x, y, z, type}]
+    static getStaticCells(scenario) {
+        const cells = [];
+        for (const shelf of scenario.shelves) {
+            for (const cell of Scenario.areaCells(shelf)) {
+                for (let y = 0; y < shelf.levels; y++) {
+                    cells.push({ ...cell, y, type: CellType.RACK });
+                }
+            }
+        }
+        for (const wall of scenario.walls) {
+            for (const cell of Scenario.wallCells(wall)) {
+                cells.push({ ...cell, type: CellType.WALL });
+            }
+        }
+        for (const lift of scenario.lifts) {
+            for (const cell of Scenario.liftCells(lift)) {
+                cells.push({ ...cell, type: CellType.LIFT });
+            }
+        }
+        for (const aisle of scenario.oneWayAisles) {
+            const type = CellTypes.oneWayFlag(aisle.to.x - aisle.from.x, aisle.to.z - aisle.from.z);
+            for (const cell of Scenario.wallCells(aisle)) {
+                cells.push({ ...cell, type });
+            }
+        }
+        for (const charger of scenario.chargers) {
+            cells.push({ ...charger, type: CellType.CHARGER });
+        }
+        return cells;
+    }
+    
+    // Floor cells of a rectangle {x, z, width, depth}
+    static areaCells(area) {
+        const cells = [];
+        for (let x = area.x; x < area.x + area.width; x++) {
+            for (let z = area.z; z < area.z + area.depth; z++) {
+                cells.push({ x, y: 0, z });
+            }
+        }
+        return cells;
+    }
+    
+    // Cells of a lift shaft {x, z, levels}, from the floor up
+    static liftCells(lift) {
+        const cells = [];
+        for (let y = 0; y < lift.levels; y++) {
+            cells.push({ x: lift.x, y, z: lift.z });
+        }
+        return cells;
+    }
+    
+    // Floor cells of a straight run between two cells (walls and aisles)
+    static wallCells(wall) {
+        const cells = [];
+        const [x0, x1] = [Math.min(wall.from.x, wall.to.x), Math.max(wall.from.x, wall.to.x)];
+        const [z0, z1] = [Math.min(wall.from.z, wall.to.z), Math.max(wall.from.z, wall.to.z)];
+        for (let x = x0; x <= x1; x++) {
+            for (let z = z0; z <= z1; z++) {
+                cells.push({ x, y: 0, z });
+            }
+        }
+        return cells;
+    }
+    
+    static cellKey(cell) {
+        return `${cell.x},${cell.y},${cell.z}`;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Sensor Model Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the robot-mounted sensor the voxel data is seen
+ * through. Each robot carries one on a mount that pans about its heading.
+ * A voxel is seen when it lies inside the sensor's field of view and range
+ * and no rack, wall or box stands on the ray to it; its return then falls
+ * off with the square of the range. The gain of every voxel, the best over
+ * the fleet's sensors, is the view VisualDataGenerator renders a frame
+ * through, adding shot noise and dropped returns.
+ * 
+ * Positions are in grid cells with cell centers on whole numbers, as in
+ * the voxel tensor, so level y spans y - 0.5 to y + 0.5.
+ */
+
+const SensorDefaults = {
+    enabled: true, // Off: the whole warehouse is in view, as before sensors
+    fieldOfView: 100, // Horizontal, degrees
+    verticalFieldOfView: 60, // Degrees
+    maxRange: 8, // Cells
+    rangeFalloff: 0.4, // Share of a return left at maximum range
+    mountHeight: 0.3, // Above the floor of the robot's level, in cells
+    scanAngle: 60, // The mount pans this many degrees either side of the heading
+    scanPeriod: 8, // Seconds per pan cycle (0 holds the sensor on the heading)
+    shotNoise: 0.05, // Noise scaled by the square root of the intensity
+    dropout: 0.02 // Chance a voxel in view returns nothing
+};
+
+class SensorModel {
+    constructor(options = {}) {
+        this.config = { ...SensorDefaults, ...options };
+    }
+    
+    // Where a robot's sensor is and which way it looks at a time:
+    // {origin: {x, y, z}, yaw}, yaw measured like the robot's heading
+    getPose(robot, time) {
+        const { mountHeight, scanAngle, scanPeriod } = this.config;
+        const pan = scanPeriod > 0 ? scanAngle * Math.PI / 180 * Math.sin(2 * Math.PI * time / scanPeriod) : 0;
+        return {
+            origin: { x: robot.position.x, y: robot.position.y - 0.5 + mountHeight, z: robot.position.z },
+            yaw: robot.currentRotation + pan
+        };
+    }
+    
+    // Gain of a point seen from a pose: 0 outside the field of view or
+    // range or behind a solid cell, else falling with the square of range
+    getGain(pose, point, grid) {
+        const { fieldOfView, verticalFieldOfView, maxRange, rangeFalloff } = this.config;
+        const dx = point.x - pose.origin.x;
+        const dy = point.y - pose.origin.y;
+        const dz = point.z - pose.origin.z;
+        const horizontal = Math.hypot(dx, dz);
+        const distance = Math.hypot(horizontal, dy);
+        if (distance > maxRange) return 0;
+        
+        const bearing = Math.atan2(dz, dx) - pose.yaw;
+        if (Math.abs(Math.atan2(Math.sin(bearing), Math.cos(bearing))) > fieldOfView * Math.PI / 360) return 0;
+        if (Math.abs(Math.atan2(dy, horizontal)) > verticalFieldOfView * Math.PI / 360) return 0;
+        if (SensorModel.isOccluded(pose.origin, point, grid)) return 0;
+        
+        return 1 - (1 - rangeFalloff) * (distance / maxRange) ** 2;
+    }
+    
+    // Whether a rack, wall or box stands between two points: the cells a
+    // ray passes through are walked in order (Amanatides-Woo), leaving out
+    // the cells of both ends
+    static isOccluded(from, to, grid) {
+        const axes = ['x', 'y', 'z'];
+        const start = axes.map(axis => from[axis] + 0.5); // Cell boundaries on whole numbers
+        const end = axes.map(axis => to[axis] + 0.5);
+        const cell = start.map(Math.floor);
+        const target = end.map(Math.floor);
+        const step = [];
+        const tMax = [];
+        const tDelta = [];
+        for (let i = 0; i < 3; i++) {
+            const delta = end[i] - start[i];
+            step.push(Math.sign(delta));
+            tMax.push(delta !== 0 ? ((delta > 0 ? cell[i] + 1 : cell[i]) - start[i]) / delta : Infinity);
+            tDelta.push(delta !== 0 ? Math.abs(1 / delta) : Infinity);
+        }
+        
+        for (;;) {
+            const axis = tMax[0] <= tMax[1] ? (tMax[0] <= tMax[2] ? 0 : 2) : (tMax[1] <= tMax[2] ? 1 : 2);
+            if (tMax[axis] > 1) return false;
+            cell[axis] += step[axis];
+            tMax[axis] += tDelta[axis];
+            if (cell[0] === target[0] && cell[1] === target[1] && cell[2] === target[2]) return false;
+            
+            const [x, y, z] = cell;
+            if (x >= 0 && x < grid.length && y >= 0 && y < grid[0].length && z >= 0 && z < grid[0][0].length &&
+                (grid[x][y][z] & CellMask.SOLID) !== 0) return true;
+        }
+    }
+    
+    // What the robots' sensors see at a time: the gain of every voxel of
+    // the grid through each robot's sensor (gains, in robot order) and the
+    // best over them (gain), with the noise settings the frame is rendered
+    // with. {gain: [x][y][z], gains, poses, shotNoise, dropout}
+    observe(robots, grid, time) {
+        const poses = robots.map(robot => this.getPose(robot, time));
+        const gains = poses.map(pose => grid.map((plane, x) => plane.map((column, y) => column.map((value, z) =>
+            this.getGain(pose, { x, y, z }, grid)))));
+        const gain = grid.map((plane, x) => plane.map((column, y) => column.map((value, z) =>
+            Math.max(0, ...gains.map(robotGain => robotGain[x][y][z])))));
+        return { gain, gains, poses, shotNoise: this.config.shotNoise, dropout: this.config.dropout };
+    }
+    
+    // Whether a box's cell was in view
+    static sees(view, position) {
+        return view.gain[Math.floor(position.x)][Math.floor(position.y)][Math.floor(position.z)] > 0;
+    }
+    
+    // Corners of the far end of a pose's view, for drawing the frustum
+    getFrustumCorners(pose) {
+        const { fieldOfView, verticalFieldOfView, maxRange } = this.config;
+        const yawHalf = fieldOfView * Math.PI / 360;
+        const pitchHalf = verticalFieldOfView * Math.PI / 360;
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([side, up]) => {
+            const yaw = pose.yaw + side * yawHalf;
+            const pitch = up * pitchHalf;
+            return {
+                x: pose.origin.x + maxRange * Math.cos(pitch) * Math.cos(yaw),
+                y: pose.origin.y + maxRange * Math.sin(pitch),
+                z: pose.origin.z + maxRange * Math.cos(pitch) * Math.sin(yaw)
+            };
+        });
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * Simulation Core Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the headless simulation: warehouse, robot fleet,
+ * task dispatcher and detection models, built from a scenario and
+ * advanced together at a fixed timestep. Boxes are detected in what the
+ * robots' sensors see, and robots plan on belief maps built from the
+ * detections, round the forklifts and pickers sharing the floor. It has
+ * no DOM or THREE dependency, so the same seeded run plays in the browser
+ * and under Node. Renderers and UI panels attach as observers and read
+ * the state after each step.
+ */
+
+const SimulationDefaults = {
+    robotCount: null, // Robots to spawn, at most one per scenario spawn (null = all)
+    dt: 1 / 60, // Seconds of simulated time per step
+    detectionInterval: 2.0, // Seconds of simulated time between detections
+    dispatchPolicy: 'nearest',
+    planner: 'astar',
+    plannerOptions: {},
+    motion: {}, // Robot kinematics and power model (see MotionDefaults)
+    battery: {}, // Robot battery packs (see BatteryDefaults)
+    sensor: {}, // Robot-mounted sensor the voxel data is seen through (see SensorDefaults)
+    mapping: {}, // Robots' belief maps of where boxes stand (see BeliefMapDefaults)
+    traffic: {}, // The scenario's forklifts and pickers and safety limits (see TrafficDefaults)
+    activeModel: 'QINA',
+    qinaWeights: null, // Saved circuit weights for QINA (null for the shipped ones)
+    tensorNetwork: {}, // QINA's denoiser, e.g. its rank (see TensorNetworkDefaults)
+    
+    // Robot colors, reused in order when a scenario has more robots
+    colors: [0xFF5252, 0x7C4DFF, 0x00BCD4, 0xFFC107, 0x8BC34A, 0xFF9800, 0xE91E63, 0x9E9E9E]
+};
+
+class Simulation {
+    constructor(options = {}) {
+        this.config = { ...SimulationDefaults, ...options };
+        this.scenario = options.scenario || Scenario.createDefault();
+        this.seed = SeededRandom.normalizeSeed(
+            options.seed !== undefined ? options.seed : SeededRandom.randomSeed());
+        this.activeModel = this.config.activeModel;
+        this.detectionEnabled = true;
+        this.observers = [];
+        
+        this.build();
+    }
+    
+    // Create every module from the scenario and seed
+    build() {
+        const scenario = this.scenario;
+        const streams = this.createRandomStreams(this.seed);
+        
+        this.warehouse = new WarehouseEnvironment(scenario, streams.warehouse);
+        this.warehouse.initialize();
+        
+        const robotCount = Math.min(scenario.robots.length, Math.max(1, this.config.robotCount || scenario.robots.length));
+        this.fleet = new Fleet();
+        for (let i = 0; i < robotCount; i++) {
+            const spawn = scenario.robots[i];
+            const color = this.config.colors[i % this.config.colors.length];
+            this.fleet.addRobot(new Robot(spawn.x, spawn.y, spawn.z, { id: i, color, motion: this.config.motion, battery: this.config.battery }));
+        }
+        this.fleet.setPlanner(this.config.planner, this.config.plannerOptions);
+        this.createBeliefs();
+        this.traffic = new Traffic(scenario.agents, streams.traffic, this.config.traffic);
+        this.fleet.setTraffic(this.traffic);
+        
+        this.dispatcher = new TaskDispatcher(this.fleet, this.warehouse, this.config.dispatchPolicy);
+        
+        this.baselineModel = new BaselineModel(streams.baseline);
+        this.qinaModel = new QINAModel(streams.qina, this.config.qinaWeights || QINA_CIRCUIT_WEIGHTS, this.config.tensorNetwork);
+        this.visualDataGenerator = new VisualDataGenerator(this.warehouse.size, streams.visualData);
+        this.sensor = new SensorModel(this.config.sensor);
+        
+        this.resetClock();
+    }
+    
+    // Give every robot a belief map per detection model and plan on the
+    // active model's; with mapping off robots plan on the true grid
+    createBeliefs() {
+        const mapping = { ...BeliefMapDefaults, ...this.config.mapping };
+        for (const robot of this.fleet.robots) {
+            robot.beliefs = mapping.enabled ? {
+                Baseline: new BeliefMap(this.warehouse.grid, mapping),
+                QINA: new BeliefMap(this.warehouse.grid, mapping)
+            } : {};
+        }
+        this.fleet.setBeliefModel(this.activeModel);
+    }
+    
+    // One independent random stream per module
+    createRandomStreams(seed) {
+        const root = new SeededRandom(seed);
+        return {
+            warehouse: root.fork('warehouse'),
+            baseline: root.fork('baseline'),
+            qina: root.fork('qina'),
+            visualData: root.fork('visual-data'),
+            traffic: root.fork('traffic')
+        };
+    }
+    
+    resetClock() {
+        this.time = 0;
+        this.stepCount = 0;
+        this.timeSinceDetection = this.config.detectionInterval; // Detect on the first step
+        this.lastResults = null;
+        this.lastView = null; // Sensor view of the last detection pass
+        this.lastVoxels = null; // {sensor, denoised, signal} voxel tensors of the last detection pass
+    }
+    
+    // Observers may implement onReset(simulation), onStep(simulation),
+    // onDetection(simulation, results), results being {baseline, qina,
+    // active, boxes} with the boxes in view, and onSafetyEvent(simulation,
+    // event) for each near-miss or collision as it is logged
+    addObserver(observer) {
+        this.observers.push(observer);
+        return observer;
+    }
+    
+    removeObserver(observer) {
+        this.observers = this.observers.filter(other => other !== observer);
+    }
+    
+    notify(event, ...args) {
+        for (const observer of this.observers) {
+            if (observer[event]) {
+                observer[event](this, ...args);
+            }
+        }
+    }
+    
+    // Detections of the active model queue jobs, and robots plan on its belief maps
+    setActiveModel(name) {
+        this.activeModel = name;
+        this.fleet.setBeliefModel(name);
+    }
+    
+    setPlanner(name, options = {}) {
+        this.config.planner = name;
+        this.config.plannerOptions = options;
+        this.fleet.setPlanner(name, options);
+    }
+    
+    setDispatchPolicy(policy) {
+        this.config.dispatchPolicy = policy;
+        this.dispatcher.setPolicy(policy);
+    }
+    
+    // Score QINA candidates with other saved circuit weights, kept across
+    // scenario changes; throws on weights that cannot be read
+    setQinaWeights(weights) {
+        this.qinaModel.loadWeights(weights);
+        this.config.qinaWeights = weights;
+    }
+    
+    // Change QINA's denoiser options (e.g. {rank: 4}), kept across scenario
+    // changes
+    setTensorNetwork(options) {
+        this.qinaModel.setTensorNetwork(options);
+        this.config.tensorNetwork = { ...this.config.tensorNetwork, ...options };
+    }
+    
+    // Advance the simulation by one fixed step
+    step() {
+        const dt = this.config.dt;
+        this.time += dt;
+        this.stepCount++;
+        
+        // Update warehouse (scheduled boxes never appear under a robot); robots
+        // whose path crosses a changed cell repair it at the next step boundary
+        this.warehouse.update(dt, this.fleet.getOccupiedCells());
+        const changedCells = this.warehouse.takeChangedCells();
+        if (changedCells.length > 0) {
+            this.fleet.gridChanged(changedCells, this.warehouse.grid);
+        }
+        
+        // Forklifts and pickers move first; robots yield to them at the next step boundary
+        this.traffic.update(dt, this.warehouse.grid, this.fleet.robots);
+        
+        // Update robot fleet and its jobs
+        this.fleet.update(dt, this.warehouse.grid);
+        this.dispatcher.update(this.warehouse.grid);
+        for (const event of this.traffic.checkSafety(this.fleet.robots, this.time)) {
+            this.notify('onSafetyEvent', event);
+        }
+        
+        // Periodically process visual data
+        this.timeSinceDetection += dt;
+        if (this.timeSinceDetection >= this.config.detectionInterval) {
+            this.timeSinceDetection -= this.config.detectionInterval;
+            if (this.detectionEnabled) {
+                this.processVisualData();
+            }
+        }
+        
+        this.notify('onStep');
+    }
+    
+    // Run for a span of simulated seconds
+    run(duration) {
+        const steps = Math.round(duration / this.config.dt);
+        for (let i = 0; i < steps; i++) {
+            this.step();
+        }
+    }
+    
+    // Process visual data with both models and queue jobs from the active
+    // one. The data is what the robots' sensors see from where they stand,
+    // and the models are scored against the boxes in view.
+    processVisualData() {
+        const view = this.sensor.config.enabled ? this.sensor.observe(this.fleet.robots, this.warehouse.grid, this.time) : null;
+        const visualData = this.visualDataGenerator.generate(this.warehouse.getBoxPositions(), view);
+        const boxes = view ? this.warehouse.boxes.filter(box => SensorModel.sees(view, box.position)) : this.warehouse.boxes;
+        this.lastView = view;
+        if (view) {
+            this.dispatcher.recordView(view);
+        }
+        
+        const baseline = this.baselineModel.detect(visualData, boxes);
+        const qina = this.qinaModel.detect(visualData, boxes, this.visualDataGenerator.signal, view);
+        const active = this.activeModel === 'QINA' ? qina : baseline;
+        this.lastResults = { baseline, qina, active, boxes };
+        this.lastVoxels = { sensor: visualData, denoised: this.qinaModel.processedData, signal: this.visualDataGenerator.signal };
+        
+        this.updateBeliefs(view, { Baseline: baseline, QINA: qina });
+        
+        // Mark detected boxes and queue pick-up jobs for them
+        this.warehouse.highlightDetectedBoxes(active.detections);
+        this.dispatcher.addDetections(active.detections);
+        
+        this.notify('onDetection', this.lastResults);
+        return this.lastResults;
+    }
+    
+    // Each robot folds what its own sensor saw of a detection pass into
+    // its belief map for each model; the cells robots stand on are known
+    // to be free, unless a box truly holds one. Changes to the map it plans
+    // on are checked against its path at the next step boundary.
+    updateBeliefs(view, results) {
+        const grid = this.warehouse.grid;
+        const standing = this.fleet.robots.map(robot => robot.getCell())
+            .filter(cell => (grid[cell.x][cell.y][cell.z] & CellMask.SOLID) === 0);
+        this.fleet.robots.forEach((robot, index) => {
+            for (const [model, belief] of Object.entries(robot.beliefs)) {
+                const changed = belief.update(view ? view.gains[index] : null, results[model].detections);
+                standing.forEach(cell => changed.push(...belief.markCell(cell, false)));
+                if (belief === robot.belief) {
+                    this.fleet.beliefChanged(robot, changed);
+                }
+            }
+        });
+    }
+    
+    // Restart the run; the same seed replays the same run
+    reset(seed = this.seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        const streams = this.createRandomStreams(this.seed);
+        
+        this.warehouse.reset(streams.warehouse);
+        this.fleet.reset();
+        this.traffic.reset(streams.traffic);
+        for (const robot of this.fleet.robots) {
+            Object.values(robot.beliefs).forEach(belief => belief.reset(this.warehouse.grid));
+        }
+        this.dispatcher.reset();
+        this.baselineModel.reset(streams.baseline);
+        this.qinaModel.reset(streams.qina);
+        this.visualDataGenerator.reset(streams.visualData);
+        this.resetClock();
+        
+        this.notify('onReset');
+    }
+    
+    // Switch to another scenario; every module is rebuilt
+    loadScenario(scenario, seed = this.seed) {
+        this.scenario = scenario;
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.build();
+        
+        this.notify('onReset');
+    }
+}
@@ -0,0 +1,501 @@
+/**
+ * Task Dispatcher Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the job queue for the robot fleet. Each job picks
+ * up a detected box and drops it off at a drop zone, moving through the
+ * lifecycle queued -> assigned -> en route -> carrying -> delivered.
+ * A job whose box leaves the floor before pick-up is cancelled.
+ * Queued jobs are handed to idle robots by a selectable policy.
+ * 
+ * A robot only takes a job its battery can finish with enough left to
+ * reach a charger afterwards. Idle robots low on charge go to the nearest
+ * free charger and take jobs again once charged.
+ * 
+ * Boxes are only detected where the robots' sensors look, so an idle robot
+ * with charge to spare surveys the cells that could hold a box and have
+ * gone unseen longest, such as the far side of racks and walls, until
+ * there is a job for it.
+ */
+
+const JobStatus = {
+    QUEUED: 'queued',
+    ASSIGNED: 'assigned',
+    EN_ROUTE: 'en-route',
+    CARRYING: 'carrying',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled'
+};
+
+const DispatchPolicy = {
+    NEAREST: 'nearest',
+    FIFO: 'fifo',
+    AUCTION: 'auction'
+};
+
+// Seconds a cell that could hold a box may go unseen before idle robots
+// are sent to look at it
+const SURVEY_INTERVAL = 15;
+
+// Share of a full battery below which idle robots stop surveying, keeping
+// their charge for jobs
+const SURVEY_MIN_CHARGE = 0.6;
+
+// Robots out surveying at once; the rest wait for jobs where they stand
+const MAX_SURVEYORS = 1;
+
+class TaskDispatcher {
+    constructor(fleet, warehouse, policy = DispatchPolicy.NEAREST) {
+        this.fleet = fleet;
+        this.warehouse = warehouse;
+        this.policy = policy;
+        this.jobs = [];
+        this.nextJobId = 1;
+        this.chargeTrips = 0; // Robots sent to a charger
+        
+        // When each cell was last in a sensor's view (null until the first
+        // view is recorded) and the cell each surveying robot is headed for
+        this.lastSeen = null;
+        this.surveyTargets = new Map();
+        
+        this.fleet.onArrival = (robot, target) => this.handleArrival(robot, target);
+    }
+    
+    setPolicy(policy) {
+        this.policy = policy;
+    }
+    
+    // Queue a pick job for every detected box that does not have one yet
+    addDetections(detections) {
+        for (const detection of detections) {
+            const box = this.warehouse.findBoxAt(
+                Math.floor(detection.position.x),
+                Math.floor(detection.position.y),
+                Math.floor(detection.position.z)
+            );
+            if (box && !this.jobs.some(job => job.box === box && this.isOpen(job))) {
+                this.enqueue(box);
+            }
+        }
+    }
+    
+    enqueue(box) {
+        const job = {
+            id: this.nextJobId++,
+            box: box,
+            dropZone: null,
+            robot: null,
+            status: JobStatus.QUEUED,
+            history: [],
+            lastError: null
+        };
+        this.setStatus(job, JobStatus.QUEUED);
+        this.jobs.push(job);
+        return job;
+    }
+    
+    setStatus(job, status) {
+        job.status = status;
+        job.history.push({ status, time: this.fleet.elapsedTime });
+    }
+    
+    isOpen(job) {
+        return job.status !== JobStatus.DELIVERED && job.status !== JobStatus.CANCELLED;
+    }
+    
+    getActiveJob(robot) {
+        return this.jobs.find(job => job.robot === robot && this.isOpen(job)) || null;
+    }
+    
+    getJobsByStatus(status) {
+        return this.jobs.filter(job => job.status === status);
+    }
+    
+    update(grid) {
+        for (const job of this.jobs) {
+            const robot = job.robot;
+            const isPending = job.status === JobStatus.QUEUED || job.status === JobStatus.ASSIGNED ||
+                job.status === JobStatus.EN_ROUTE;
+            
+            // The box was removed from the floor before anyone picked it up
+            if (isPending && !this.warehouse.boxes.includes(job.box)) {
+                this.cancel(job);
+                continue;
+            }
+            if (!robot) continue;
+            
+            if (job.status === JobStatus.ASSIGNED && robot.moving) {
+                this.setStatus(job, JobStatus.EN_ROUTE);
+            } else if ((job.status === JobStatus.ASSIGNED || job.status === JobStatus.EN_ROUTE) && !robot.goal) {
+                // The fleet dropped the robot's goal: put the job back in the queue
+                job.lastError = robot.plan && robot.plan.reason;
+                job.robot = null;
+                this.setStatus(job, JobStatus.QUEUED);
+            } else if (job.status === JobStatus.CARRYING && !robot.goal) {
+                // No drop zone was reachable yet, keep trying
+                this.sendToDropZone(job, grid);
+            }
+        }
+        
+        this.recallSurveyors();
+        this.dispatch(grid);
+        this.sendToChargers(grid);
+        this.clearStations(grid);
+        this.survey(grid);
+    }
+    
+    // Robots out surveying drop it as soon as there is a job no robot has
+    // yet failed to take
+    recallSurveyors() {
+        if (!this.getJobsByStatus(JobStatus.QUEUED).some(job => !job.lastError)) return;
+        for (const robot of this.surveyTargets.keys()) {
+            if (robot.goal) this.fleet.release(robot);
+        }
+        this.surveyTargets.clear();
+    }
+    
+    // Hand queued jobs to idle robots according to the policy; robots that
+    // are charging or low on charge take none, and no robot takes a job it
+    // cannot finish
+    dispatch(grid) {
+        const idleRobots = this.fleet.getIdleRobots().filter(robot =>
+            !this.getActiveJob(robot) && !robot.charging && !robot.battery.isLow());
+        const queued = this.getJobsByStatus(JobStatus.QUEUED);
+        if (idleRobots.length === 0 || queued.length === 0) return;
+        
+        const cost = this.policy === DispatchPolicy.AUCTION
+            ? (robot, job) => this.bid(robot, job, grid)
+            : (robot, job) => this.manhattan(robot.getCell(), job.box.position);
+        const pairs = this.policy === DispatchPolicy.FIFO
+            ? this.matchFifo(idleRobots, queued)
+            : this.matchByCost(idleRobots, queued, (robot, job) => this.canFinish(robot, job) ? cost(robot, job) : Infinity);
+        
+        // Jobs no idle robot has the charge for wait for one that does
+        for (const job of queued) {
+            if (!pairs.some(pair => pair.job === job) && !idleRobots.some(robot => this.canFinish(robot, job))) {
+                job.lastError = 'No idle robot has the charge to finish this job';
+            }
+        }
+        
+        for (const { robot, job } of pairs) {
+            const box = job.box;
+            const plan = this.fleet.assign(robot, {
+                x: Math.floor(box.position.x),
+                y: Math.floor(box.position.y),
+                z: Math.floor(box.position.z)
+            }, grid);
+            
+            if (robot.goal || plan.status === PlanStatus.AT_GOAL) {
+                job.robot = robot;
+                job.lastError = null;
+                this.setStatus(job, JobStatus.ASSIGNED);
+                
+                // Already standing beside the box
+                if (plan.status === PlanStatus.AT_GOAL) {
+                    this.pickUp(job);
+                }
+            } else {
+                job.lastError = plan.reason;
+            }
+        }
+    }
+    
+    // Oldest job first, each to the nearest idle robot that can finish it
+    matchFifo(robots, jobs) {
+        let available = [...robots];
+        const pairs = [];
+        
+        for (const job of jobs) {
+            const able = available.filter(robot => this.canFinish(robot, job));
+            if (able.length === 0) continue;
+            able.sort((a, b) =>
+                this.manhattan(a.getCell(), job.box.position) - this.manhattan(b.getCell(), job.box.position));
+            pairs.push({ robot: able[0], job });
+            available = available.filter(robot => robot !== able[0]);
+        }
+        
+        return pairs;
+    }
+    
+    // Repeatedly award the cheapest remaining (robot, job) pair
+    matchByCost(robots, jobs, cost) {
+        const offers = [];
+        for (const robot of robots) {
+            for (const job of jobs) {
+                const value = cost(robot, job);
+                if (value !== Infinity) {
+                    offers.push({ robot, job, cost: value });
+                }
+            }
+        }
+        offers.sort((a, b) => a.cost - b.cost || a.job.id - b.job.id);
+        
+        const pairs = [];
+        const awardedRobots = new Set();
+        const awardedJobs = new Set();
+        for (const offer of offers) {
+            if (awardedRobots.has(offer.robot) || awardedJobs.has(offer.job)) continue;
+            awardedRobots.add(offer.robot);
+            awardedJobs.add(offer.job);
+            pairs.push(offer);
+        }
+        
+        return pairs;
+    }
+    
+    // A robot's bid: planned cost to the box on the grid it plans on, plus
+    // the distance on to the nearest drop zone
+    bid(robot, job, grid) {
+        const pathfinder = Pathfinders.create(robot.planner, this.fleet.getGrid(robot, grid), robot.plannerOptions);
+        const box = job.box.position;
+        const plan = pathfinder.planToTarget(robot.getCell(), {
+            x: Math.floor(box.x),
+            y: Math.floor(box.y),
+            z: Math.floor(box.z)
+        });
+        
+        if (plan.status !== PlanStatus.OK && plan.status !== PlanStatus.AT_GOAL) {
+            return Infinity;
+        }
+        
+        const dropDistance = Math.min(...this.warehouse.dropZones.map(zone => this.manhattan(plan.goal, zone)));
+        return pathfinder.stats.cost + dropDistance;
+    }
+    
+    // Energy a robot needs for a job: to the box, on to the nearest drop
+    // zone loaded, and from there to the nearest charger
+    estimateJobEnergy(robot, job) {
+        const motion = robot.motion;
+        const box = job.box.position;
+        const zone = this.nearest(box, this.warehouse.dropZones);
+        const charger = this.nearest(zone, this.warehouse.chargers);
+        return motion.estimateEnergy(this.manhattan(robot.getCell(), box)) +
+            motion.estimateEnergy(this.manhattan(box, zone), motion.config.boxMass) +
+            (charger ? motion.estimateEnergy(this.manhattan(zone, charger)) : 0);
+    }
+    
+    canFinish(robot, job) {
+        return robot.battery.canAfford(this.estimateJobEnergy(robot, job));
+    }
+    
+    handleArrival(robot, target) {
+        const job = this.getActiveJob(robot);
+        if (!job) return;
+        
+        if (job.status === JobStatus.ASSIGNED || job.status === JobStatus.EN_ROUTE) {
+            this.pickUp(job);
+        } else if (job.status === JobStatus.CARRYING) {
+            this.deliver(job);
+        }
+    }
+    
+    // At the box: load it and head for a drop zone. The robot knows the
+    // box's cell is free now.
+    pickUp(job) {
+        const box = job.box;
+        this.warehouse.detachBox(box);
+        job.robot.pickUp(box);
+        this.fleet.learnCell(job.robot, {
+            x: Math.floor(box.position.x),
+            y: Math.floor(box.position.y),
+            z: Math.floor(box.position.z)
+        }, false);
+        this.setStatus(job, JobStatus.CARRYING);
+        this.sendToDropZone(job, this.warehouse.grid);
+    }
+    
+    // At the drop zone: unload and restock the warehouse
+    deliver(job) {
+        job.robot.dropOff();
+        this.warehouse.deliverBox(job.box, this.fleet.getOccupiedCells());
+        this.setStatus(job, JobStatus.DELIVERED);
+        this.fleet.completeTask();
+    }
+    
+    // Drive a loaded robot to the nearest drop zone it can reach
+    sendToDropZone(job, grid) {
+        const robot = job.robot;
+        const position = robot.getCell();
+        const zones = [...this.warehouse.dropZones].sort((a, b) =>
+            this.manhattan(position, a) - this.manhattan(position, b));
+        
+        for (const zone of zones) {
+            const plan = this.fleet.assign(robot, zone, grid);
+            if (plan.status === PlanStatus.AT_GOAL) {
+                job.dropZone = zone;
+                this.deliver(job);
+                return;
+            }
+            if (robot.goal) {
+                job.dropZone = zone;
+                job.lastError = null;
+                return;
+            }
+            job.lastError = plan.reason;
+        }
+    }
+    
+    // Send each idle robot low on charge to the nearest free charger it
+    // can reach; with none free it waits and tries again. A robot already
+    // on a charger starts charging at the next step.
+    sendToChargers(grid) {
+        for (const robot of this.fleet.getIdleRobots()) {
+            if (this.getActiveJob(robot) || !robot.battery.isLow() || this.isOnCharger(robot, grid)) continue;
+            
+            const pathfinder = new AStarPathfinder(grid);
+            const claimed = this.fleet.getClaimedCells(robot, pathfinder);
+            const position = robot.getCell();
+            const chargers = this.warehouse.chargers
+                .filter(charger => !claimed.has(pathfinder.nodeKey(charger.x, charger.y, charger.z)))
+                .sort((a, b) => this.manhattan(position, a) - this.manhattan(position, b));
+            
+            for (const charger of chargers) {
+                this.fleet.assign(robot, charger, grid);
+                if (robot.goal) {
+                    this.chargeTrips++;
+                    break;
+                }
+            }
+        }
+    }
+    
+    // An idle robot left standing on a drop zone would block every later
+    // delivery there, and one left on a charger once charged would keep
+    // others from charging, so move it to the nearest free parking cell
+    clearStations(grid) {
+        for (const robot of this.fleet.getIdleRobots()) {
+            if (this.getActiveJob(robot)) continue;
+            const isChargedOnCharger = robot.battery.isCharged() && this.isOnCharger(robot, grid);
+            if (!this.isDropZone(robot.getCell()) && !isChargedOnCharger) continue;
+            
+            const parking = this.findParking(robot, grid);
+            if (parking) {
+                this.fleet.assign(robot, parking, grid);
+            }
+        }
+    }
+    
+    // Note the cells a sensor view saw (see SensorModel.observe) and
+    // those robots stand on
+    recordView(view) {
+        const now = this.fleet.elapsedTime;
+        if (!this.lastSeen) {
+            this.lastSeen = view.gain.map(plane => plane.map(column => column.map(() => -Infinity)));
+        }
+        view.gain.forEach((plane, x) => plane.forEach((column, y) => column.forEach((gain, z) => {
+            if (gain > 0) this.lastSeen[x][y][z] = now;
+        })));
+        for (const robot of this.fleet.robots) {
+            const cell = robot.getCell();
+            this.lastSeen[cell.x][cell.y][cell.z] = now;
+        }
+    }
+    
+    // Send idle robots with charge to spare, up to MAX_SURVEYORS, towards
+    // the nearest cell that could hold a box and has gone unseen for
+    // SURVEY_INTERVAL, one robot per cell. A cell no robot can reach counts
+    // as seen for now.
+    survey(grid) {
+        if (!this.lastSeen) return;
+        const now = this.fleet.elapsedTime;
+        for (const robot of this.surveyTargets.keys()) {
+            if (!robot.goal) this.surveyTargets.delete(robot);
+        }
+        const targeted = new Set([...this.surveyTargets.values()].map(Scenario.cellKey));
+        
+        for (const robot of this.fleet.getIdleRobots()) {
+            if (this.surveyTargets.size >= MAX_SURVEYORS) break;
+            if (this.getActiveJob(robot) || robot.charging || robot.battery.getLevel() < SURVEY_MIN_CHARGE) continue;
+            
+            const position = robot.getCell();
+            let target = null;
+            for (let x = 0; x < grid.length; x++) {
+                for (let y = 0; y < grid[x].length; y++) {
+                    for (let z = 0; z < grid[x][y].length; z++) {
+                        const value = grid[x][y][z];
+                        const cell = { x, y, z };
+                        if (this.lastSeen[x][y][z] > now - SURVEY_INTERVAL || targeted.has(Scenario.cellKey(cell)) ||
+                            !(CellTypes.canHoldBox(value, y) || (value & CellType.BOX) !== 0)) continue;
+                        if (!target || this.manhattan(position, cell) < this.manhattan(position, target)) {
+                            target = cell;
+                        }
+                    }
+                }
+            }
+            if (!target) continue;
+            
+            this.fleet.assign(robot, target, grid);
+            if (robot.goal) {
+                this.surveyTargets.set(robot, target);
+                targeted.add(Scenario.cellKey(target));
+            } else {
+                this.lastSeen[target.x][target.y][target.z] = now;
+            }
+        }
+    }
+    
+    // Breadth-first search, on the grid the robot plans on, for the closest
+    // unclaimed parking cell that is not a drop zone
+    findParking(robot, grid) {
+        const map = this.fleet.getGrid(robot, grid);
+        const pathfinder = new AStarPathfinder(map);
+        const claimed = this.fleet.getClaimedCells(robot, pathfinder);
+        const start = robot.getCell();
+        const visited = new Set([pathfinder.nodeKey(start.x, start.y, start.z)]);
+        const queue = [start];
+        
+        for (let head = 0; head < queue.length; head++) {
+            for (const cell of pathfinder.getNeighbors(queue[head].x, queue[head].y, queue[head].z)) {
+                const key = pathfinder.nodeKey(cell.x, cell.y, cell.z);
+                if (visited.has(key) || claimed.has(key)) continue;
+                visited.add(key);
+                
+                if (!this.isDropZone(cell) && CellTypes.canPark(map[cell.x][cell.y][cell.z])) return cell;
+                queue.push(cell);
+            }
+        }
+        return null;
+    }
+    
+    // The closest of a list of cells, or null for an empty list
+    nearest(cell, cells) {
+        let best = null;
+        for (const other of cells) {
+            if (!best || this.manhattan(cell, other) < this.manhattan(cell, best)) {
+                best = other;
+            }
+        }
+        return best;
+    }
+    
+    isOnCharger(robot, grid) {
+        const cell = robot.getCell();
+        return (grid[cell.x][cell.y][cell.z] & CellType.CHARGER) !== 0;
+    }
+    
+    isDropZone(cell) {
+        return this.warehouse.dropZones.some(zone => zone.x === cell.x && zone.y === cell.y && zone.z === cell.z);
+    }
+    
+    cancel(job) {
+        if (job.robot) {
+            this.fleet.release(job.robot);
+        }
+        job.robot = null;
+        this.setStatus(job, JobStatus.CANCELLED);
+    }
+    
+    manhattan(a, b) {
+        return Math.abs(Math.floor(a.x) - Math.floor(b.x)) +
+               Math.abs(Math.floor(a.y) - Math.floor(b.y)) +
+               Math.abs(Math.floor(a.z) - Math.floor(b.z));
+    }
+    
+    reset() {
+        this.jobs = [];
+        this.nextJobId = 1;
+        this.chargeTrips = 0;
+        this.lastSeen = null;
+        this.surveyTargets = new Map();
+    }
+}
@@ -0,0 +1,385 @@
+/**
+ * Tensor Network Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the tensor network QINA denoises the voxel tensor
+ * with: Tucker decompositions computed by truncated higher-order SVD
+ * (HOSVD). Each mode keeps the leading singular vectors of its unfolding,
+ * and the tensor is rebuilt from the small core they span. The grid is
+ * decomposed in overlapping patches that are averaged back together: a
+ * patch holds one or two boxes, compact blobs that a few components per
+ * mode describe, while the sensor noise spreads evenly over all of them,
+ * so the truncation drops most of the noise and little of the signal.
+ * One decomposition of the whole grid would need a component for nearly
+ * every row a box sits in.
+ */
+
+const TensorNetworkDefaults = {
+    // Components kept per mode: a number for every mode, {x, y, z}, or null
+    // to keep those standing above the noise floor
+    rank: null,
+    noiseSigma: 0, // Noise standard deviation, for the automatic rank
+    patchSize: 5, // Voxels along each edge of a patch (null for the whole grid)
+    patchStride: 2, // Voxels between neighboring patches
+    maxSweeps: 50 // Jacobi sweeps per eigendecomposition
+};
+
+// A dense 3-way tensor stored flat, x-major like the nested [x][y][z] arrays
+class Tensor {
+    constructor(dims, values = null) {
+        this.dims = [...dims];
+        this.values = values || new Float64Array(dims[0] * dims[1] * dims[2]);
+    }
+    
+    static fromNested(data) {
+        const tensor = new Tensor([data.length, data[0].length, data[0][0].length]);
+        let i = 0;
+        for (const plane of data) {
+            for (const row of plane) {
+                for (const value of row) {
+                    tensor.values[i++] = value;
+                }
+            }
+        }
+        return tensor;
+    }
+    
+    toNested() {
+        const [dx, dy, dz] = this.dims;
+        let i = 0;
+        return Array.from({ length: dx }, () =>
+            Array.from({ length: dy }, () =>
+                Array.from({ length: dz }, () => this.values[i++])));
+    }
+    
+    // Distance between flat indices along each mode
+    strides() {
+        return [this.dims[1] * this.dims[2], this.dims[2], 1];
+    }
+    
+    // Gram matrix of the mode-n unfolding, X_(n) X_(n)^T (dims[n] square)
+    modeGram(mode) {
+        const size = this.dims[mode];
+        const stride = this.strides()[mode];
+        const gram = new Float64Array(size * size);
+        const fibers = this.values.length / size;
+        
+        // Each fiber along the mode adds its outer product
+        const fiber = new Float64Array(size);
+        for (let f = 0; f < fibers; f++) {
+            const base = Math.floor(f / stride) * stride * size + f % stride;
+            for (let i = 0; i < size; i++) {
+                fiber[i] = this.values[base + i * stride];
+            }
+            for (let i = 0; i < size; i++) {
+                for (let j = i; j < size; j++) {
+                    gram[i * size + j] += fiber[i] * fiber[j];
+                }
+            }
+        }
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < i; j++) {
+                gram[i * size + j] = gram[j * size + i];
+            }
+        }
+        return gram;
+    }
+    
+    // Mode-n product with a rows x dims[n] matrix (row-major)
+    modeProduct(mode, matrix, rows) {
+        const size = this.dims[mode];
+        const dims = [...this.dims];
+        dims[mode] = rows;
+        const result = new Tensor(dims);
+        const stride = this.strides()[mode];
+        const resultStride = result.strides()[mode];
+        const fibers = this.values.length / size;
+        
+        for (let f = 0; f < fibers; f++) {
+            const outer = Math.floor(f / stride);
+            const inner = f % stride;
+            const base = outer * stride * size + inner;
+            const resultBase = outer * resultStride * rows + inner;
+            for (let r = 0; r < rows; r++) {
+                let sum = 0;
+                for (let i = 0; i < size; i++) {
+                    sum += matrix[r * size + i] * this.values[base + i * stride];
+                }
+                result.values[resultBase + r * resultStride] = sum;
+            }
+        }
+        return result;
+    }
+    
+    // Copy of the block of the given edge lengths at an origin
+    slice(origin, edges) {
+        const block = new Tensor(edges);
+        const [sx, sy] = this.strides();
+        let i = 0;
+        for (let x = 0; x < edges[0]; x++) {
+            for (let y = 0; y < edges[1]; y++) {
+                const base = (origin[0] + x) * sx + (origin[1] + y) * sy + origin[2];
+                for (let z = 0; z < edges[2]; z++) {
+                    block.values[i++] = this.values[base + z];
+                }
+            }
+        }
+        return block;
+    }
+    
+    // Add a block in at an origin, counting each voxel's contributions
+    accumulate(block, origin, counts) {
+        const [sx, sy] = this.strides();
+        const [ex, ey, ez] = block.dims;
+        let i = 0;
+        for (let x = 0; x < ex; x++) {
+            for (let y = 0; y < ey; y++) {
+                const base = (origin[0] + x) * sx + (origin[1] + y) * sy + origin[2];
+                for (let z = 0; z < ez; z++) {
+                    this.values[base + z] += block.values[i++];
+                    counts[base + z]++;
+                }
+            }
+        }
+    }
+    
+    norm() {
+        let sum = 0;
+        for (const value of this.values) {
+            sum += value * value;
+        }
+        return Math.sqrt(sum);
+    }
+}
+
+class TensorNetwork {
+    constructor(options = {}) {
+        this.config = { ...TensorNetworkDefaults, ...options };
+    }
+    
+    // Patchwise truncated HOSVD of nested [x][y][z] data: {data,
+    // meanRanks: [x, y, z], reconstructionError}, the error relative to
+    // the input
+    denoise(data) {
+        const input = Tensor.fromNested(data);
+        const output = new Tensor(input.dims);
+        const weights = new Float64Array(input.values.length);
+        const rankTotals = [0, 0, 0];
+        const patchSize = this.config.patchSize || Math.max(...input.dims);
+        const edges = input.dims.map(size => Math.min(size, patchSize));
+        const starts = input.dims.map((size, mode) =>
+            TensorNetwork.patchStarts(size, edges[mode], this.config.patchStride));
+        
+        let patches = 0;
+        for (const x0 of starts[0]) {
+            for (const y0 of starts[1]) {
+                for (const z0 of starts[2]) {
+                    const origin = [x0, y0, z0];
+                    const decomposition = this.decompose(input.slice(origin, edges));
+                    output.accumulate(TensorNetwork.reconstruct(decomposition), origin, weights);
+                    decomposition.factors.forEach((factor, mode) => {
+                        rankTotals[mode] += factor.rows;
+                    });
+                    patches++;
+                }
+            }
+        }
+        
+        // Average the overlapping patches
+        for (let i = 0; i < output.values.length; i++) {
+            output.values[i] /= weights[i];
+        }
+        return {
+            data: output.toNested(),
+            meanRanks: rankTotals.map(total => total / patches),
+            reconstructionError: TensorNetwork.relativeError(output, input)
+        };
+    }
+    
+    // Patch origins along one mode: every stride, plus one flush with the end
+    static patchStarts(size, edge, stride) {
+        const starts = [];
+        for (let start = 0; start + edge < size; start += Math.max(1, stride)) {
+            starts.push(start);
+        }
+        starts.push(size - edge);
+        return starts;
+    }
+    
+    // Factor matrices (rank x dims[n], rows are the leading singular
+    // vectors of each unfolding) and the core they project the tensor onto
+    decompose(tensor) {
+        const factors = [];
+        const singularValues = [];
+        for (let mode = 0; mode < 3; mode++) {
+            const size = tensor.dims[mode];
+            const { values, vectors } = TensorNetwork.symmetricEigen(tensor.modeGram(mode), size, this.config.maxSweeps);
+            const sigmas = values.map(value => Math.sqrt(Math.max(0, value)));
+            const rank = this.chooseRank(mode, sigmas, tensor);
+            
+            const matrix = new Float64Array(rank * size);
+            for (let r = 0; r < rank; r++) {
+                for (let i = 0; i < size; i++) {
+                    matrix[r * size + i] = vectors[i * size + r];
+                }
+            }
+            factors.push({ matrix, rows: rank, cols: size });
+            singularValues.push(sigmas);
+        }
+        
+        let core = tensor;
+        factors.forEach((factor, mode) => {
+            core = core.modeProduct(mode, factor.matrix, factor.rows);
+        });
+        return { core, factors, singularValues };
+    }
+    
+    // Components kept in a mode. The automatic rank keeps singular values
+    // above the largest a pure-noise unfolding of this shape would reach,
+    // sigma * (sqrt(rows) + sqrt(columns)).
+    chooseRank(mode, sigmas, tensor) {
+        const size = tensor.dims[mode];
+        const rank = this.config.rank;
+        if (typeof rank === 'number') {
+            return Math.max(1, Math.min(size, Math.round(rank)));
+        }
+        if (rank && rank[['x', 'y', 'z'][mode]] !== undefined) {
+            return Math.max(1, Math.min(size, Math.round(rank[['x', 'y', 'z'][mode]])));
+        }
+        
+        const columns = tensor.values.length / size;
+        const floor = this.config.noiseSigma * (Math.sqrt(size) + Math.sqrt(columns));
+        return Math.max(1, sigmas.filter(sigma => sigma > floor).length);
+    }
+    
+    // Rank setting from text: "auto" (null), "4" for every mode or "4,4,2"
+    // per mode; throws on anything else
+    static parseRank(text) {
+        const value = String(text).trim();
+        if (value === 'auto') return null;
+        const ranks = value.split(',').map(Number);
+        if (!(ranks.length === 1 || ranks.length === 3) || !ranks.every(rank => Number.isInteger(rank) && rank >= 1)) {
+            throw new Error(`Rank must be auto, a whole number or three comma-separated ones: ${text}`);
+        }
+        return ranks.length === 1 ? ranks[0] : { x: ranks[0], y: ranks[1], z: ranks[2] };
+    }
+    
+    // Rank setting as parseRank reads it
+    static formatRank(rank) {
+        if (rank === null || rank === undefined) return 'auto';
+        return typeof rank === 'number' ? String(rank) : `${rank.x},${rank.y},${rank.z}`;
+    }
+    
+    // The tensor the core and factors span: core x1 U1^T x2 U2^T x3 U3^T
+    static reconstruct(decomposition) {
+        let tensor = decomposition.core;
+        decomposition.factors.forEach((factor, mode) => {
+            tensor = tensor.modeProduct(mode, TensorNetwork.transpose(factor), factor.cols);
+        });
+        return tensor;
+    }
+    
+    static transpose(factor) {
+        const result = new Float64Array(factor.matrix.length);
+        for (let r = 0; r < factor.rows; r++) {
+            for (let c = 0; c < factor.cols; c++) {
+                result[c * factor.rows + r] = factor.matrix[r * factor.cols + c];
+            }
+        }
+        return result;
+    }
+    
+    // Eigenvalues (descending) and eigenvectors (columns of a row-major
+    // n x n matrix) of a symmetric matrix by cyclic Jacobi rotations
+    static symmetricEigen(matrix, n, maxSweeps = TensorNetworkDefaults.maxSweeps) {
+        const a = Float64Array.from(matrix);
+        const v = new Float64Array(n * n);
+        for (let i = 0; i < n; i++) {
+            v[i * n + i] = 1;
+        }
+        
+        for (let sweep = 0; sweep < maxSweeps; sweep++) {
+            let offDiagonal = 0;
+            let total = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = 0; q < n; q++) {
+                    total += a[p * n + q] * a[p * n + q];
+                    if (p !== q) offDiagonal += a[p * n + q] * a[p * n + q];
+                }
+            }
+            if (offDiagonal <= 1e-24 * total) break;
+            
+            for (let p = 0; p < n - 1; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    const apq = a[p * n + q];
+                    if (Math.abs(apq) < 1e-300) continue;
+                    
+                    // Rotation that zeroes a[p][q]
+                    const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+                    
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k * n + p];
+                        const akq = a[k * n + q];
+                        a[k * n + p] = c * akp - s * akq;
+                        a[k * n + q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p * n + k];
+                        const aqk = a[q * n + k];
+                        a[p * n + k] = c * apk - s * aqk;
+                        a[q * n + k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k * n + p];
+                        const vkq = v[k * n + q];
+                        v[k * n + p] = c * vkp - s * vkq;
+                        v[k * n + q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+        
+        // Sort by eigenvalue, largest first
+        const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[j * n + j] - a[i * n + i]);
+        const vectors = new Float64Array(n * n);
+        order.forEach((column, r) => {
+            for (let k = 0; k < n; k++) {
+                vectors[k * n + r] = v[k * n + column];
+            }
+        });
+        return { values: order.map(i => a[i * n + i]), vectors };
+    }
+    
+    // ||estimate - reference|| / ||reference|| (Frobenius norms)
+    static relativeError(estimate, reference) {
+        let sum = 0;
+        for (let i = 0; i < reference.values.length; i++) {
+            sum += (estimate.values[i] - reference.values[i]) ** 2;
+        }
+        const norm = reference.norm();
+        return norm > 0 ? Math.sqrt(sum) / norm : 0;
+    }
+    
+    // Signal-to-noise ratio in dB of an estimate of a clean signal (both
+    // nested [x][y][z]): the signal's variance over the mean squared error
+    static snr(estimate, signal) {
+        const a = Tensor.fromNested(estimate).values;
+        const b = Tensor.fromNested(signal).values;
+        let mean = 0;
+        for (const value of b) {
+            mean += value;
+        }
+        mean /= b.length;
+        
+        let power = 0;
+        let error = 0;
+        for (let i = 0; i < b.length; i++) {
+            power += (b[i] - mean) ** 2;
+            error += (a[i] - b[i]) ** 2;
+        }
+        return error > 0 ? 10 * Math.log10(power / error) : Infinity;
+    }
+}
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Pathfinding Benchmark
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ *
+ * Runs the registered grid planners headlessly on seeded random floor plans
+ * and reports nodes expanded, path cost and wall time per grid size.
+ *
+ * Usage:
+ *   node tools/benchmark-pathfinding.js [--sizes 50,100,200] [--runs 10]
+ *       [--planners astar,jps] [--epsilon 1.5] [--density 0.25] [--seed 1]
+ *       [--json out.json] [--compare base.json] [--tolerance 0.25]
+ *
+ * With --compare, the run fails when a planner expands a different number of
+ * nodes than the saved baseline or is slower by more than the tolerance.
+ */
+
+const fs = require('fs');
+const { loadScripts } = require('./load-scripts');
+
+const { get } = loadScripts(['random.js', 'cell-types.js', 'binary-heap.js', 'pathfinding.js']);
+const Pathfinders = get('Pathfinders');
+const SeededRandom = get('SeededRandom');
+
+function parseArgs(argv) {
+    const options = {
+        sizes: [50, 100, 200],
+        runs: 10,
+        planners: Pathfinders.list().map(planner => planner.name),
+        epsilon: 1.5,
+        density: 0.25,
+        seed: 1,
+        json: null,
+        compare: null,
+        tolerance: 0.25
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        switch (arg) {
+            case '--sizes': options.sizes = value.split(',').map(Number); i++; break;
+            case '--runs': options.runs = Number(value); i++; break;
+            case '--planners': options.planners = value.split(','); i++; break;
+            case '--epsilon': options.epsilon = Number(value); i++; break;
+            case '--density': options.density = Number(value); i++; break;
+            case '--seed': options.seed = Number(value); i++; break;
+            case '--json': options.json = value; i++; break;
+            case '--compare': options.compare = value; i++; break;
+            case '--tolerance': options.tolerance = Number(value); i++; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// Single-level floor plan of size x 1 x size with random obstacles
+function createGrid(size, density, random) {
+    const grid = [];
+    for (let x = 0; x < size; x++) {
+        grid.push([new Array(size)]);
+        for (let z = 0; z < size; z++) {
+            grid[x][0][z] = random.chance(density) ? 1 : 0;
+        }
+    }
+    return grid;
+}
+
+function randomFreeCell(grid, random) {
+    const size = grid.length;
+    while (true) {
+        const x = random.int(size);
+        const z = random.int(size);
+        if (grid[x][0][z] !== 1) return { x, y: 0, z };
+    }
+}
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+// Run every planner on the same seeded grids of one size
+function benchmarkSize(size, options, random) {
+    const totals = options.planners.map(planner => ({
+        planner,
+        times: [],
+        expanded: 0,
+        found: 0,
+        cost: 0
+    }));
+
+    for (let run = 0; run < options.runs; run++) {
+        const grid = createGrid(size, options.density, random);
+        const start = randomFreeCell(grid, random);
+        const end = randomFreeCell(grid, random);
+
+        for (const total of totals) {
+            const pathfinder = Pathfinders.create(total.planner, grid, { epsilon: options.epsilon });
+            const t0 = performance.now();
+            const path = pathfinder.findPath(start, end);
+            total.times.push(performance.now() - t0);
+
+            total.expanded += pathfinder.stats.expanded;
+            if (path) {
+                total.found++;
+                total.cost += pathfinder.stats.cost;
+            }
+        }
+    }
+
+    return totals.map(total => ({
+        size,
+        planner: total.planner,
+        runs: options.runs,
+        expanded: total.expanded,
+        found: total.found,
+        meanCost: total.found > 0 ? total.cost / total.found : 0,
+        totalMs: total.times.reduce((sum, t) => sum + t, 0),
+        meanMs: total.times.reduce((sum, t) => sum + t, 0) / total.times.length,
+        p95Ms: percentile(total.times, 0.95)
+    }));
+}
+
+function compareResults(results, baseline, tolerance) {
+    const failures = [];
+
+    for (const result of results) {
+        const previous = baseline.results.find(r => r.size === result.size && r.planner === result.planner);
+        if (!previous) continue;
+
+        const label = `${result.planner} size ${result.size}`;
+        if (previous.expanded !== result.expanded) {
+            failures.push(`${label}: expanded ${result.expanded} nodes, baseline ${previous.expanded}`);
+        }
+        if (result.totalMs > previous.totalMs * (1 + tolerance)) {
+            failures.push(`${label}: ${result.totalMs.toFixed(1)} ms, baseline ${previous.totalMs.toFixed(1)} ms`);
+        }
+    }
+
+    return failures;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const results = [];
+
+    console.log(`seed=${options.seed} runs=${options.runs} density=${options.density} epsilon=${options.epsilon}`);
+    console.log('size'.padStart(6) + 'planner'.padStart(16) + 'expanded'.padStart(12) + 'found'.padStart(8) +
+        'mean cost'.padStart(11) + 'mean ms'.padStart(10) + 'p95 ms'.padStart(10) + 'total ms'.padStart(11));
+
+    for (const size of options.sizes) {
+        // Each size gets its own stream so adding sizes does not change the others
+        for (const result of benchmarkSize(size, options, new SeededRandom(options.seed * 1000003 + size))) {
+            results.push(result);
+            console.log(
+                String(size).padStart(6) +
+                result.planner.padStart(16) +
+                String(result.expanded).padStart(12) +
+                `${result.found}/${result.runs}`.padStart(8) +
+                result.meanCost.toFixed(1).padStart(11) +
+                result.meanMs.toFixed(2).padStart(10) +
+                result.p95Ms.toFixed(2).padStart(10) +
+                result.totalMs.toFixed(1).padStart(11)
+            );
+        }
+    }
+
+    const report = {
+        seed: options.seed,
+        density: options.density,
+        runs: options.runs,
+        epsilon: options.epsilon,
+        results
+    };
+
+    if (options.json) {
+        fs.writeFileSync(options.json, JSON.stringify(report, null, 2) + '\n');
+    }
+
+    if (options.compare) {
+        const baseline = JSON.parse(fs.readFileSync(options.compare, 'utf8'));
+        if (baseline.seed !== options.seed || baseline.density !== options.density ||
+            baseline.runs !== options.runs || baseline.epsilon !== options.epsilon) {
+            throw new Error('Baseline was recorded with a different seed, density, run count or epsilon');
+        }
+        const failures = compareResults(results, baseline, options.tolerance);
+        if (failures.length > 0) {
+            console.error('Regression against baseline:');
+            failures.forEach(failure => console.error(`  ${failure}`));
+            process.exitCode = 1;
+        }
+    }
+}
+
+main();
@@ -0,0 +1,62 @@
+/**
+ * Headless Script Loader
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ *
+ * This file loads the demo's browser scripts into Node so that tools can
+ * use the same classes the page uses. The scripts share one function
+ * scope, as classic scripts share the page's global scope; a separate VM
+ * context would route every builtin lookup (Math, Array) through the
+ * context's global proxy and run the numeric code an order of magnitude
+ * slower.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Scripts of the headless simulation core, in page order (no THREE or DOM)
+const SIMULATION_SCRIPTS = [
+    'random.js',
+    'cell-types.js',
+    'scenario.js',
+    'voxel-perception.js',
+    'tensor-network.js',
+    'variational-circuit.js',
+    'qina-algorithm.js',
+    'warehouse-environment.js',
+    'motion-model.js',
+    'battery.js',
+    'sensor-model.js',
+    'belief-map.js',
+    'dynamic-agents.js',
+    'robot.js',
+    'binary-heap.js',
+    'pathfinding.js',
+    'd-star-lite.js',
+    'multi-agent-planner.js',
+    'fleet.js',
+    'task-dispatcher.js',
+    'simulation.js',
+    'recording.js',
+    'comparison.js',
+    'experiment.js',
+    'detection-metrics.js'
+];
+
+// Load the given scripts (paths relative to the repository root) in order;
+// globals are extra names the scripts expect to find (e.g. a THREE stub)
+function loadScripts(files, globals = {}) {
+    const names = Object.keys(globals);
+    const sources = files.map(file =>
+        `// ${file}\n${fs.readFileSync(path.join(ROOT, file), 'utf8')}`);
+    const wrapper = `(function (${names.join(', ')}) {\n${sources.join('\n')}\n` +
+        `return name => eval(name);\n})`;
+    
+    // Class declarations live in the shared scope, so resolve them by name
+    const get = vm.runInThisContext(wrapper, { filename: files.join('+') })(...names.map(name => globals[name]));
+    return { get };
+}
+
+module.exports = { ROOT, SIMULATION_SCRIPTS, loadScripts };
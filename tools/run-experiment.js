@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Detection Experiment Runner
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * Runs seeded detection episodes for every model across sweeps of box
+ * count, rotation range and scale range, and reports miss rate, precision,
+ * recall and processing time with bootstrap confidence intervals, plus
+ * the mean SNR gain and reconstruction error of models that denoise
+ * (--rank sets QINA's tensor-network rank). The report ends with a
+ * verdict on the "5x fewer errors" claim: it holds only where the lower
+ * bound of the error-ratio interval reaches the claim.
+ * 
+ * Usage:
+ *   node tools/run-experiment.js [--seed 1] [--episodes 1000]
+ *       [--box-counts 1,5,10,20] [--rotations 0-0,0-45,0-360]
+ *       [--scales 1-1,0.8-1.2,0.5-1.5] [--bootstrap 1000] [--confidence 0.95]
+ *       [--claim 5] [--weights circuit.json] [--rank auto|4|4,4,2]
+ *       [--csv out.csv] [--json out.json]
+ */
+
+const fs = require('fs');
+const { SIMULATION_SCRIPTS, loadScripts } = require('./load-scripts');
+
+const { get } = loadScripts(SIMULATION_SCRIPTS);
+const DetectionExperiment = get('DetectionExperiment');
+const TensorNetwork = get('TensorNetwork');
+
+// "0-45,0-360" -> [[0, 45], [0, 360]]
+function parseRanges(value) {
+    return value.split(',').map(range => {
+        const [low, high] = range.split('-').map(Number);
+        return [low, high === undefined ? low : high];
+    });
+}
+
+function parseArgs(argv) {
+    const options = { csv: null, json: null };
+    const experiment = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        switch (arg) {
+            case '--seed': experiment.seed = value; i++; break;
+            case '--episodes': experiment.episodes = Number(value); i++; break;
+            case '--box-counts': experiment.boxCounts = value.split(',').map(Number); i++; break;
+            case '--rotations': experiment.rotationRanges = parseRanges(value); i++; break;
+            case '--scales': experiment.scaleRanges = parseRanges(value); i++; break;
+            case '--bootstrap': experiment.bootstrapIterations = Number(value); i++; break;
+            case '--confidence': experiment.confidence = Number(value); i++; break;
+            case '--claim': experiment.claimRatio = Number(value); i++; break;
+            case '--weights': experiment.qinaWeights = JSON.parse(fs.readFileSync(value, 'utf8')); i++; break;
+            case '--rank': experiment.tensorNetwork = { rank: TensorNetwork.parseRank(value) }; i++; break;
+            case '--csv': options.csv = value; i++; break;
+            case '--json': options.json = value; i++; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    
+    return { ...options, experiment };
+}
+
+function formatInterval(interval, scale = 1, digits = 1) {
+    const format = value => Number.isFinite(value) ? (value * scale).toFixed(digits) : String(value);
+    return `${format(interval.estimate)} [${format(interval.low)}, ${format(interval.high)}]`;
+}
+
+// One CSV row per (configuration, model)
+function toCsv(report) {
+    const header = ['box_count', 'rotation_min', 'rotation_max', 'scale_min', 'scale_max', 'model', 'episodes',
+        'miss_rate', 'miss_rate_low', 'miss_rate_high', 'precision', 'precision_low', 'precision_high',
+        'recall', 'recall_low', 'recall_high', 'mean_ms', 'p95_ms', 'snr_gain_db',
+        'reconstruction_error', 'error_ratio', 'error_ratio_low', 'error_ratio_high', 'claim_holds'];
+    const rows = [header.join(',')];
+    
+    for (const result of report.results) {
+        for (const [name, model] of Object.entries(result.models)) {
+            const comparison = result.comparisons[name];
+            const ratio = comparison ? comparison.errorRatio : null;
+            rows.push([
+                result.boxCount, ...result.rotation, ...result.scale, name, result.episodes,
+                model.missRate.estimate, model.missRate.low, model.missRate.high,
+                model.precision.estimate, model.precision.low, model.precision.high,
+                model.recall.estimate, model.recall.low, model.recall.high,
+                model.meanMs, model.p95Ms, model.snrGainDb !== null ? model.snrGainDb : '',
+                model.reconstructionError !== null ? model.reconstructionError : '',
+                ratio ? ratio.estimate : '', ratio ? ratio.low : '', ratio ? ratio.high : '',
+                comparison ? comparison.claimHolds : ''
+            ].join(','));
+        }
+    }
+    
+    return rows.join('\n') + '\n';
+}
+
+function printReport(report) {
+    const { options, results, overall } = report;
+    const confidence = `${Math.round(options.confidence * 100)}% CI`;
+    
+    console.log(`seed=${options.seed} episodes=${options.episodes}/configuration bootstrap=${options.bootstrapIterations} ` +
+        `rank=${TensorNetwork.formatRank(options.tensorNetwork.rank)}`);
+    console.log(`miss rate, precision and recall in %, with ${confidence}`);
+    
+    for (const result of [...results, { label: 'overall', ...overall }]) {
+        console.log(`\n${result.label || DetectionExperiment.configurationKey(result)} (${result.episodes} episodes)`);
+        for (const [name, model] of Object.entries(result.models)) {
+            console.log(`  ${name.padEnd(9)} miss ${formatInterval(model.missRate, 100)}` +
+                `  precision ${formatInterval(model.precision, 100)}` +
+                `  recall ${formatInterval(model.recall, 100)}` +
+                `  time ${model.meanMs.toFixed(3)} ms (p95 ${model.p95Ms.toFixed(3)})` +
+                (model.snrGainDb !== null ? `  denoising ${model.snrGainDb >= 0 ? '+' : ''}${model.snrGainDb.toFixed(1)} dB SNR` +
+                    `, reconstruction error ${(model.reconstructionError * 100).toFixed(1)}%` : ''));
+        }
+        for (const [name, comparison] of Object.entries(result.comparisons)) {
+            console.log(`  ${comparison.reference}/${name} error ratio ${formatInterval(comparison.errorRatio, 1, 2)}`);
+        }
+    }
+    
+    // Verdict on the claim, overall and per configuration
+    console.log('');
+    for (const [name, comparison] of Object.entries(overall.comparisons)) {
+        const holding = results.filter(result => result.comparisons[name].claimHolds).length;
+        const ratio = comparison.errorRatio;
+        console.log(`Claim "${name} makes ${options.claimRatio}x fewer errors than ${comparison.reference}": ` +
+            `${comparison.claimHolds ? 'HOLDS' : 'DOES NOT HOLD'} overall ` +
+            `(ratio ${formatInterval(ratio, 1, 2)}, ${confidence}); ` +
+            `holds in ${holding}/${results.length} configurations`);
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const experiment = new DetectionExperiment(options.experiment);
+    
+    const report = experiment.run((done, total) => {
+        process.stderr.write(`\r${done}/${total} configurations`);
+    });
+    process.stderr.write('\n');
+    
+    printReport(report);
+    
+    if (options.csv) {
+        fs.writeFileSync(options.csv, toCsv(report));
+    }
+    if (options.json) {
+        // Infinite ratios (a model with no errors) are written as strings
+        fs.writeFileSync(options.json, JSON.stringify(report,
+            (key, value) => typeof value === 'number' && !Number.isFinite(value) ? String(value) : value, 2) + '\n');
+    }
+}
+
+main();
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Headless Simulation Runner
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * Runs the warehouse simulation under Node without a renderer and prints
+ * its delivery, detection, mapping, safety and denoising statistics.
+ * 
+ * Usage:
+ *   node tools/run-simulation.js [--scenario scenarios/two-aisles.json] [--seed 1]
+ *       [--duration 120] [--robots 3] [--policy nearest|fifo|auction]
+ *       [--model QINA|Baseline] [--vertical-cost 2] [--drive unicycle|differential]
+ *       [--turning-radius 0.35] [--battery-capacity 5000] [--weights circuit.json]
+ *       [--rank auto|4|4,4,2] [--fov 100] [--sensor-range 8] [--no-sensor]
+ *       [--no-mapping] [--no-traffic] [--json out.json] [--record recording.json]
+ * 
+ * The trajectory hash covers every robot position at every step, so two
+ * runs with the same seed must print the same hash.
+ */
+
+const fs = require('fs');
+const { SIMULATION_SCRIPTS, loadScripts } = require('./load-scripts');
+
+const { get } = loadScripts(SIMULATION_SCRIPTS);
+const Simulation = get('Simulation');
+const SeededRandom = get('SeededRandom');
+const Scenario = get('Scenario');
+const DetectionMetrics = get('DetectionMetrics');
+const Recorder = get('Recorder');
+const Recording = get('Recording');
+const TensorNetwork = get('TensorNetwork');
+
+function parseArgs(argv) {
+    const options = {
+        scenario: null,
+        seed: 1,
+        duration: 120,
+        robots: null,
+        policy: 'nearest',
+        model: 'QINA',
+        verticalCost: 2,
+        drive: 'unicycle',
+        turningRadius: 0.35,
+        batteryCapacity: 5000,
+        weights: null,
+        rank: null,
+        fieldOfView: 100,
+        sensorRange: 8,
+        sensor: true,
+        mapping: true,
+        traffic: true,
+        json: null,
+        record: null
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        switch (arg) {
+            case '--scenario': options.scenario = value; i++; break;
+            case '--seed': options.seed = value; i++; break;
+            case '--duration': options.duration = Number(value); i++; break;
+            case '--robots': options.robots = Number(value); i++; break;
+            case '--policy': options.policy = value; i++; break;
+            case '--model': options.model = value; i++; break;
+            case '--vertical-cost': options.verticalCost = Number(value); i++; break;
+            case '--drive': options.drive = value; i++; break;
+            case '--turning-radius': options.turningRadius = Number(value); i++; break;
+            case '--battery-capacity': options.batteryCapacity = Number(value); i++; break;
+            case '--weights': options.weights = value; i++; break;
+            case '--rank': options.rank = TensorNetwork.parseRank(value); i++; break;
+            case '--fov': options.fieldOfView = Number(value); i++; break;
+            case '--sensor-range': options.sensorRange = Number(value); i++; break;
+            case '--no-sensor': options.sensor = false; break;
+            case '--no-mapping': options.mapping = false; break;
+            case '--no-traffic': options.traffic = false; break;
+            case '--json': options.json = value; i++; break;
+            case '--record': options.record = value; i++; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const simulation = new Simulation({
+        scenario: options.scenario ? Scenario.parse(fs.readFileSync(options.scenario, 'utf8')) : undefined,
+        seed: options.seed,
+        robotCount: options.robots,
+        dispatchPolicy: options.policy,
+        activeModel: options.model,
+        plannerOptions: { verticalCost: options.verticalCost },
+        motion: { drive: options.drive, turningRadius: options.turningRadius },
+        battery: { capacity: options.batteryCapacity },
+        sensor: { enabled: options.sensor, fieldOfView: options.fieldOfView, maxRange: options.sensorRange },
+        mapping: { enabled: options.mapping },
+        traffic: { enabled: options.traffic },
+        qinaWeights: options.weights ? JSON.parse(fs.readFileSync(options.weights, 'utf8')) : null,
+        tensorNetwork: { rank: options.rank }
+    });
+    
+    // Fold every robot position into a running FNV hash
+    let trajectory = '';
+    simulation.addObserver({
+        onStep: sim => {
+            for (const robot of sim.fleet.robots) {
+                trajectory = String(SeededRandom.hash(
+                    `${trajectory}|${robot.position.x.toFixed(4)},${robot.position.z.toFixed(4)}`));
+            }
+        }
+    });
+    
+    // Score both models' detections against the boxes in view, and count
+    // how many of the boxes were in view
+    const evaluation = { baseline: new DetectionMetrics(), qina: new DetectionMetrics() };
+    const coverage = { seen: 0, total: 0 };
+    simulation.addObserver({
+        onDetection: (sim, results) => {
+            evaluation.baseline.addFrame(sim.time, results.baseline, results.boxes);
+            evaluation.qina.addFrame(sim.time, results.qina, results.boxes);
+            coverage.seen += results.boxes.length;
+            coverage.total += sim.warehouse.boxes.length;
+        }
+    });
+    
+    const recorder = options.record ? simulation.addObserver(new Recorder()) : null;
+    
+    const t0 = performance.now();
+    simulation.run(options.duration);
+    const wallMs = performance.now() - t0;
+    
+    const { fleet, warehouse, traffic, baselineModel, qinaModel } = simulation;
+    const trips = fleet.getTripStats();
+    const battery = fleet.getBatteryStats();
+    const evaluate = metrics => {
+        const { precision, recall, f1, localizationError, mAP, calibration } = metrics.getSummary();
+        return { precision, recall, f1, localizationError, mAP, ece: calibration.ece };
+    };
+    const report = {
+        scenario: simulation.scenario.name,
+        seed: simulation.seed,
+        duration: options.duration,
+        steps: simulation.stepCount,
+        robots: fleet.robots.length,
+        policy: options.policy,
+        model: simulation.activeModel,
+        delivered: warehouse.deliveredCount,
+        throughputPerMinute: fleet.getThroughput(),
+        repairedPaths: fleet.repairCount,
+        fullReplans: fleet.replanCount,
+        drive: options.drive,
+        trips: trips.count,
+        meanTimeToGoal: trips.meanTimeToGoal,
+        meanTripEnergy: trips.meanEnergy,
+        totalEnergy: trips.totalEnergy,
+        meanBatteryLevel: battery.meanLevel,
+        lowestBatteryLevel: battery.lowestLevel,
+        energyCharged: battery.energyCharged,
+        chargeTrips: simulation.dispatcher.chargeTrips,
+        sensor: options.sensor ? `${options.fieldOfView} deg, ${options.sensorRange} cells` : 'off',
+        boxesInView: coverage.total > 0 ? coverage.seen / coverage.total : NaN,
+        baselineMissRate: baselineModel.missRate,
+        qinaMissRate: qinaModel.missRate,
+        baselineFalsePositives: baselineModel.falsePositives,
+        qinaFalsePositives: qinaModel.falsePositives,
+        baselineEvaluation: evaluate(evaluation.baseline),
+        qinaEvaluation: evaluate(evaluation.qina),
+        mapping: options.mapping,
+        baselineBeliefs: fleet.getBeliefStats('Baseline', warehouse.grid),
+        qinaBeliefs: fleet.getBeliefStats('QINA', warehouse.grid),
+        agents: traffic.agents.length,
+        safety: traffic.getSafetyStats(),
+        yields: fleet.yieldCount,
+        reroutes: fleet.rerouteCount,
+        snrGain: qinaModel.getMeanSnrGain(),
+        reconstructionError: qinaModel.getMeanReconstructionError(),
+        rank: TensorNetwork.formatRank(options.rank),
+        trajectoryHash: trajectory,
+        wallMs
+    };
+    
+    console.log(`scenario="${report.scenario}" seed=${report.seed} duration=${report.duration}s ` +
+        `steps=${report.steps} robots=${report.robots} policy=${report.policy} model=${report.model}`);
+    console.log(`delivered ${report.delivered} (${report.throughputPerMinute.toFixed(1)} /min)`);
+    console.log(`replans ${report.repairedPaths} repaired, ${report.fullReplans} full`);
+    console.log(`trips ${report.trips} (${report.drive}), time-to-goal ${report.meanTimeToGoal.toFixed(1)} s, ` +
+        `energy ${report.meanTripEnergy.toFixed(0)} J per trip, ${(report.totalEnergy / 1000).toFixed(1)} kJ in all`);
+    console.log(`battery ${(report.meanBatteryLevel * 100).toFixed(0)}% mean, ` +
+        `${(report.lowestBatteryLevel * 100).toFixed(0)}% lowest, ${report.chargeTrips} charges, ` +
+        `${(report.energyCharged / 1000).toFixed(1)} kJ charged`);
+    console.log(`sensor ${report.sensor}, ${(report.boxesInView * 100).toFixed(1)}% of boxes in view`);
+    console.log(`miss rate baseline ${report.baselineMissRate.toFixed(1)}%, QINA ${report.qinaMissRate.toFixed(1)}%; ` +
+        `false positives baseline ${report.baselineFalsePositives}, QINA ${report.qinaFalsePositives}`);
+    for (const [name, scores] of [['baseline', report.baselineEvaluation], ['QINA', report.qinaEvaluation]]) {
+        console.log(`${name} precision ${(scores.precision * 100).toFixed(1)}%, recall ${(scores.recall * 100).toFixed(1)}%, ` +
+            `F1 ${scores.f1.toFixed(3)}, mAP ${scores.mAP.toFixed(3)}, ECE ${scores.ece.toFixed(3)}, ` +
+            `localization ${scores.localizationError.toFixed(2)} cells`);
+    }
+    if (report.mapping) {
+        // Only the active model's maps are planned on, so only they collide or detour
+        for (const [name, beliefs] of [['baseline', report.baselineBeliefs], ['QINA', report.qinaBeliefs]]) {
+            console.log(`${name} belief maps ${beliefs.missed} missed, ${beliefs.phantom} phantom cells; ` +
+                `${beliefs.collisions} collisions, ${beliefs.detours} detours (+${beliefs.detourCost.toFixed(0)} cells)`);
+        }
+    }
+    if (report.agents > 0) {
+        const { nearMisses, collisions, closest } = report.safety;
+        console.log(`traffic ${report.agents} agents, ${report.yields} yields, ${report.reroutes} reroutes; ` +
+            `safety ${nearMisses} near-misses, ${collisions} collisions` +
+            (Number.isFinite(closest) ? `, closest ${closest.toFixed(2)} cells` : ''));
+    }
+    console.log(`denoising ${report.snrGain >= 0 ? '+' : ''}${report.snrGain.toFixed(1)} dB SNR, ` +
+        `reconstruction error ${(report.reconstructionError * 100).toFixed(1)}% (rank ${report.rank})`);
+    console.log(`trajectory ${report.trajectoryHash} (${wallMs.toFixed(0)} ms wall)`);
+    
+    if (recorder) {
+        fs.writeFileSync(options.record, Recording.stringify(recorder.recording));
+    }
+    if (options.json) {
+        fs.writeFileSync(options.json, JSON.stringify(report, null, 2) + '\n');
+    }
+}
+
+main();
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Variational Circuit Trainer
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * Trains the circuit QINA scores candidate boxes with, offline on
+ * generated scenes. Each scene places boxes as the detection experiment
+ * does, and a share of the scenes is seen through the robot-mounted
+ * sensor from a random pose (as the simulation sees them) rather than in
+ * full. QINA's denoising and peak finding propose candidate patches, and
+ * a candidate is labeled a box when its cell holds one. A held-out share of
+ * the scenes measures the trained circuit, and the weights are written as
+ * JSON for QINAModel to load (the weights it ships with come from the
+ * defaults here). Progress goes to stderr, the weights to --out or stdout.
+ * 
+ * Usage:
+ *   node tools/train-circuit.js [--seed 1] [--scenes 400] [--epochs 30]
+ *       [--batch 32] [--learning-rate 0.05] [--layers 4]
+ *       [--validation 0.25] [--sensor-share 0.5] [--init weights.json]
+ *       [--out weights.json]
+ */
+
+const fs = require('fs');
+const { SIMULATION_SCRIPTS, loadScripts } = require('./load-scripts');
+
+const { get } = loadScripts(SIMULATION_SCRIPTS);
+const DetectionExperiment = get('DetectionExperiment');
+const QINAModel = get('QINAModel');
+const SeededRandom = get('SeededRandom');
+const CellType = get('CellType');
+const SensorModel = get('SensorModel');
+const VariationalCircuit = get('VariationalCircuit');
+const VisualDataGenerator = get('VisualDataGenerator');
+
+function parseArgs(argv) {
+    const options = {
+        seed: 1,
+        scenes: 400,
+        epochs: 30,
+        batchSize: 32,
+        learningRate: 0.05,
+        layers: 4,
+        validation: 0.25,
+        sensorShare: 0.5,
+        init: null,
+        out: null
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        switch (arg) {
+            case '--seed': options.seed = value; i++; break;
+            case '--scenes': options.scenes = Number(value); i++; break;
+            case '--epochs': options.epochs = Number(value); i++; break;
+            case '--batch': options.batchSize = Number(value); i++; break;
+            case '--learning-rate': options.learningRate = Number(value); i++; break;
+            case '--layers': options.layers = Number(value); i++; break;
+            case '--validation': options.validation = Number(value); i++; break;
+            case '--sensor-share': options.sensorShare = Number(value); i++; break;
+            case '--init': options.init = value; i++; break;
+            case '--out': options.out = value; i++; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+// Labeled candidate patches from one generated scene
+function sampleScene(experiment, model, random, sensorShare) {
+    const configuration = {
+        boxCount: random.pick(experiment.options.boxCounts),
+        rotation: [0, 360],
+        scale: [0.5, 1.5]
+    };
+    const boxes = experiment.placeBoxes(configuration, random.fork('boxes'));
+    const generator = new VisualDataGenerator(experiment.options.gridSize, random.fork('visual-data'));
+    const view = random.chance(sensorShare) ? sensorView(experiment.options.gridSize, boxes, random.fork('sensor')) : null;
+    const visualData = generator.generate(boxes.map(box => ({ ...box.position, rotation: box.rotation, scale: box.scale })), view);
+    
+    const occupied = new Set(boxes.map(box => `${box.position.x},${box.position.y},${box.position.z}`));
+    return model.findCandidates(visualData, view).map(candidate => ({
+        features: candidate.features,
+        label: occupied.has(`${candidate.position.x},${candidate.position.y},${candidate.position.z}`) ? 1 : 0
+    }));
+}
+
+// What a robot's sensor sees of a scene from a random free floor cell,
+// facing a random way, with the boxes occluding one another
+function sensorView(size, boxes, random) {
+    const grid = Array.from({ length: size }, () => Array.from({ length: size }, () => new Array(size).fill(CellType.EMPTY)));
+    for (const box of boxes) {
+        grid[box.position.x][box.position.y][box.position.z] |= CellType.BOX;
+    }
+    
+    let position;
+    do {
+        position = { x: random.int(size), y: 0, z: random.int(size) };
+    } while (grid[position.x][0][position.z] !== CellType.EMPTY);
+    const robot = { position, currentRotation: random.range(-Math.PI, Math.PI) };
+    return new SensorModel({ scanPeriod: 0 }).observe([robot], grid, 0);
+}
+
+// Precision and recall of box labels at a confidence threshold
+function scoreThreshold(circuit, samples, threshold) {
+    let tp = 0, fp = 0, fn = 0;
+    for (const sample of samples) {
+        const positive = circuit.predict(sample.features) >= threshold;
+        if (positive && sample.label) tp++;
+        if (positive && !sample.label) fp++;
+        if (!positive && sample.label) fn++;
+    }
+    return { precision: tp / Math.max(1, tp + fp), recall: tp / Math.max(1, tp + fn) };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const random = new SeededRandom(options.seed);
+    const experiment = new DetectionExperiment();
+    const model = new QINAModel(random.fork('model'));
+    
+    // Split by scene, so held-out patches come from scenes never trained on
+    const training = [];
+    const validation = [];
+    for (let i = 0; i < options.scenes; i++) {
+        const samples = sampleScene(experiment, model, random.fork(`scene#${i}`), options.sensorShare);
+        (i < options.scenes * options.validation ? validation : training).push(...samples);
+    }
+    const boxShare = training.filter(sample => sample.label).length / Math.max(1, training.length);
+    console.error(`${training.length} training patches (${(boxShare * 100).toFixed(1)}% boxes), ` +
+        `${validation.length} held out`);
+    
+    const circuit = options.init
+        ? VariationalCircuit.parse(fs.readFileSync(options.init, 'utf8'))
+        : new VariationalCircuit({ layers: options.layers }, null, random.fork('init'));
+    circuit.train(training, {
+        epochs: options.epochs,
+        batchSize: options.batchSize,
+        learningRate: options.learningRate,
+        random: random.fork('shuffle'),
+        onEpoch: result => {
+            const held = circuit.evaluate(validation);
+            console.error(`epoch ${String(result.epoch).padStart(3)}  loss ${result.loss.toFixed(4)}  ` +
+                `accuracy ${(result.accuracy * 100).toFixed(1)}%  held-out loss ${held.loss.toFixed(4)}  ` +
+                `accuracy ${(held.accuracy * 100).toFixed(1)}%`);
+        }
+    });
+    
+    const threshold = model.threshold;
+    const score = scoreThreshold(circuit, validation, threshold);
+    console.error(`held out at confidence ${threshold}: precision ${(score.precision * 100).toFixed(1)}%, ` +
+        `recall ${(score.recall * 100).toFixed(1)}%`);
+    
+    const text = VariationalCircuit.stringify(circuit);
+    if (options.out) {
+        fs.writeFileSync(options.out, text);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+main();
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Scenario Validator
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * Checks warehouse scenario files against the scenario format and prints
+ * every problem as file:line:column. Exits non-zero if any file is invalid.
+ * 
+ * Usage:
+ *   node tools/validate-scenario.js scenarios/*.json
+ */
+
+const fs = require('fs');
+const { SIMULATION_SCRIPTS, loadScripts } = require('./load-scripts');
+
+const { get } = loadScripts(SIMULATION_SCRIPTS);
+const Scenario = get('Scenario');
+const ScenarioError = get('ScenarioError');
+
+function main() {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        throw new Error('Usage: node tools/validate-scenario.js <scenario.json>...');
+    }
+    
+    for (const file of files) {
+        try {
+            const scenario = Scenario.parse(fs.readFileSync(file, 'utf8'));
+            console.log(`${file}: ok ("${scenario.name}", ${scenario.grid.x}x${scenario.grid.y}x${scenario.grid.z}, ` +
+                `${scenario.boxes.length} boxes, ${scenario.robots.length} robots, ${scenario.agents.length} agents)`);
+        } catch (error) {
+            if (!(error instanceof ScenarioError)) throw error;
+            for (const problem of error.errors) {
+                const where = problem.line ? `${problem.line}:${problem.column}` : '-';
+                console.error(`${file}:${where}: ${[problem.path, problem.message].filter(Boolean).join(' ')}`);
+            }
+            process.exitCode = 1;
+        }
+    }
+}
+
+main();
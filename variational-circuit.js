@@ -0,0 +1,283 @@
+/**
+ * Variational Circuit Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the parameterized quantum circuit QINA scores
+ * candidate boxes with, simulated classically on a state vector. The
+ * features of a voxel patch are angle-encoded one per qubit and uploaded
+ * again before every layer of trainable rotations, and the layers are
+ * entangled by a ring of CNOTs. The probability of reading 1 on the first
+ * qubit is the confidence that the patch holds a box. Training runs
+ * offline (tools/train-circuit.js) with parameter-shift gradients, and the
+ * weights are saved as versioned JSON.
+ */
+
+const CIRCUIT_FORMAT = 'qina-circuit-weights';
+const CIRCUIT_VERSION = 1;
+
+const VariationalCircuitDefaults = {
+    qubits: 4,
+    layers: 4,
+    features: ['height', 'support', 'edge', 'corner'], // Encoded in this order, one per qubit
+    featureScale: 8 // Feature value (noise sigmas) encoded as a quarter turn
+};
+
+// Amplitudes of an n-qubit register; qubit q is bit q of the basis index
+class StateVector {
+    constructor(qubits) {
+        this.qubits = qubits;
+        this.real = new Float64Array(1 << qubits);
+        this.imag = new Float64Array(1 << qubits);
+        this.real[0] = 1; // |0...0>
+    }
+    
+    // Rotation about Y by theta
+    ry(qubit, theta) {
+        const c = Math.cos(theta / 2);
+        const s = Math.sin(theta / 2);
+        const bit = 1 << qubit;
+        for (let i = 0; i < this.real.length; i++) {
+            if (i & bit) continue;
+            const j = i | bit;
+            const r0 = this.real[i], i0 = this.imag[i];
+            const r1 = this.real[j], i1 = this.imag[j];
+            this.real[i] = c * r0 - s * r1;
+            this.imag[i] = c * i0 - s * i1;
+            this.real[j] = s * r0 + c * r1;
+            this.imag[j] = s * i0 + c * i1;
+        }
+    }
+    
+    // Rotation about Z by theta: phases e^(-i theta/2) on |0>, e^(i theta/2) on |1>
+    rz(qubit, theta) {
+        const c = Math.cos(theta / 2);
+        const s = Math.sin(theta / 2);
+        const bit = 1 << qubit;
+        for (let i = 0; i < this.real.length; i++) {
+            const sign = i & bit ? 1 : -1;
+            const r = this.real[i];
+            const im = this.imag[i];
+            this.real[i] = c * r - sign * s * im;
+            this.imag[i] = c * im + sign * s * r;
+        }
+    }
+    
+    cnot(control, target) {
+        const controlBit = 1 << control;
+        const targetBit = 1 << target;
+        for (let i = 0; i < this.real.length; i++) {
+            if (!(i & controlBit) || (i & targetBit)) continue;
+            const j = i | targetBit;
+            [this.real[i], this.real[j]] = [this.real[j], this.real[i]];
+            [this.imag[i], this.imag[j]] = [this.imag[j], this.imag[i]];
+        }
+    }
+    
+    // Expectation of Pauli Z on a qubit, in [-1, 1]
+    expectationZ(qubit) {
+        const bit = 1 << qubit;
+        let expectation = 0;
+        for (let i = 0; i < this.real.length; i++) {
+            const probability = this.real[i] * this.real[i] + this.imag[i] * this.imag[i];
+            expectation += i & bit ? -probability : probability;
+        }
+        return expectation;
+    }
+}
+
+class VariationalCircuit {
+    // parameters: flat [layer][qubit][RY, RZ] angles; random draws small
+    // initial angles when none are given
+    constructor(options = {}, parameters = null, random = new SeededRandom()) {
+        this.config = { ...VariationalCircuitDefaults, ...options };
+        const count = this.config.layers * this.config.qubits * 2;
+        this.parameters = parameters
+            ? Float64Array.from(parameters)
+            : Float64Array.from({ length: count }, () => random.gaussian(0, 0.1));
+    }
+    
+    // Angles encoding a feature object, one per qubit; negative values
+    // (below the background) encode as zero
+    encode(features) {
+        const names = this.config.features;
+        return Array.from({ length: this.config.qubits }, (_, qubit) =>
+            2 * Math.atan(Math.max(0, features[names[qubit % names.length]] || 0) / this.config.featureScale));
+    }
+    
+    // <Z> on the first qubit after running the circuit on encoded angles
+    expectation(angles, parameters = this.parameters) {
+        const { qubits, layers } = this.config;
+        const state = new StateVector(qubits);
+        for (let layer = 0; layer < layers; layer++) {
+            // Upload the data, then the layer's trainable rotations
+            for (let qubit = 0; qubit < qubits; qubit++) {
+                state.ry(qubit, angles[qubit]);
+            }
+            for (let qubit = 0; qubit < qubits; qubit++) {
+                const index = (layer * qubits + qubit) * 2;
+                state.ry(qubit, parameters[index]);
+                state.rz(qubit, parameters[index + 1]);
+            }
+            
+            // Entangle neighbors around a ring
+            if (qubits > 1) {
+                for (let qubit = 0; qubit < qubits; qubit++) {
+                    state.cnot(qubit, (qubit + 1) % qubits);
+                }
+            }
+        }
+        return state.expectationZ(0);
+    }
+    
+    // Probability that a patch holds a box: P(first qubit reads 1)
+    predict(features) {
+        return (1 - this.expectation(this.encode(features))) / 2;
+    }
+    
+    // d<Z>/d(parameter) for every parameter by the parameter-shift rule:
+    // (<Z>(theta + pi/2) - <Z>(theta - pi/2)) / 2, exact for rotation gates
+    gradient(angles) {
+        const shifted = Float64Array.from(this.parameters);
+        const gradient = new Float64Array(shifted.length);
+        for (let p = 0; p < shifted.length; p++) {
+            const theta = shifted[p];
+            shifted[p] = theta + Math.PI / 2;
+            const plus = this.expectation(angles, shifted);
+            shifted[p] = theta - Math.PI / 2;
+            const minus = this.expectation(angles, shifted);
+            shifted[p] = theta;
+            gradient[p] = (plus - minus) / 2;
+        }
+        return gradient;
+    }
+    
+    // Fit the parameters to samples [{features, label: 0 or 1}] by Adam on
+    // the mean cross-entropy; returns [{epoch, loss, accuracy}] per epoch
+    train(samples, options = {}) {
+        const { epochs = 30, batchSize = 32, learningRate = 0.05, random = new SeededRandom(), onEpoch = null } = options;
+        const encoded = samples.map(sample => ({ angles: this.encode(sample.features), label: sample.label }));
+        const moment = new Float64Array(this.parameters.length);
+        const velocity = new Float64Array(this.parameters.length);
+        const beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8;
+        const history = [];
+        let step = 0;
+        
+        for (let epoch = 1; epoch <= epochs; epoch++) {
+            // Shuffle (Fisher-Yates), then one update per batch
+            for (let i = encoded.length - 1; i > 0; i--) {
+                const j = random.int(i + 1);
+                [encoded[i], encoded[j]] = [encoded[j], encoded[i]];
+            }
+            
+            for (let start = 0; start < encoded.length; start += batchSize) {
+                const batch = encoded.slice(start, start + batchSize);
+                const gradient = new Float64Array(this.parameters.length);
+                for (const sample of batch) {
+                    // dLoss/dp = (p - y) / (p (1 - p)) and dp/d<Z> = -1/2
+                    const p = VariationalCircuit.clampProbability((1 - this.expectation(sample.angles)) / 2);
+                    const scale = -0.5 * (p - sample.label) / (p * (1 - p)) / batch.length;
+                    const shiftGradient = this.gradient(sample.angles);
+                    for (let k = 0; k < gradient.length; k++) {
+                        gradient[k] += scale * shiftGradient[k];
+                    }
+                }
+                
+                step++;
+                for (let k = 0; k < gradient.length; k++) {
+                    moment[k] = beta1 * moment[k] + (1 - beta1) * gradient[k];
+                    velocity[k] = beta2 * velocity[k] + (1 - beta2) * gradient[k] * gradient[k];
+                    const correctedMoment = moment[k] / (1 - beta1 ** step);
+                    const correctedVelocity = velocity[k] / (1 - beta2 ** step);
+                    this.parameters[k] -= learningRate * correctedMoment / (Math.sqrt(correctedVelocity) + epsilon);
+                }
+            }
+            
+            const result = { epoch, ...this.evaluate(samples) };
+            history.push(result);
+            if (onEpoch) onEpoch(result);
+        }
+        return history;
+    }
+    
+    // Mean cross-entropy and accuracy at a 0.5 cut over labeled samples
+    evaluate(samples) {
+        let loss = 0;
+        let correct = 0;
+        for (const sample of samples) {
+            const p = VariationalCircuit.clampProbability(this.predict(sample.features));
+            loss -= sample.label ? Math.log(p) : Math.log(1 - p);
+            if ((p >= 0.5) === (sample.label === 1)) correct++;
+        }
+        return {
+            loss: samples.length > 0 ? loss / samples.length : 0,
+            accuracy: samples.length > 0 ? correct / samples.length : 0
+        };
+    }
+    
+    static clampProbability(p) {
+        return Math.min(1 - 1e-9, Math.max(1e-9, p));
+    }
+    
+    // Weights as a JSON object; parameters nested [layer][qubit] = [RY, RZ]
+    toJSON() {
+        const { qubits, layers, features, featureScale } = this.config;
+        const parameters = [];
+        for (let layer = 0; layer < layers; layer++) {
+            parameters.push([]);
+            for (let qubit = 0; qubit < qubits; qubit++) {
+                const index = (layer * qubits + qubit) * 2;
+                parameters[layer].push([this.parameters[index], this.parameters[index + 1]]);
+            }
+        }
+        return { format: CIRCUIT_FORMAT, version: CIRCUIT_VERSION, qubits, layers, features, featureScale, parameters };
+    }
+    
+    static stringify(circuit) {
+        return JSON.stringify(circuit.toJSON(), null, 2) + '\n';
+    }
+    
+    static parse(text) {
+        return VariationalCircuit.fromJSON(JSON.parse(text));
+    }
+    
+    // A circuit from saved weights; throws on a format this build cannot read
+    static fromJSON(data) {
+        const fail = message => {
+            throw new Error(`Invalid circuit weights: ${message}`);
+        };
+        if (!data || typeof data !== 'object') fail('expected an object');
+        if (data.format !== CIRCUIT_FORMAT) fail(`format must be "${CIRCUIT_FORMAT}"`);
+        if (data.version !== CIRCUIT_VERSION) fail(`version ${data.version} is not supported (this build reads version ${CIRCUIT_VERSION})`);
+        for (const key of ['qubits', 'layers']) {
+            if (!Number.isInteger(data[key]) || data[key] < 1 || data[key] > 12) fail(`${key} must be an integer from 1 to 12`);
+        }
+        if (!Array.isArray(data.features) || data.features.length === 0 ||
+            !data.features.every(name => typeof name === 'string')) fail('features must be a list of feature names');
+        if (!(data.featureScale > 0)) fail('featureScale must be a positive number');
+        
+        const { qubits, layers } = data;
+        const shapeOk = Array.isArray(data.parameters) && data.parameters.length === layers &&
+            data.parameters.every(layer => Array.isArray(layer) && layer.length === qubits &&
+                layer.every(gate => Array.isArray(gate) && gate.length === 2 && gate.every(Number.isFinite)));
+        if (!shapeOk) fail(`parameters must be ${layers} layers of ${qubits} [RY, RZ] angle pairs`);
+        
+        return new VariationalCircuit({ qubits, layers, features: data.features, featureScale: data.featureScale },
+            data.parameters.flat(2));
+    }
+}
+
+// Weights QINAModel ships with (node tools/train-circuit.js --seed 1)
+const QINA_CIRCUIT_WEIGHTS = {
+    format: CIRCUIT_FORMAT,
+    version: CIRCUIT_VERSION,
+    qubits: 4,
+    layers: 4,
+    features: ['height', 'support', 'edge', 'corner'],
+    featureScale: 8,
+    parameters: [
+        [[-0.273949, -0.423333], [0.307718, -1.222696], [-0.187260, 1.444501], [-0.067188, -0.771933]],
+        [[-0.318681, 0.103368], [0.466928, -0.634269], [1.720737, 1.326028], [-1.656852, 1.534292]],
+        [[-0.288324, 0.236665], [-0.935225, 0.106777], [-0.117610, 0.889446], [-0.920346, -0.365183]],
+        [[0.116869, -0.019131], [0.481541, 0.151360], [-0.989031, 0.027688], [-1.004329, -0.100225]]
+    ]
+};
@@ -0,0 +1,211 @@
+/**
+ * Voxel Heatmap Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the scene layer that shows the voxel intensity
+ * tensor of the last detection pass: the sensor data as the models got
+ * it, the same data after QINA's tensor network, or the noise-free signal
+ * beneath both. Voxels at or above a threshold are drawn as one instanced
+ * mesh of cubes colored and sized by intensity. The layer is rebuilt only
+ * when the pass, the tensor shown or the threshold changes, and a voxel
+ * budget raises the threshold when too many voxels pass it, so drawing
+ * costs the same however large the grid.
+ */
+
+// Tensor of the last detection pass the heatmap shows
+const VoxelHeatmapSource = {
+    OFF: 'off',
+    SENSOR: 'sensor', // Before the tensor network
+    DENOISED: 'denoised', // After it
+    SIGNAL: 'signal' // Noise-free
+};
+
+const VoxelHeatmapDefaults = {
+    threshold: 0.3, // Lowest intensity drawn
+    maxVoxels: 32768, // Voxels drawn at most; the threshold rises to keep under it
+    opacity: 0.45
+};
+
+// Viridis, sampled at even steps from intensity 0 to 1
+const VOXEL_COLORMAP = [
+    [68, 1, 84], [71, 44, 122], [59, 81, 139], [44, 113, 142], [33, 144, 141],
+    [39, 173, 129], [92, 200, 99], [170, 220, 50], [253, 231, 37]
+];
+
+const VOXEL_HISTOGRAM_BINS = 256;
+
+class VoxelHeatmap {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.config = { ...VoxelHeatmapDefaults, ...options };
+        this.source = VoxelHeatmapSource.OFF;
+        this.threshold = this.config.threshold;
+        this.geometry = new THREE.BoxGeometry(1, 1, 1);
+        this.material = new THREE.MeshBasicMaterial({
+            transparent: true,
+            opacity: this.config.opacity,
+            depthWrite: false
+        });
+        this.mesh = null; // Made on first use, grown when a larger grid needs it
+        this.capacity = 0;
+        
+        // What was last drawn: the tensor, the threshold asked for and the
+        // one used, and how many voxels passed it
+        this.shownData = null;
+        this.shownThreshold = null;
+        this.cutoff = this.threshold;
+        this.count = 0;
+    }
+    
+    setSource(source) {
+        this.source = source;
+    }
+    
+    setThreshold(threshold) {
+        this.threshold = threshold;
+    }
+    
+    // Draw the chosen tensor of a source's last detection pass (a Simulation's
+    // lastVoxels); returns whether the layer was rebuilt
+    sync(source) {
+        const voxels = source.lastVoxels;
+        const data = voxels && this.source !== VoxelHeatmapSource.OFF ? voxels[this.source] : null;
+        if (data === this.shownData && this.threshold === this.shownThreshold) return false;
+        this.shownData = data;
+        this.shownThreshold = this.threshold;
+        
+        if (!data) {
+            this.count = 0;
+            this.cutoff = this.threshold;
+            if (this.mesh) this.mesh.visible = false;
+            return true;
+        }
+        this.cutoff = this.findCutoff(data);
+        this.fill(data);
+        return true;
+    }
+    
+    // The threshold, raised if needed so at most maxVoxels voxels pass it
+    findCutoff(data) {
+        const threshold = this.threshold;
+        const span = Math.max(1e-6, 1 - threshold);
+        const histogram = new Uint32Array(VOXEL_HISTOGRAM_BINS);
+        let total = 0;
+        for (const plane of data) {
+            for (const row of plane) {
+                for (let z = 0; z < row.length; z++) {
+                    const value = row[z];
+                    if (value < threshold) continue;
+                    const bin = Math.min(VOXEL_HISTOGRAM_BINS - 1, Math.floor((value - threshold) / span * VOXEL_HISTOGRAM_BINS));
+                    histogram[bin]++;
+                    total++;
+                }
+            }
+        }
+        if (total <= this.config.maxVoxels) return threshold;
+        
+        // Keep the brightest bins that fit
+        let kept = 0;
+        for (let bin = VOXEL_HISTOGRAM_BINS - 1; bin >= 0; bin--) {
+            if (kept + histogram[bin] > this.config.maxVoxels) {
+                return threshold + (bin + 1) / VOXEL_HISTOGRAM_BINS * span;
+            }
+            kept += histogram[bin];
+        }
+        return threshold;
+    }
+    
+    // Write a cube per voxel at or above the cutoff straight into the
+    // instance buffers: centered on its cell (level y spans y to y + 1),
+    // larger and further along the colormap the brighter it is
+    fill(data) {
+        const size = { x: data.length, y: data[0].length, z: data[0][0].length };
+        this.ensureCapacity(Math.min(size.x * size.y * size.z, this.config.maxVoxels));
+        
+        const matrices = this.mesh.instanceMatrix.array;
+        const colors = this.mesh.instanceColor.array;
+        const cutoff = this.cutoff;
+        const span = Math.max(1e-6, 1 - cutoff);
+        const color = [0, 0, 0];
+        const matrix = new Float32Array(16); // Column-major scale and translation
+        matrix[15] = 1;
+        let count = 0;
+        for (let x = 0; x < size.x && count < this.capacity; x++) {
+            for (let y = 0; y < size.y && count < this.capacity; y++) {
+                const row = data[x][y];
+                for (let z = 0; z < size.z && count < this.capacity; z++) {
+                    const value = row[z];
+                    if (value < cutoff) continue;
+                    
+                    const edge = 0.3 + 0.6 * Math.min(1, (value - cutoff) / span);
+                    matrix[0] = matrix[5] = matrix[10] = edge;
+                    matrix[12] = x - size.x / 2 + 0.5;
+                    matrix[13] = y + 0.5;
+                    matrix[14] = z - size.z / 2 + 0.5;
+                    matrices.set(matrix, count * 16);
+                    
+                    VoxelHeatmap.colormap(value, color);
+                    colors.set(color, count * 3);
+                    count++;
+                }
+            }
+        }
+        
+        this.count = count;
+        this.mesh.count = count;
+        this.mesh.visible = count > 0;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+    
+    // One instanced mesh for every voxel drawn, replaced only to grow
+    ensureCapacity(capacity) {
+        if (this.mesh && this.capacity >= capacity) return;
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.dispose();
+        }
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        this.mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.frustumCulled = false; // Instances reach beyond the cube's own bounds
+        this.mesh.renderOrder = 2; // After the scene's other transparent layers
+        this.scene.add(this.mesh);
+        this.capacity = capacity;
+    }
+    
+    // Colormap as [r, g, b] in 0 to 1 for an intensity in 0 to 1
+    static colormap(value, out = [0, 0, 0]) {
+        const position = Math.max(0, Math.min(1, value)) * (VOXEL_COLORMAP.length - 1);
+        const index = Math.min(VOXEL_COLORMAP.length - 2, Math.floor(position));
+        const t = position - index;
+        const from = VOXEL_COLORMAP[index];
+        const to = VOXEL_COLORMAP[index + 1];
+        for (let i = 0; i < 3; i++) {
+            out[i] = (from[i] + (to[i] - from[i]) * t) / 255;
+        }
+        return out;
+    }
+    
+    // The colormap from 0 to 1 across a canvas, with a tick at the
+    // threshold and a brighter one where the budget raised it to
+    static drawLegend(canvas, threshold, cutoff) {
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const color = [0, 0, 0];
+        for (let x = 0; x < width; x++) {
+            VoxelHeatmap.colormap(x / (width - 1), color);
+            context.fillStyle = `rgb(${color.map(channel => Math.round(channel * 255)).join(', ')})`;
+            context.fillRect(x, 0, 1, height);
+        }
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(0, 0, Math.round(cutoff * (width - 1)), height);
+        context.fillStyle = 'white';
+        context.fillRect(Math.round(threshold * (width - 1)) - 1, 0, 2, height);
+        if (cutoff > threshold) {
+            context.fillStyle = '#FF5252';
+            context.fillRect(Math.round(cutoff * (width - 1)) - 1, 0, 2, height);
+        }
+    }
+}
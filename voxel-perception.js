@@ -0,0 +1,174 @@
+/**
+ * Voxel Perception Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the building blocks the detection models run on
+ * the voxel intensity tensor from VisualDataGenerator (indexed
+ * [x][y][z], one voxel per grid cell): a robust noise estimate,
+ * thresholding with connected-component clustering, peak finding and
+ * the local features used to tell boxes from sensor speckle.
+ */
+
+// Face neighbors (6-connectivity) and the full 3 x 3 x 3 neighborhood (26)
+const FACE_OFFSETS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+const NEIGHBOR_OFFSETS = [];
+for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            if (dx !== 0 || dy !== 0 || dz !== 0) {
+                NEIGHBOR_OFFSETS.push([dx, dy, dz]);
+            }
+        }
+    }
+}
+
+class VoxelPerception {
+    static getSize(data) {
+        return { x: data.length, y: data[0].length, z: data[0][0].length };
+    }
+    
+    static inBounds(size, x, y, z) {
+        return x >= 0 && x < size.x && y >= 0 && y < size.y && z >= 0 && z < size.z;
+    }
+    
+    // Background level and noise from the median and the median absolute
+    // deviation, which the few bright voxels do not pull: {median, sigma}
+    static estimateNoise(data) {
+        const values = data.flat(2).sort((a, b) => a - b);
+        const median = VoxelPerception.median(values);
+        const deviations = values.map(value => Math.abs(value - median)).sort((a, b) => a - b);
+        return { median, sigma: Math.max(1.4826 * VoxelPerception.median(deviations), 1e-6) };
+    }
+    
+    static median(sorted) {
+        const middle = sorted.length >> 1;
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    
+    // Clusters of face-connected voxels at or above a level:
+    // [{voxels: [{x, y, z, value}], peak, sum, centroid: {x, y, z}}]
+    static connectedComponents(data, level) {
+        const size = VoxelPerception.getSize(data);
+        const visited = new Uint8Array(size.x * size.y * size.z);
+        const index = (x, y, z) => (x * size.y + y) * size.z + z;
+        const components = [];
+        
+        for (let x = 0; x < size.x; x++) {
+            for (let y = 0; y < size.y; y++) {
+                for (let z = 0; z < size.z; z++) {
+                    if (visited[index(x, y, z)] || data[x][y][z] < level) continue;
+                    
+                    // Flood fill from this voxel
+                    visited[index(x, y, z)] = 1;
+                    const voxels = [{ x, y, z, value: data[x][y][z] }];
+                    for (let head = 0; head < voxels.length; head++) {
+                        const voxel = voxels[head];
+                        for (const [dx, dy, dz] of FACE_OFFSETS) {
+                            const nx = voxel.x + dx;
+                            const ny = voxel.y + dy;
+                            const nz = voxel.z + dz;
+                            if (!VoxelPerception.inBounds(size, nx, ny, nz) || visited[index(nx, ny, nz)] ||
+                                data[nx][ny][nz] < level) continue;
+                            visited[index(nx, ny, nz)] = 1;
+                            voxels.push({ x: nx, y: ny, z: nz, value: data[nx][ny][nz] });
+                        }
+                    }
+                    components.push(VoxelPerception.describeComponent(voxels));
+                }
+            }
+        }
+        return components;
+    }
+    
+    // Brightest voxel, total intensity and intensity-weighted centroid
+    static describeComponent(voxels) {
+        let peak = voxels[0];
+        let sum = 0;
+        const centroid = { x: 0, y: 0, z: 0 };
+        for (const voxel of voxels) {
+            if (voxel.value > peak.value) peak = voxel;
+            sum += voxel.value;
+            centroid.x += voxel.x * voxel.value;
+            centroid.y += voxel.y * voxel.value;
+            centroid.z += voxel.z * voxel.value;
+        }
+        centroid.x /= sum;
+        centroid.y /= sum;
+        centroid.z /= sum;
+        return { voxels, peak, sum, centroid };
+    }
+    
+    // Voxels at or above a level that no neighbor exceeds by more than
+    // tolerance. The tolerance keeps both of two adjacent, equally bright
+    // boxes, where a strict maximum would keep only the one noise favors.
+    static findPeaks(data, level, tolerance = 0) {
+        const size = VoxelPerception.getSize(data);
+        const peaks = [];
+        
+        for (let x = 0; x < size.x; x++) {
+            for (let y = 0; y < size.y; y++) {
+                for (let z = 0; z < size.z; z++) {
+                    const value = data[x][y][z];
+                    if (value < level) continue;
+                    
+                    const isPeak = NEIGHBOR_OFFSETS.every(([dx, dy, dz]) =>
+                        !VoxelPerception.inBounds(size, x + dx, y + dy, z + dz) ||
+                        data[x + dx][y + dy][z + dz] <= value + tolerance);
+                    if (isPeak) {
+                        peaks.push({ x, y, z, value });
+                    }
+                }
+            }
+        }
+        return peaks;
+    }
+    
+    // Sub-voxel center of a peak: along each axis, the vertex of the
+    // parabola through the peak and its two neighbors (kept on the voxel
+    // at the grid edge, where one neighbor is missing)
+    static refineCenter(data, peak) {
+        const size = VoxelPerception.getSize(data);
+        const center = { x: peak.x, y: peak.y, z: peak.z };
+        for (const [dx, dy, dz] of [[1, 0, 0], [0, 1, 0], [0, 0, 1]]) {
+            if (!VoxelPerception.inBounds(size, peak.x - dx, peak.y - dy, peak.z - dz) ||
+                !VoxelPerception.inBounds(size, peak.x + dx, peak.y + dy, peak.z + dz)) continue;
+            const before = data[peak.x - dx][peak.y - dy][peak.z - dz];
+            const after = data[peak.x + dx][peak.y + dy][peak.z + dz];
+            const curvature = before - 2 * peak.value + after;
+            if (curvature >= 0) continue; // Not a maximum along this axis
+            const offset = Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature)));
+            center.x += dx * offset;
+            center.y += dy * offset;
+            center.z += dz * offset;
+        }
+        return center;
+    }
+    
+    // Features of the 3 x 3 x 3 patch around a candidate voxel in units of
+    // the noise: its height above the background, and the mean of each
+    // shell of neighbors sharing a face (support), an edge or a corner. A
+    // box blurs into the shells, falling off with distance; a speckle does not.
+    // Given a sensor view (see SensorModel.observe), neighbors the sensor
+    // did not see are left out, as are those beyond the grid.
+    static describePeak(data, peak, noise, view = null) {
+        const size = VoxelPerception.getSize(data);
+        const totals = [0, 0, 0];
+        const counts = [0, 0, 0];
+        for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+            if (VoxelPerception.inBounds(size, peak.x + dx, peak.y + dy, peak.z + dz) &&
+                (!view || view.gain[peak.x + dx][peak.y + dy][peak.z + dz] > 0)) {
+                const shell = Math.abs(dx) + Math.abs(dy) + Math.abs(dz) - 1;
+                totals[shell] += data[peak.x + dx][peak.y + dy][peak.z + dz];
+                counts[shell]++;
+            }
+        }
+        const shellMean = shell => counts[shell] > 0 ? (totals[shell] / counts[shell] - noise.median) / noise.sigma : 0;
+        
+        return {
+            height: (peak.value - noise.median) / noise.sigma,
+            support: shellMean(0),
+            edge: shellMean(1),
+            corner: shellMean(2)
+        };
+    }
+}
@@ -2,186 +2,207 @@
  * Warehouse Environment Implementation
  * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA) 
  * 
- * This file implements the 3D warehouse environment for the QINA demo
+ * This file implements the 3D warehouse environment for the QINA demo.
+ * It holds simulation state only; WarehouseRenderer draws it.
  */
 
 class WarehouseEnvironment {
-    constructor(gridSize = 10) {
-        this.gridSize = gridSize;
+    constructor(scenario = Scenario.createDefault(), random = new SeededRandom()) {
+        this.scenario = scenario;
+        this.size = { ...scenario.grid };
+        this.random = random;
         this.boxes = [];
+        this.nextBoxId = 0;
+        this.deliveredCount = 0;
+        
+        // Racks, walls, aisles and chargers never move; grid cells are
+        // CellType flags and box updates only touch the BOX bit
+        this.staticCells = Scenario.getStaticCells(scenario);
+        this.noGoZones = scenario.noGoZones.map(zone => ({ ...zone, active: false }));
         this.grid = this.createEmptyGrid();
-        this.lastBoxUpdateTime = 0;
-        this.updateInterval = 3000; // 3 seconds interval for box updates
+        this.changedCells = []; // Cells whose flags changed, for incremental replanning
         
-        // Scene elements
-        this.scene = null;
-        this.boxMeshes = [];
-        this.highlightedBoxes = [];
+        // Cells where picked boxes are delivered
+        this.dropZones = scenario.dropZones.map(zone => ({ ...zone }));
         
-        // Material cache
-        this.materials = {
-            box: new THREE.MeshStandardMaterial({ 
-                color: 0x4CAF50, 
-                roughness: 0.7, 
-                metalness: 0.2 
-            }),
-            boxWireframe: new THREE.MeshStandardMaterial({ 
-                color: 0x4CAF50, 
-                wireframe: true,
-                transparent: true,
-                opacity: 0.5
-            }),
-            highlightedBox: new THREE.MeshStandardMaterial({ 
-                color: 0xFFEB3B, 
-                roughness: 0.7, 
-                metalness: 0.3,
-                emissive: 0xFFEB3B,
-                emissiveIntensity: 0.3
-            }),
-            floor: new THREE.MeshStandardMaterial({ 
-                color: 0x424242, 
-                roughness: 0.9, 
-                metalness: 0.1 
-            }),
-            gridLines: new THREE.LineBasicMaterial({ 
-                color: 0x757575,
-                transparent: true,
-                opacity: 0.5
-            })
-        };
+        // Cells where robots charge their battery
+        this.chargers = scenario.chargers.map(charger => ({ ...charger }));
+        
+        // Box dynamics from the scenario
+        this.dynamics = scenario.dynamics;
+        this.timeSinceBoxUpdate = 0; // Simulated milliseconds since the last box update
+        this.updateInterval = this.dynamics.boxUpdateInterval * 1000;
+        this.time = 0; // Simulated seconds, for the event schedule
+        this.nextEvent = 0;
+        
+        // Boxes the active model detected on the last detection pass
+        this.highlightedBoxes = [];
     }
     
-    initialize(scene) {
-        this.scene = scene;
-        this.createFloor();
-        this.createGridLines();
+    initialize() {
+        this.updateNoGoZones(); // Zones scheduled from time 0 are closed before anything moves
         this.initializeBoxes();
+        this.changedCells = [];
     }
     
+    // Grid without boxes: the static layout and any active no-go zones
     createEmptyGrid() {
-        return Array(this.gridSize).fill(0)
-            .map(() => Array(this.gridSize).fill(0)
-                .map(() => Array(this.gridSize).fill(0)));
+        const grid = Array(this.size.x).fill(0)
+            .map(() => Array(this.size.y).fill(0)
+                .map(() => Array(this.size.z).fill(CellType.EMPTY)));
+        
+        for (const cell of this.staticCells) {
+            grid[cell.x][cell.y][cell.z] |= cell.type;
+        }
+        for (const zone of this.noGoZones) {
+            if (zone.active) {
+                this.markArea(grid, zone, CellType.NO_GO);
+            }
+        }
+        return grid;
+    }
+    
+    markArea(grid, area, flag) {
+        for (const cell of Scenario.areaCells(area)) {
+            grid[cell.x][cell.y][cell.z] |= flag;
+        }
+    }
+    
+    // Set or clear one flag of a cell, leaving the others as they are;
+    // the cell is recorded when its value changes
+    setFlag(x, y, z, flag, on) {
+        const before = this.grid[x][y][z];
+        const after = on ? before | flag : before & ~flag;
+        if (after !== before) {
+            this.grid[x][y][z] = after;
+            this.changedCells.push({ x, y, z });
+        }
+    }
+    
+    // Cells changed since the last call
+    takeChangedCells() {
+        const cells = this.changedCells;
+        this.changedCells = [];
+        return cells;
+    }
+    
+    isInside(x, y, z) {
+        return x >= 0 && x < this.size.x &&
+               y >= 0 && y < this.size.y &&
+               z >= 0 && z < this.size.z;
     }
     
     initializeBoxes() {
-        // Initialize with two boxes at specific positions with random rotations and scales
-        this.addBox(8, 0, 8, Math.random() * 360, 0.5 + Math.random());
-        this.addBox(5, 0, 3, Math.random() * 360, 0.5 + Math.random());
+        // Boxes without a pose get a random rotation and scale
+        for (const box of this.scenario.boxes) {
+            this.addScenarioBox(box);
+        }
     }
     
+    addScenarioBox(box) {
+        const rotation = box.rotation !== undefined ? box.rotation : this.random.next() * 360;
+        const scale = box.scale !== undefined ? box.scale : 0.5 + this.random.next();
+        return this.addBox(box.position.x, box.position.y, box.position.z, rotation, scale);
+    }
+    
+    // Each box resizes on its own random stream, so runs that pick up
+    // different boxes still see the others change alike
     addBox(x, y, z, rotation = 0, scale = 1.0) {
+        const id = this.nextBoxId++;
         const box = {
+            id,
             position: { x, y, z },
             rotation: rotation,
             scale: scale,
             initialScale: scale,
-            mesh: null
+            highlighted: false,
+            random: this.random.fork(`box-${id}`)
         };
         
         this.boxes.push(box);
-        this.grid[Math.floor(x)][Math.floor(y)][Math.floor(z)] = 1;
-        
-        // Create mesh
-        if (this.scene) {
-            this.createBoxMesh(box);
-        }
+        this.setFlag(Math.floor(x), Math.floor(y), Math.floor(z), CellType.BOX, true);
         
         return box;
     }
     
-    createBoxMesh(box) {
-        // Create box geometry
-        const geometry = new THREE.BoxGeometry(0.7, 0.7, 0.7);
-        const mesh = new THREE.Mesh(geometry, this.materials.box);
-        
-        // Add wireframe for better visualization
-        const wireframe = new THREE.Mesh(geometry, this.materials.boxWireframe);
-        mesh.add(wireframe);
+    // excludeCells are cells robots stand on or are headed for
+    update(deltaTime, excludeCells = []) {
+        this.time += deltaTime;
+        this.runEvents(excludeCells);
+        this.updateNoGoZones();
         
-        // Set position and rotation
-        mesh.position.set(
-            box.position.x - this.gridSize/2 + 0.5, 
-            box.position.y + 0.35 * box.scale, 
-            box.position.z - this.gridSize/2 + 0.5
-        );
-        
-        mesh.rotation.y = THREE.MathUtils.degToRad(box.rotation);
-        mesh.scale.set(box.scale, box.scale, box.scale);
-        
-        this.scene.add(mesh);
-        box.mesh = mesh;
-        this.boxMeshes.push(mesh);
-    }
-    
-    createFloor() {
-        const floorGeometry = new THREE.PlaneGeometry(this.gridSize, this.gridSize);
-        const floor = new THREE.Mesh(floorGeometry, this.materials.floor);
-        floor.rotation.x = -Math.PI / 2;
-        floor.position.y = 0;
-        this.scene.add(floor);
+        // Update box properties periodically (in simulated time, so seeded runs repeat)
+        this.timeSinceBoxUpdate += deltaTime * 1000;
+        if (this.timeSinceBoxUpdate >= this.updateInterval) {
+            this.timeSinceBoxUpdate -= this.updateInterval;
+            this.updateBoxes();
+        }
     }
     
-    createGridLines() {
-        const gridHelper = new THREE.GridHelper(
-            this.gridSize, 
-            this.gridSize, 
-            0x757575, 
-            0x616161
-        );
-        gridHelper.position.set(0, 0.01, 0); // Slightly above floor to prevent z-fighting
-        gridHelper.material.opacity = 0.5;
-        gridHelper.material.transparent = true;
-        this.scene.add(gridHelper);
+    // Apply scheduled events that are due; a box is not added on a taken cell
+    runEvents(excludeCells) {
+        const events = this.dynamics.events;
+        while (this.nextEvent < events.length && events[this.nextEvent].time <= this.time) {
+            const event = events[this.nextEvent++];
+            const { x, y, z } = event.position;
+            const box = this.findBoxAt(x, y, z);
+            
+            const isExcluded = excludeCells.some(cell => cell.x === x && cell.y === y && cell.z === z);
+            
+            if (event.type === ScenarioEventType.ADD_BOX && CellTypes.canHoldBox(this.grid[x][y][z], y) && !isExcluded) {
+                this.addScenarioBox(event);
+            } else if (event.type === ScenarioEventType.REMOVE_BOX && box) {
+                this.detachBox(box);
+            }
+        }
     }
     
-    update(deltaTime) {
-        // Update box properties periodically
-        const currentTime = performance.now();
-        if (currentTime - this.lastBoxUpdateTime > this.updateInterval) {
-            this.lastBoxUpdateTime = currentTime;
-            this.updateBoxes();
+    // Open and close no-go zones on their schedule
+    updateNoGoZones() {
+        let changed = false;
+        for (const zone of this.noGoZones) {
+            const active = this.time >= zone.start && (zone.end === undefined || this.time < zone.end);
+            if (active !== zone.active) {
+                zone.active = active;
+                changed = true;
+            }
         }
+        if (!changed) return;
         
-        // Update box animations
-        for (const box of this.boxes) {
-            if (box.mesh) {
-                // Smooth animation for rotation changes
-                const targetRotationY = THREE.MathUtils.degToRad(box.rotation);
-                box.mesh.rotation.y += (targetRotationY - box.mesh.rotation.y) * 0.1;
-                
-                // Smooth animation for scale changes
-                const targetScale = box.scale;
-                box.mesh.scale.lerp(new THREE.Vector3(targetScale, targetScale, targetScale), 0.1);
-                
-                // Update y position based on scale for proper grounding
-                box.mesh.position.y = 0.35 * box.scale;
+        // Zones may overlap: a cell is closed while any zone over it is active
+        const closed = new Set();
+        for (const zone of this.noGoZones.filter(zone => zone.active)) {
+            for (const cell of Scenario.areaCells(zone)) {
+                closed.add(Scenario.cellKey(cell));
+            }
+        }
+        for (const zone of this.noGoZones) {
+            for (const cell of Scenario.areaCells(zone)) {
+                this.setFlag(cell.x, cell.y, cell.z, CellType.NO_GO, closed.has(Scenario.cellKey(cell)));
             }
         }
     }
     
     updateBoxes() {
-        // Reset grid
-        this.grid = this.createEmptyGrid();
+        const { rotationStep, scaleStep, scaleRange } = this.dynamics;
         
         // Update each box
         for (const box of this.boxes) {
-            // Change rotation (+45° per change, modulo 360°)
-            box.rotation = (box.rotation + 45) % 360;
+            // Change rotation (one step per change, modulo 360°)
+            box.rotation = (box.rotation + rotationStep) % 360;
             
-            // Change scale (±0.1, bounded 0.5-1.5)
-            const scaleChange = Math.random() > 0.5 ? 0.1 : -0.1;
-            box.scale = Math.min(1.5, Math.max(0.5, box.scale + scaleChange));
+            // Change scale (up or down one step, within the scenario's range)
+            const scaleChange = box.random.next() > 0.5 ? scaleStep : -scaleStep;
+            box.scale = Math.min(scaleRange[1], Math.max(scaleRange[0], box.scale + scaleChange));
             
             // Update grid
             const x = Math.floor(box.position.x);
             const y = Math.floor(box.position.y);
             const z = Math.floor(box.position.z);
             
-            if (x >= 0 && x < this.gridSize && 
-                y >= 0 && y < this.gridSize && 
-                z >= 0 && z < this.gridSize) {
-                this.grid[x][y][z] = 1;
+            // Boxes only turn and resize, so this records nothing unless the grid was out of step
+            if (this.isInside(x, y, z)) {
+                this.setFlag(x, y, z, CellType.BOX, true);
             }
         }
     }
@@ -202,14 +223,8 @@ class WarehouseEnvironment {
                 const detZ = Math.floor(detection.position.z);
                 
                 if (boxX === detX && boxY === detY && boxZ === detZ) {
-                    if (box.mesh) {
-                        // Store original material
-                        box.originalMaterial = box.mesh.material;
-                        
-                        // Apply highlight material
-                        box.mesh.material = this.materials.highlightedBox;
-                        this.highlightedBoxes.push(box);
-                    }
+                    box.highlighted = true;
+                    this.highlightedBoxes.push(box);
                     break;
                 }
             }
@@ -218,13 +233,69 @@ class WarehouseEnvironment {
     
     resetHighlights() {
         for (const box of this.highlightedBoxes) {
-            if (box.mesh && box.originalMaterial) {
-                box.mesh.material = box.originalMaterial;
-            }
+            box.highlighted = false;
         }
         this.highlightedBoxes = [];
     }
     
+    findBoxAt(x, y, z) {
+        return this.boxes.find(box =>
+            Math.floor(box.position.x) === x &&
+            Math.floor(box.position.y) === y &&
+            Math.floor(box.position.z) === z
+        ) || null;
+    }
+    
+    // Take a box off the floor; its cell becomes free and it no longer updates
+    detachBox(box) {
+        const index = this.boxes.indexOf(box);
+        if (index === -1) return false;
+        
+        this.boxes.splice(index, 1);
+        this.setFlag(Math.floor(box.position.x), Math.floor(box.position.y), Math.floor(box.position.z), CellType.BOX, false);
+        this.resetHighlights();
+        return true;
+    }
+    
+    // A delivered box leaves the warehouse and, if the scenario restocks,
+    // a new one is stocked in its place
+    deliverBox(box, excludeCells = []) {
+        this.deliveredCount++;
+        
+        return this.dynamics.restock ? this.restockBox(excludeCells) : null;
+    }
+    
+    // Add a box on a random open floor cell that is not a drop zone or excluded.
+    // Each restock draws from a stream of its own, keyed by the delivery
+    // count, so runs of one seed (the sides of a Comparison) restock the
+    // same boxes whatever else their warehouse streams were asked for
+    restockBox(excludeCells = []) {
+        const isExcluded = (x, z) =>
+            this.dropZones.some(zone => zone.x === x && zone.z === z) ||
+            excludeCells.some(cell => cell.x === x && cell.z === z);
+        
+        const random = this.random.fork(`restock-${this.deliveredCount}`);
+        const rotation = random.next() * 360;
+        const scale = 0.5 + random.next();
+        
+        // Every floor cell gets a draw, open or not, so robots or boxes
+        // standing elsewhere do not change which open cell wins
+        let cell = null;
+        let lowest = Infinity;
+        for (let x = 0; x < this.size.x; x++) {
+            for (let z = 0; z < this.size.z; z++) {
+                const draw = random.next();
+                if (draw < lowest && CellTypes.canHoldBox(this.grid[x][0][z]) && !isExcluded(x, z)) {
+                    cell = { x, z };
+                    lowest = draw;
+                }
+            }
+        }
+        if (!cell) return null;
+        
+        return this.addBox(cell.x, 0, cell.z, rotation, scale);
+    }
+    
     getFirstBoxPosition() {
         if (this.boxes.length > 0) {
             const box = this.boxes[0];
@@ -247,20 +318,26 @@ class WarehouseEnvironment {
         }));
     }
     
-    reset() {
-        // Clear all boxes
-        for (const box of this.boxes) {
-            if (box.mesh) {
-                this.scene.remove(box.mesh);
-            }
-        }
+    // Rebuild the initial layout, optionally from a new random stream
+    reset(random = this.random) {
+        this.random = random;
+        this.timeSinceBoxUpdate = 0;
+        this.time = 0;
+        this.nextEvent = 0;
         
+        // Clear all boxes
         this.boxes = [];
-        this.boxMeshes = [];
         this.highlightedBoxes = [];
+        this.nextBoxId = 0;
+        this.deliveredCount = 0;
+        for (const zone of this.noGoZones) {
+            zone.active = false;
+        }
         this.grid = this.createEmptyGrid();
+        this.updateNoGoZones();
         
         // Initialize new boxes
         this.initializeBoxes();
+        this.changedCells = [];
     }
 }
@@ -0,0 +1,563 @@
+/**
+ * Warehouse Renderer Implementation
+ * HyperQ Robotics - Quantum-Inspired Neural Algorithm (QINA)
+ * 
+ * This file implements the Three.js view of a Simulation. It owns every
+ * mesh and material and, on each sync, creates, moves and removes meshes
+ * to match the simulation state. The simulation never calls into it.
+ */
+
+// Lines of a sensor frustum: from the mount (point 0) to each far corner
+// (points 1 to 4), then around the far end
+const FRUSTUM_EDGES = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [2, 3], [3, 4], [4, 1]];
+
+class WarehouseRenderer {
+    constructor(scene) {
+        this.scene = scene;
+        this.warehouse = null; // Warehouse the static meshes were built for
+        this.size = null;
+        
+        // Meshes keyed by box, robot and dynamic agent id
+        this.boxMeshes = new Map();
+        this.robotViews = new Map();
+        this.agentViews = new Map();
+        this.staticMeshes = [];
+        this.noGoViews = []; // {zone, volume} per scheduled no-go zone
+        this.showSensors = true; // Draw each robot's sensor frustum
+        
+        // Material cache
+        this.materials = {
+            box: new THREE.MeshStandardMaterial({
+                color: 0x4CAF50,
+                roughness: 0.7,
+                metalness: 0.2
+            }),
+            boxWireframe: new THREE.MeshStandardMaterial({
+                color: 0x4CAF50,
+                wireframe: true,
+                transparent: true,
+                opacity: 0.5
+            }),
+            highlightedBox: new THREE.MeshStandardMaterial({
+                color: 0xFFEB3B,
+                roughness: 0.7,
+                metalness: 0.3,
+                emissive: 0xFFEB3B,
+                emissiveIntensity: 0.3
+            }),
+            floor: new THREE.MeshStandardMaterial({
+                color: 0x424242,
+                roughness: 0.9,
+                metalness: 0.1
+            }),
+            dropZone: new THREE.MeshStandardMaterial({
+                color: 0x2196F3,
+                roughness: 0.8,
+                transparent: true,
+                opacity: 0.6
+            }),
+            gridLines: new THREE.LineBasicMaterial({
+                color: 0x757575,
+                transparent: true,
+                opacity: 0.5
+            }),
+            shelf: new THREE.MeshStandardMaterial({
+                color: 0x8D6E63,
+                roughness: 0.8,
+                metalness: 0.2
+            }),
+            wall: new THREE.MeshStandardMaterial({
+                color: 0x9E9E9E,
+                roughness: 0.9,
+                metalness: 0.05
+            }),
+            charger: new THREE.MeshStandardMaterial({
+                color: 0xFFD600,
+                roughness: 0.6,
+                emissive: 0xFFD600,
+                emissiveIntensity: 0.2
+            }),
+            oneWay: new THREE.MeshBasicMaterial({
+                color: 0xE0E0E0,
+                transparent: true,
+                opacity: 0.6,
+                side: THREE.DoubleSide
+            }),
+            lift: new THREE.MeshStandardMaterial({
+                color: 0x4DD0E1,
+                transparent: true,
+                opacity: 0.2,
+                depthWrite: false
+            }),
+            noGo: new THREE.MeshStandardMaterial({
+                color: 0xF44336,
+                transparent: true,
+                opacity: 0.3,
+                depthWrite: false
+            }),
+            noGoScheduled: new THREE.MeshBasicMaterial({
+                color: 0xF44336,
+                transparent: true,
+                opacity: 0.15,
+                side: THREE.DoubleSide
+            }),
+            robotIndicator: new THREE.MeshStandardMaterial({
+                color: 0x333333
+            }),
+            repairedPath: new THREE.MeshBasicMaterial({
+                color: 0xFF9800,
+                transparent: true,
+                opacity: 0.9
+            }),
+            forklift: new THREE.MeshStandardMaterial({
+                color: 0xFFA000,
+                roughness: 0.6,
+                metalness: 0.3
+            }),
+            forkliftMast: new THREE.MeshStandardMaterial({
+                color: 0x37474F,
+                roughness: 0.5,
+                metalness: 0.6
+            }),
+            pickerVest: new THREE.MeshStandardMaterial({
+                color: 0xC6FF00,
+                roughness: 0.8,
+                emissive: 0xC6FF00,
+                emissiveIntensity: 0.15
+            }),
+            pickerHead: new THREE.MeshStandardMaterial({
+                color: 0xFFCC80,
+                roughness: 0.9
+            }),
+            nearMiss: new THREE.MeshBasicMaterial({
+                color: 0xFFC107,
+                transparent: true,
+                opacity: 0.8,
+                side: THREE.DoubleSide
+            }),
+            collision: new THREE.MeshBasicMaterial({
+                color: 0xF44336,
+                transparent: true,
+                opacity: 0.9,
+                side: THREE.DoubleSide
+            })
+        };
+        this.boxGeometry = new THREE.BoxGeometry(0.7, 0.7, 0.7);
+        this.markerGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+        this.repairMarkerGeometry = new THREE.OctahedronGeometry(0.16);
+    }
+    
+    // Simulation observer hooks
+    onReset(simulation) {
+        this.sync(simulation, true);
+    }
+    
+    // Grid cell to scene coordinates (the floor is centered on the origin)
+    toScene(x, z) {
+        return {
+            x: x - this.size.x / 2 + 0.5,
+            z: z - this.size.z / 2 + 0.5
+        };
+    }
+    
+    // Bring the scene in line with the simulation; snap skips animation
+    sync(simulation, snap = false) {
+        const warehouse = simulation.warehouse;
+        if (this.warehouse !== warehouse) {
+            this.buildStatic(warehouse);
+        }
+        
+        this.syncNoGoZones();
+        this.syncBoxes(warehouse, simulation.fleet, snap);
+        for (const robot of simulation.fleet.robots) {
+            this.syncRobot(robot);
+            this.syncSensor(this.robotViews.get(robot.id), robot, simulation);
+        }
+        this.removeStale(this.robotViews, simulation.fleet.robots, view => this.removeRobotView(view));
+        
+        for (const agent of simulation.traffic.agents) {
+            this.syncAgent(agent);
+        }
+        this.removeStale(this.agentViews, simulation.traffic.agents, view => this.scene.remove(view.mesh));
+    }
+    
+    // Floor, grid lines, drop zones and every static cell type
+    buildStatic(warehouse) {
+        for (const mesh of this.staticMeshes) {
+            this.scene.remove(mesh);
+        }
+        this.staticMeshes = [];
+        this.noGoViews = [];
+        this.warehouse = warehouse;
+        this.size = { ...warehouse.size };
+        
+        const floor = new THREE.Mesh(new THREE.PlaneGeometry(this.size.x, this.size.z), this.materials.floor);
+        floor.rotation.x = -Math.PI / 2;
+        floor.position.y = 0;
+        this.addStatic(floor);
+        
+        // Cell borders (GridHelper only draws square grids)
+        const halfX = this.size.x / 2;
+        const halfZ = this.size.z / 2;
+        const points = [];
+        for (let x = 0; x <= this.size.x; x++) {
+            points.push(new THREE.Vector3(x - halfX, 0, -halfZ), new THREE.Vector3(x - halfX, 0, halfZ));
+        }
+        for (let z = 0; z <= this.size.z; z++) {
+            points.push(new THREE.Vector3(-halfX, 0, z - halfZ), new THREE.Vector3(halfX, 0, z - halfZ));
+        }
+        const gridLines = new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(points), this.materials.gridLines);
+        gridLines.position.y = 0.01; // Slightly above floor to prevent z-fighting
+        this.addStatic(gridLines);
+        
+        for (const zone of warehouse.dropZones) {
+            const mesh = new THREE.Mesh(new THREE.PlaneGeometry(0.9, 0.9), this.materials.dropZone);
+            const position = this.toScene(zone.x, zone.z);
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.set(position.x, 0.02, position.z); // Above the grid lines
+            this.addStatic(mesh);
+        }
+        
+        const geometries = {
+            rack: new THREE.BoxGeometry(0.9, 1.2, 0.9),
+            rackBoard: new THREE.BoxGeometry(0.9, 0.1, 0.9),
+            rackPost: new THREE.BoxGeometry(0.08, 1, 0.08),
+            wall: new THREE.BoxGeometry(1, 1, 1),
+            liftShaft: new THREE.BoxGeometry(0.95, 1, 0.95),
+            chargerPad: new THREE.PlaneGeometry(0.8, 0.8),
+            chargerPost: new THREE.BoxGeometry(0.15, 0.4, 0.15),
+            arrow: this.createArrowGeometry()
+        };
+        for (const cell of warehouse.staticCells) {
+            this.addStaticCell(cell, geometries);
+        }
+        
+        // No-go zones: a floor outline while scheduled, a red volume while closed
+        for (const zone of warehouse.noGoZones) {
+            const position = this.toScene(zone.x + (zone.width - 1) / 2, zone.z + (zone.depth - 1) / 2);
+            const outline = new THREE.Mesh(new THREE.PlaneGeometry(zone.width, zone.depth), this.materials.noGoScheduled);
+            outline.rotation.x = -Math.PI / 2;
+            outline.position.set(position.x, 0.025, position.z);
+            this.addStatic(outline);
+            
+            const volume = new THREE.Mesh(new THREE.BoxGeometry(zone.width, 1, zone.depth), this.materials.noGo);
+            volume.position.set(position.x, 0.5, position.z);
+            volume.visible = zone.active;
+            this.addStatic(volume);
+            this.noGoViews.push({ zone, volume });
+        }
+    }
+    
+    // One static cell of the layout, drawn by its CellType
+    addStaticCell(cell, geometries) {
+        const position = this.toScene(cell.x, cell.z);
+        
+        if (cell.type === CellType.RACK && this.isStackedRack(cell)) {
+            this.addRackLevel(position, cell.y, geometries);
+        } else if (cell.type === CellType.RACK || cell.type === CellType.WALL) {
+            const isRack = cell.type === CellType.RACK;
+            const mesh = new THREE.Mesh(isRack ? geometries.rack : geometries.wall,
+                isRack ? this.materials.shelf : this.materials.wall);
+            mesh.position.set(position.x, cell.y + (isRack ? 0.6 : 0.5), position.z);
+            this.addStatic(mesh);
+        } else if (cell.type === CellType.CHARGER) {
+            const pad = new THREE.Mesh(geometries.chargerPad, this.materials.charger);
+            pad.rotation.x = -Math.PI / 2;
+            pad.position.set(position.x, cell.y + 0.02, position.z);
+            this.addStatic(pad);
+            
+            // Charging post on the pad's far edge
+            const post = new THREE.Mesh(geometries.chargerPost, this.materials.charger);
+            post.position.set(position.x, cell.y + 0.2, position.z - 0.35);
+            this.addStatic(post);
+        } else if (cell.type === CellType.LIFT) {
+            const shaft = new THREE.Mesh(geometries.liftShaft, this.materials.lift);
+            shaft.position.set(position.x, cell.y + 0.5, position.z);
+            this.addStatic(shaft);
+        } else {
+            const direction = CellTypes.oneWayDirection(cell.type);
+            const arrow = new THREE.Mesh(geometries.arrow, this.materials.oneWay);
+            arrow.rotation.set(-Math.PI / 2, 0, Math.atan2(-direction.dz, direction.dx));
+            arrow.position.set(position.x, cell.y + 0.02, position.z);
+            this.addStatic(arrow);
+        }
+    }
+    
+    // Racks more than one level high are open frames, so stored boxes show
+    isStackedRack(cell) {
+        const grid = this.warehouse.grid;
+        return cell.y > 0 || (cell.y + 1 < this.size.y && (grid[cell.x][cell.y + 1][cell.z] & CellType.RACK) !== 0);
+    }
+    
+    // One level of a stacked rack: four posts and the board boxes above stand on
+    addRackLevel(position, y, geometries) {
+        const board = new THREE.Mesh(geometries.rackBoard, this.materials.shelf);
+        board.position.set(position.x, y + 0.95, position.z);
+        this.addStatic(board);
+        
+        for (const [dx, dz] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+            const post = new THREE.Mesh(geometries.rackPost, this.materials.shelf);
+            post.position.set(position.x + dx * 0.41, y + 0.5, position.z + dz * 0.41);
+            this.addStatic(post);
+        }
+    }
+    
+    // Flat arrow pointing along +x, for one-way aisle cells
+    createArrowGeometry() {
+        const shape = new THREE.Shape();
+        shape.moveTo(-0.35, -0.08);
+        shape.lineTo(0.05, -0.08);
+        shape.lineTo(0.05, -0.2);
+        shape.lineTo(0.35, 0);
+        shape.lineTo(0.05, 0.2);
+        shape.lineTo(0.05, 0.08);
+        shape.lineTo(-0.35, 0.08);
+        shape.closePath();
+        return new THREE.ShapeGeometry(shape);
+    }
+    
+    syncNoGoZones() {
+        for (const view of this.noGoViews) {
+            view.volume.visible = view.zone.active;
+        }
+    }
+    
+    addStatic(mesh) {
+        this.scene.add(mesh);
+        this.staticMeshes.push(mesh);
+    }
+    
+    // Boxes on the floor and boxes riding on robots
+    syncBoxes(warehouse, fleet, snap) {
+        const carried = fleet.robots.filter(robot => robot.carrying).map(robot => robot.carrying);
+        const boxes = [...warehouse.boxes, ...carried];
+        
+        for (const box of boxes) {
+            let mesh = this.boxMeshes.get(box.id);
+            if (!mesh) {
+                mesh = this.createBoxMesh(box);
+                snap = true;
+            }
+            mesh.material = box.highlighted ? this.materials.highlightedBox : this.materials.box;
+            
+            // Smooth animation for rotation and scale changes
+            const targetRotationY = THREE.MathUtils.degToRad(box.rotation);
+            const targetScale = carried.includes(box) ? box.scale * 0.6 : box.scale;
+            if (snap) {
+                mesh.rotation.y = targetRotationY;
+                mesh.scale.setScalar(targetScale);
+            } else {
+                mesh.rotation.y += (targetRotationY - mesh.rotation.y) * 0.1;
+                mesh.scale.lerp(new THREE.Vector3(targetScale, targetScale, targetScale), 0.1);
+            }
+            
+            const position = this.toScene(box.position.x, box.position.z);
+            mesh.position.set(position.x, box.position.y + 0.35 * box.scale, position.z);
+        }
+        
+        this.removeStale(this.boxMeshes, boxes, mesh => this.scene.remove(mesh));
+    }
+    
+    createBoxMesh(box) {
+        const mesh = new THREE.Mesh(this.boxGeometry, this.materials.box);
+        
+        // Add wireframe for better visualization
+        mesh.add(new THREE.Mesh(this.boxGeometry, this.materials.boxWireframe));
+        
+        this.scene.add(mesh);
+        this.boxMeshes.set(box.id, mesh);
+        return mesh;
+    }
+    
+    // Drop views whose id no longer appears in the simulation
+    removeStale(views, items, remove) {
+        const ids = new Set(items.map(item => item.id));
+        for (const [id, view] of views) {
+            if (!ids.has(id)) {
+                remove(view);
+                views.delete(id);
+            }
+        }
+    }
+    
+    syncRobot(robot) {
+        let view = this.robotViews.get(robot.id);
+        if (!view) {
+            view = this.createRobotView(robot);
+        }
+        
+        const position = this.toScene(robot.position.x, robot.position.z);
+        view.mesh.position.set(position.x, robot.position.y + 0.05, position.z); // Just above its level
+        view.mesh.rotation.y = robot.currentRotation;
+        
+        // A carried box rides on top of the robot
+        if (robot.carrying) {
+            const boxMesh = this.boxMeshes.get(robot.carrying.id);
+            boxMesh.position.set(position.x, robot.position.y + 0.3 + 0.35 * robot.carrying.scale * 0.6, position.z);
+            boxMesh.rotation.y = robot.currentRotation;
+        }
+        
+        this.syncPathMarkers(view, robot);
+    }
+    
+    // The sensor's view as lines from its mount to the corners of the far
+    // end of its range, moved every sync as the mount pans
+    syncSensor(view, robot, simulation) {
+        const sensor = simulation.sensor;
+        view.frustum.visible = this.showSensors && sensor.config.enabled;
+        if (!view.frustum.visible) return;
+        
+        const pose = sensor.getPose(robot, simulation.time);
+        const points = [pose.origin, ...sensor.getFrustumCorners(pose)].map(point => {
+            const position = this.toScene(point.x, point.z);
+            return [position.x, point.y + 0.5, position.z]; // Level y spans y to y + 1 in the scene
+        });
+        const positions = view.frustum.geometry.attributes.position;
+        FRUSTUM_EDGES.forEach(([from, to], index) => {
+            positions.setXYZ(2 * index, ...points[from]);
+            positions.setXYZ(2 * index + 1, ...points[to]);
+        });
+        positions.needsUpdate = true;
+        view.frustum.geometry.computeBoundingSphere();
+    }
+    
+    createRobotView(robot) {
+        const material = new THREE.MeshStandardMaterial({
+            color: robot.color,
+            roughness: 0.5,
+            metalness: 0.7
+        });
+        
+        // Robot body - cylinder for the base
+        const base = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 0.1, 16), material);
+        
+        // Robot top - dome/hemisphere
+        const top = new THREE.Mesh(new THREE.SphereGeometry(0.25, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2), material);
+        top.position.y = 0.05;
+        
+        // Robot direction indicator
+        const indicator = new THREE.Mesh(new THREE.ConeGeometry(0.1, 0.2, 8), this.materials.robotIndicator);
+        indicator.position.set(0, 0.05, 0.2);
+        indicator.rotation.x = Math.PI / 2;
+        
+        const mesh = new THREE.Group();
+        mesh.add(base);
+        mesh.add(top);
+        mesh.add(indicator);
+        this.scene.add(mesh);
+        
+        const frustumGeometry = new THREE.BufferGeometry();
+        frustumGeometry.setAttribute('position', new THREE.Float32BufferAttribute(new Array(FRUSTUM_EDGES.length * 6).fill(0), 3));
+        const frustum = new THREE.LineSegments(frustumGeometry, new THREE.LineBasicMaterial({
+            color: robot.color,
+            transparent: true,
+            opacity: 0.45
+        }));
+        this.scene.add(frustum);
+        
+        const view = {
+            mesh,
+            frustum,
+            path: null,
+            markers: [],
+            markerMaterial: new THREE.MeshBasicMaterial({
+                color: new THREE.Color(robot.color).lerp(new THREE.Color(0xFFFFFF), 0.35),
+                transparent: true,
+                opacity: 0.7
+            })
+        };
+        this.robotViews.set(robot.id, view);
+        return view;
+    }
+    
+    // A forklift or picker where it walks, ringed while a robot is too close
+    syncAgent(agent) {
+        let view = this.agentViews.get(agent.id);
+        if (!view || view.type !== agent.type) {
+            if (view) this.scene.remove(view.mesh);
+            view = this.createAgentView(agent);
+        }
+        
+        const position = this.toScene(agent.position.x, agent.position.z);
+        view.mesh.position.set(position.x, 0, position.z);
+        view.body.rotation.y = -agent.heading;
+        view.ring.visible = agent.alert !== null;
+        view.ring.material = agent.alert === SafetyEventType.COLLISION ? this.materials.collision : this.materials.nearMiss;
+    }
+    
+    // Forklifts are a body with a mast and forks at the front, pickers a
+    // figure in a high-visibility vest
+    createAgentView(agent) {
+        const body = new THREE.Group();
+        if (agent.type === ScenarioAgentType.FORKLIFT) {
+            const chassis = new THREE.Mesh(new THREE.BoxGeometry(0.55, 0.3, 0.45), this.materials.forklift);
+            chassis.position.set(-0.05, 0.2, 0);
+            const cab = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.35, 0.4), this.materials.forklift);
+            cab.position.set(-0.1, 0.52, 0);
+            const mast = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.8, 0.35), this.materials.forkliftMast);
+            mast.position.set(0.25, 0.45, 0);
+            body.add(chassis, cab, mast);
+            for (const z of [-0.1, 0.1]) {
+                const fork = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.03, 0.05), this.materials.forkliftMast);
+                fork.position.set(0.4, 0.08, z);
+                body.add(fork);
+            }
+        } else {
+            const torso = new THREE.Mesh(new THREE.CylinderGeometry(0.13, 0.15, 0.55, 12), this.materials.pickerVest);
+            torso.position.y = 0.4;
+            const head = new THREE.Mesh(new THREE.SphereGeometry(0.1, 12, 8), this.materials.pickerHead);
+            head.position.y = 0.78;
+            body.add(torso, head);
+        }
+        
+        const ring = new THREE.Mesh(new THREE.RingGeometry(0.4, 0.48, 24), this.materials.nearMiss);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.02;
+        ring.visible = false;
+        
+        const mesh = new THREE.Group();
+        mesh.add(body);
+        mesh.add(ring);
+        this.scene.add(mesh);
+        
+        const view = { type: agent.type, mesh, body, ring };
+        this.agentViews.set(agent.id, view);
+        return view;
+    }
+    
+    // Rebuild markers for a new path, and drop them from the front as
+    // waypoints are reached. Cells added by a path repair stand out.
+    syncPathMarkers(view, robot) {
+        if (view.path !== robot.path) {
+            this.clearPathMarkers(view);
+            view.path = robot.path;
+            const repaired = new Set(robot.repairedSegment.map(cell => `${cell.x},${cell.y},${cell.z}`));
+            for (const point of robot.path) {
+                const marker = repaired.has(`${point.x},${point.y},${point.z}`)
+                    ? new THREE.Mesh(this.repairMarkerGeometry, this.materials.repairedPath)
+                    : new THREE.Mesh(this.markerGeometry, view.markerMaterial);
+                const position = this.toScene(point.x, point.z);
+                marker.position.set(position.x, point.y + 0.1, position.z); // Just above the waypoint's level
+                this.scene.add(marker);
+                view.markers.push(marker);
+            }
+        }
+        
+        while (view.markers.length > robot.path.length) {
+            this.scene.remove(view.markers.shift());
+        }
+    }
+    
+    clearPathMarkers(view) {
+        for (const marker of view.markers) {
+            this.scene.remove(marker);
+        }
+        view.markers = [];
+    }
+    
+    removeRobotView(view) {
+        this.clearPathMarkers(view);
+        this.scene.remove(view.mesh);
+        this.scene.remove(view.frustum);
+    }
+}